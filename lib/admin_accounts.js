@@ -0,0 +1,80 @@
+// Admin account passwords and validation, shared by server.js and scripts/view_db.js
+const crypto = require('crypto');
+const { ADMIN_ROLES } = require('./admin_data');
+
+// The old built-in password; refused for new accounts and, outside dev mode, at startup
+const DEFAULT_ADMIN_PASS = 'admin123';
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt.toString('hex')}$${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return Promise.resolve(false);
+  const expected = Buffer.from(keyHex, 'hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length, (err, key) => {
+      if (err) return reject(err);
+      resolve(crypto.timingSafeEqual(key, expected));
+    });
+  });
+}
+
+// Compared against when the username does not exist, so unknown users take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = `scrypt$${'00'.repeat(16)}$${'00'.repeat(64)}`;
+
+/**
+ * Validates a new admin account, or the fields being changed on an existing one when `partial` is set
+ */
+function validateAdminUser(data, partial) {
+  const errors = [];
+  const user = {};
+
+  if (!partial) {
+    if (typeof data.username !== 'string' || !/^[a-z0-9._-]{3,50}$/i.test(data.username.trim())) {
+      errors.push('Username must be 3-50 characters: letters, digits, dot, dash or underscore.');
+    } else {
+      user.username = data.username.trim().toLowerCase();
+    }
+  }
+
+  if (!partial || typeof data.role !== 'undefined') {
+    if (!ADMIN_ROLES.includes(data.role)) errors.push(`Role must be one of ${ADMIN_ROLES.join(', ')}.`);
+    else user.role = data.role;
+  }
+
+  if (!partial || typeof data.password !== 'undefined') {
+    if (typeof data.password !== 'string' || data.password.length < 10 || data.password.length > 200) {
+      errors.push('Password must be between 10 and 200 characters.');
+    } else if (data.password === DEFAULT_ADMIN_PASS) {
+      errors.push('Password must not be the default password.');
+    } else {
+      user.password = data.password;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(user).length === 0) {
+    errors.push('Nothing to update; send role and/or password.');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return { valid: true, data: user };
+}
+
+module.exports = {
+  DEFAULT_ADMIN_PASS,
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+  validateAdminUser
+};
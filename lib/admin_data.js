@@ -0,0 +1,437 @@
+// Table definitions and query helpers shared by the admin routes in server.js
+// and by scripts/view_db.js, so both list and export exactly the same data.
+const { decryptField, emailHash } = require('./field_crypto');
+const { APPOINTMENT_STATUSES } = require('./appointments');
+
+const CONTACT_STATUSES = ['new', 'in_progress', 'resolved', 'spam'];
+const ARTICLE_STATUSES = ['draft', 'published'];
+const ADMIN_ROLES = ['viewer', 'counsellor', 'administrator'];
+
+// Placeholder for anonymised text; emails stay unique so indexes on them still hold
+const REMOVED = '[removed]';
+function removedEmail(row) {
+  return `removed-${row.id}@invalid.example`;
+}
+
+// ADMIN_TABLES whitelists what each table exposes: list columns, free-text search
+// columns, the date column used by from/to, sortable columns, equality filters,
+// columns never sent to the browser or exported, columns stored HTML-escaped by
+// sanitizeHtml (decoded again on export), and the minimum role needed to see the
+// table at all.
+//
+// `encrypted` lists the columns stored with lib/field_crypto.js. They cannot be
+// searched or sorted in SQL, so they are kept out of `search` and `sortable`;
+// `emailHash` maps an encrypted email column to its keyed-hash column, which
+// makes a search for a whole email address match; `emailHashList` names a column
+// holding the hashes of several addresses as ",<hash>,<hash>,".
+//
+// `anonymise` lists the personal columns and what replaces them (a value, or a
+// function of the row), plus statements run for linked rows; `onDelete` lists
+// statements that remove or unlink rows pointing at a record before it is deleted.
+// Tables without them cannot be anonymised, or need no clean-up on delete.
+const ADMIN_TABLES = {
+  registrations: {
+    label: 'Registrations',
+    columns: ['id', 'name', 'email', 'contact', 'seminarId', 'status', 'receivedAt'],
+    search: [],
+    dateColumn: 'receivedAt',
+    sortable: ['id', 'status', 'receivedAt'],
+    filters: { status: ['confirmed', 'waitlisted', 'cancelled'], seminarId: null },
+    hidden: ['cancelToken', 'emailHash'],
+    escaped: ['name', 'address'],
+    encrypted: ['name', 'email', 'address', 'contact'],
+    emailHash: { email: 'emailHash' },
+    anonymise: {
+      columns: { name: REMOVED, email: row => removedEmail(row), emailHash: null, address: REMOVED, contact: REMOVED },
+      related: []
+    },
+    onDelete: [],
+    role: 'counsellor'
+  },
+  contacts: {
+    label: 'Contacts',
+    columns: ['id', 'name', 'email', 'message', 'status', 'assignedTo', 'receivedAt'],
+    search: ['assignedTo'],
+    dateColumn: 'receivedAt',
+    sortable: ['id', 'status', 'assignedTo', 'receivedAt', 'updatedAt'],
+    filters: { status: CONTACT_STATUSES, assignedTo: null },
+    hidden: ['emailHash'],
+    escaped: ['name', 'message', 'assignedTo'],
+    encrypted: ['name', 'email', 'message'],
+    emailHash: { email: 'emailHash' },
+    anonymise: {
+      columns: { name: REMOVED, email: row => removedEmail(row), emailHash: null, message: REMOVED },
+      related: [
+        `UPDATE contact_notes SET note = '${REMOVED}' WHERE contactId = ?`,
+        `UPDATE mails SET recipients = '${REMOVED}', subject = '${REMOVED}', body = '${REMOVED}', html = NULL, attachments = NULL, emailHashes = NULL WHERE contactId = ?`
+      ]
+    },
+    onDelete: [
+      'DELETE FROM contact_notes WHERE contactId = ?',
+      'DELETE FROM contact_status_history WHERE contactId = ?',
+      'UPDATE mails SET contactId = NULL WHERE contactId = ?'
+    ],
+    role: 'counsellor'
+  },
+  scores: {
+    label: 'Scores',
+    columns: ['id', 'questionnaire', 'score', 'band', 'receivedAt'],
+    search: ['questionnaire', 'band', 'details'],
+    dateColumn: 'receivedAt',
+    sortable: ['id', 'questionnaire', 'score', 'band', 'receivedAt'],
+    filters: { questionnaire: null, band: null },
+    hidden: ['historyKey'],
+    escaped: [],
+    encrypted: [],
+    emailHash: {},
+    // Scores hold no personal data; dropping historyKey unlinks them from a history code
+    anonymise: { columns: { historyKey: null }, related: [] },
+    onDelete: ['DELETE FROM safety_events WHERE scoreId = ?'],
+    role: 'viewer'
+  },
+  safety_events: {
+    label: 'Safety events',
+    columns: ['id', 'scoreId', 'questionnaire', 'triggers', 'contactRequestedAt', 'createdAt'],
+    search: ['questionnaire'],
+    dateColumn: 'createdAt',
+    sortable: ['id', 'questionnaire', 'contactRequestedAt', 'createdAt'],
+    filters: {},
+    hidden: ['token', 'contactEmailHash'],
+    escaped: ['contactName', 'contactPhone', 'contactPreferredTime'],
+    encrypted: ['contactName', 'contactEmail', 'contactPhone', 'contactPreferredTime'],
+    emailHash: { contactEmail: 'contactEmailHash' },
+    anonymise: {
+      columns: { contactName: null, contactEmail: null, contactEmailHash: null, contactPhone: null, contactPreferredTime: null },
+      related: []
+    },
+    onDelete: [],
+    role: 'counsellor'
+  },
+  mails: {
+    label: 'Mails',
+    columns: ['id', 'recipients', 'subject', 'template', 'status', 'attempts', 'createdAt', 'sentAt'],
+    search: ['template'],
+    dateColumn: 'createdAt',
+    sortable: ['id', 'template', 'status', 'attempts', 'createdAt', 'sentAt'],
+    filters: { status: ['pending', 'sending', 'sent', 'failed', 'mocked'], template: null },
+    hidden: ['html', 'attachments', 'emailHashes'],
+    escaped: [],
+    encrypted: ['recipients', 'subject', 'body', 'html', 'attachments'],
+    emailHash: {},
+    // Every address a mail goes to or mentions, see mailEmailHashes in lib/field_crypto.js
+    emailHashList: 'emailHashes',
+    anonymise: {
+      columns: { recipients: REMOVED, subject: REMOVED, body: REMOVED, html: null, attachments: null, emailHashes: null, error: null },
+      related: []
+    },
+    onDelete: [],
+    role: 'counsellor'
+  },
+  seminars: {
+    label: 'Seminars',
+    columns: ['id', 'title', 'startsAt', 'endsAt', 'location', 'capacity'],
+    search: ['title', 'description', 'location'],
+    dateColumn: 'startsAt',
+    sortable: ['id', 'title', 'startsAt', 'location', 'capacity'],
+    filters: {},
+    hidden: [],
+    escaped: ['title', 'description', 'location'],
+    encrypted: [],
+    emailHash: {},
+    anonymise: null,
+    onDelete: [],
+    role: 'viewer'
+  },
+  professionals: {
+    label: 'Professionals',
+    columns: ['id', 'name', 'city', 'specialisations', 'languages', 'onlineSessions', 'updatedAt'],
+    search: ['name', 'city', 'specialisations', 'languages'],
+    dateColumn: 'createdAt',
+    sortable: ['id', 'name', 'city', 'createdAt', 'updatedAt'],
+    filters: { city: null, onlineSessions: ['0', '1'] },
+    hidden: [],
+    escaped: ['name', 'city', 'specialisations', 'languages', 'fees', 'phone', 'email', 'website', 'address'],
+    encrypted: [],
+    emailHash: {},
+    anonymise: null,
+    onDelete: ['DELETE FROM availability_slots WHERE professionalId = ?'],
+    role: 'viewer'
+  },
+  availability_slots: {
+    label: 'Availability slots',
+    columns: ['id', 'professionalId', 'weekday', 'startTime', 'endTime', 'createdAt'],
+    search: [],
+    dateColumn: 'createdAt',
+    sortable: ['id', 'professionalId', 'weekday', 'startTime'],
+    filters: { professionalId: null, weekday: ['1', '2', '3', '4', '5', '6', '7'] },
+    hidden: [],
+    escaped: [],
+    encrypted: [],
+    emailHash: {},
+    anonymise: null,
+    onDelete: [],
+    role: 'viewer'
+  },
+  appointments: {
+    label: 'Appointments',
+    columns: ['id', 'professionalId', 'name', 'email', 'startsAt', 'online', 'status', 'requestedAt'],
+    search: [],
+    dateColumn: 'startsAt',
+    sortable: ['id', 'professionalId', 'startsAt', 'status', 'requestedAt'],
+    filters: { status: APPOINTMENT_STATUSES, professionalId: null },
+    hidden: ['token', 'emailHash'],
+    escaped: ['name', 'phone', 'message'],
+    encrypted: ['name', 'email', 'phone', 'message'],
+    emailHash: { email: 'emailHash' },
+    anonymise: {
+      columns: { name: REMOVED, email: row => removedEmail(row), emailHash: null, phone: REMOVED, message: REMOVED },
+      related: []
+    },
+    onDelete: [],
+    role: 'counsellor'
+  },
+  articles: {
+    label: 'Articles',
+    columns: ['id', 'title', 'slug', 'category', 'author', 'status', 'reviewedAt', 'publishedAt', 'updatedAt'],
+    search: ['title', 'slug', 'category', 'tags', 'author'],
+    dateColumn: 'createdAt',
+    sortable: ['id', 'title', 'category', 'status', 'reviewedAt', 'publishedAt', 'createdAt', 'updatedAt'],
+    filters: { status: ARTICLE_STATUSES, category: null },
+    hidden: [],
+    escaped: [],
+    encrypted: [],
+    emailHash: {},
+    anonymise: null,
+    onDelete: [],
+    role: 'viewer'
+  },
+  admin_users: {
+    label: 'Admin users',
+    columns: ['id', 'username', 'role', 'createdAt', 'lastLoginAt'],
+    search: ['username'],
+    dateColumn: 'createdAt',
+    sortable: ['id', 'username', 'role', 'createdAt', 'lastLoginAt'],
+    filters: { role: ADMIN_ROLES },
+    hidden: ['passwordHash'],
+    escaped: [],
+    encrypted: [],
+    emailHash: {},
+    anonymise: null,
+    onDelete: ['DELETE FROM admin_sessions WHERE userId = ?'],
+    role: 'administrator'
+  },
+  form_rejections: {
+    label: 'Rejected submissions',
+    columns: ['id', 'endpoint', 'reason', 'score', 'details', 'ip', 'createdAt'],
+    search: ['ip', 'details'],
+    dateColumn: 'createdAt',
+    sortable: ['id', 'endpoint', 'reason', 'score', 'createdAt'],
+    filters: { endpoint: ['register', 'contact', 'score', 'send-mail', 'journal', 'appointment'], reason: ['rate_limit_ip', 'rate_limit_email', 'honeypot', 'spam', 'recipient_not_allowed'] },
+    hidden: [],
+    escaped: [],
+    encrypted: [],
+    emailHash: {},
+    anonymise: null,
+    onDelete: [],
+    role: 'counsellor'
+  },
+  mail_allowlist: {
+    label: 'Mail allowlist',
+    columns: ['id', 'entry', 'createdBy', 'createdAt'],
+    search: ['entry'],
+    dateColumn: 'createdAt',
+    sortable: ['id', 'entry', 'createdAt'],
+    filters: {},
+    hidden: [],
+    escaped: [],
+    encrypted: [],
+    emailHash: {},
+    anonymise: null,
+    onDelete: [],
+    role: 'administrator'
+  },
+  audit_log: {
+    label: 'Audit log',
+    columns: ['id', 'actor', 'action', 'targetTable', 'targetId', 'ip', 'createdAt'],
+    search: ['actor', 'action', 'details', 'ip'],
+    dateColumn: 'createdAt',
+    sortable: ['id', 'actor', 'action', 'targetTable', 'createdAt'],
+    filters: { action: null, targetTable: null, actor: null },
+    hidden: [],
+    escaped: [],
+    encrypted: [],
+    emailHash: {},
+    anonymise: null,
+    onDelete: [],
+    role: 'administrator'
+  }
+};
+
+// Date-only `to` values include the whole day
+function adminDateBound(value, endOfDay) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const trimmed = value.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+    return trimmed + (endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z');
+  }
+  const date = new Date(trimmed);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Builds the WHERE clause for an admin list from q/from/to and the table's equality filters
+ */
+function buildAdminWhere(config, query) {
+  const clauses = [];
+  const params = [];
+
+  if (typeof query.q === 'string' && query.q.trim() !== '') {
+    const term = '%' + query.q.trim().replace(/[\\%_]/g, c => '\\' + c) + '%';
+    const conditions = config.search.map(col => `${col} LIKE ? ESCAPE '\\'`);
+    config.search.forEach(() => params.push(term));
+    // Encrypted email columns only match the whole address, through their keyed hash
+    Object.keys(config.emailHash).forEach(col => {
+      conditions.push(`${config.emailHash[col]} = ?`);
+      params.push(emailHash(query.q));
+    });
+    if (config.emailHashList) {
+      conditions.push(`instr(${config.emailHashList}, ?) > 0`);
+      params.push(`,${emailHash(query.q)},`);
+    }
+    clauses.push(conditions.length ? '(' + conditions.join(' OR ') + ')' : '0');
+  }
+
+  const from = adminDateBound(query.from, false);
+  const to = adminDateBound(query.to, true);
+  if (from) {
+    clauses.push(`${config.dateColumn} >= ?`);
+    params.push(from);
+  }
+  if (to) {
+    clauses.push(`${config.dateColumn} <= ?`);
+    params.push(to);
+  }
+
+  Object.keys(config.filters).forEach(col => {
+    if (typeof query[col] === 'string' && query[col] !== '') {
+      clauses.push(`${col} = ?`);
+      params.push(query[col]);
+    }
+  });
+
+  return { where: clauses.length ? ' WHERE ' + clauses.join(' AND ') : '', params };
+}
+
+/**
+ * What the admin search box matches for a table, shown under it in the dashboard.
+ * Encrypted columns only match a whole email address through the keyed hashes,
+ * so the hint names them rather than let a search for part of a name find nothing.
+ */
+function searchHint(config) {
+  const parts = [];
+  if (config.search.length) parts.push('text in ' + config.search.join(', '));
+  if (Object.keys(config.emailHash).length) parts.push('a whole email address');
+  if (config.emailHashList) parts.push('a whole email address it was sent to or mentions');
+  let hint = parts.length ? 'Matches ' + parts.join(', or ') + '.' : 'This table cannot be searched.';
+  const encrypted = config.encrypted.filter(col => config.columns.includes(col));
+  if (encrypted.length) {
+    const list = encrypted.length > 1 ? encrypted.slice(0, -1).join(', ') + ' and ' + encrypted[encrypted.length - 1] : encrypted[0];
+    hint += ` ${list} ${encrypted.length > 1 ? 'are' : 'is'} encrypted, so a search for part of ${encrypted.length > 1 ? 'them' : 'it'} finds nothing.`;
+  }
+  return hint;
+}
+
+function stripHidden(config, row) {
+  const copy = Object.assign({}, row);
+  config.hidden.forEach(col => delete copy[col]);
+  return copy;
+}
+
+/**
+ * Reverses sanitizeHtml for stored values that are reused outside HTML (e.g. mail templates)
+ */
+function decodeHtml(str) {
+  return String(str)
+    .replace(/&#x27;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Decrypts the table's encrypted columns present in row, returning a copy
+ */
+function decryptRecord(table, row) {
+  const copy = Object.assign({}, row);
+  ADMIN_TABLES[table].encrypted.forEach(col => {
+    if (col in copy) copy[col] = decryptField(copy[col], table, col);
+  });
+  return copy;
+}
+
+/**
+ * A row as it leaves the system: decrypted, hidden columns dropped, escaped text decoded
+ */
+function exportRecord(table, row) {
+  const config = ADMIN_TABLES[table];
+  const copy = stripHidden(config, decryptRecord(table, row));
+  config.escaped.forEach(col => {
+    if (typeof copy[col] === 'string') copy[col] = decodeHtml(copy[col]);
+  });
+  return copy;
+}
+
+/**
+ * One CSV field (RFC 4180). Text that a spreadsheet would run as a formula
+ * (=, +, -, @ and control characters at the start) is prefixed with a quote.
+ */
+function csvField(value) {
+  if (value === null || typeof value === 'undefined') return '';
+  let str = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = "'" + str;
+  return /[",\r\n]/.test(str) || str !== str.trim() ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+/**
+ * The column values that anonymise a row, per the table's `anonymise.columns`,
+ * plus the anonymisedAt timestamp
+ */
+function anonymisedValues(config, row) {
+  const values = { anonymisedAt: new Date().toISOString() };
+  Object.keys(config.anonymise.columns).forEach(col => {
+    const replacement = config.anonymise.columns[col];
+    values[col] = typeof replacement === 'function' ? replacement(row) : replacement;
+  });
+  return values;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(csvField).join(',')];
+  rows.forEach(row => lines.push(columns.map(col => csvField(row[col])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Every stored column except the hidden ones, in table order
+async function exportColumns(queryAll, table) {
+  const info = await queryAll(`PRAGMA table_info('${table}')`);
+  return info.map(c => c.name).filter(name => !ADMIN_TABLES[table].hidden.includes(name));
+}
+
+module.exports = {
+  CONTACT_STATUSES,
+  ARTICLE_STATUSES,
+  ADMIN_ROLES,
+  ADMIN_TABLES,
+  adminDateBound,
+  buildAdminWhere,
+  searchHint,
+  stripHidden,
+  decodeHtml,
+  decryptRecord,
+  exportRecord,
+  anonymisedValues,
+  csvField,
+  toCsv,
+  exportColumns
+};
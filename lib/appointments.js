@@ -0,0 +1,153 @@
+// Weekly availability and appointment times for the professionals directory.
+//
+// A professional's availability is a set of weekly slots: { id, weekday, startTime,
+// endTime } with ISO weekdays (1 = Monday ... 7 = Sunday) and "HH:MM" wall-clock
+// times in one time zone (APPOINTMENT_TIME_ZONE). Each slot holds one appointment
+// per week; slotOccurrences() turns slots into dated start/end instants.
+//
+// Appointment requests move through
+//   requested -> confirmed | declined | cancelled,  confirmed -> cancelled
+// and only requested or confirmed appointments hold their time.
+const APPOINTMENT_STATUSES = ['requested', 'confirmed', 'declined', 'cancelled'];
+const ACTIVE_APPOINTMENT_STATUSES = ['requested', 'confirmed'];
+const APPOINTMENT_TRANSITIONS = {
+  requested: ['confirmed', 'declined', 'cancelled'],
+  confirmed: ['cancelled'],
+  declined: [],
+  cancelled: []
+};
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Minutes after midnight for "HH:MM", or null when the text is not a valid time
+ */
+function parseTime(text) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(typeof text === 'string' ? text.trim() : '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Whether two weekly slots share any time on the same weekday
+ */
+function slotsOverlap(a, b) {
+  return a.weekday === b.weekday && parseTime(a.startTime) < parseTime(b.endTime) && parseTime(b.startTime) < parseTime(a.endTime);
+}
+
+function canTransition(from, to) {
+  return (APPOINTMENT_TRANSITIONS[from] || []).includes(to);
+}
+
+// How far `timeZone` is ahead of UTC at `date`, in minutes
+function zoneOffsetMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+// The instant a wall-clock time on a calendar day falls on in `timeZone`
+function zonedInstant(year, month, day, minutes, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  let instant = wallClock - zoneOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  // A second pass settles times close to a daylight-saving change
+  instant = wallClock - zoneOffsetMinutes(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+}
+
+// The calendar day `date` falls on in `timeZone`
+function zonedDay(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' }).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day') };
+}
+
+/**
+ * Dated occurrences of weekly `slots` that start between `from` and `from` + `days`,
+ * as [{ slotId, startsAt, endsAt }] with ISO timestamps, earliest first
+ */
+function slotOccurrences(slots, { from, days, timeZone }) {
+  const start = zonedDay(from, timeZone);
+  const until = from.getTime() + days * 24 * 3600 * 1000;
+  const occurrences = [];
+  // One extra day covers the part of the range past midnight of the last whole day
+  for (let i = 0; i <= days; i++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+    const weekday = date.getUTCDay() || 7;
+    slots.filter(slot => slot.weekday === weekday).forEach(slot => {
+      const day = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+      const startsAt = zonedInstant(...day, parseTime(slot.startTime), timeZone);
+      if (startsAt < from || startsAt.getTime() > until) return;
+      occurrences.push({
+        slotId: slot.id,
+        startsAt: startsAt.toISOString(),
+        endsAt: zonedInstant(...day, parseTime(slot.endTime), timeZone).toISOString()
+      });
+    });
+  }
+  return occurrences.sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+}
+
+// ---------- iCalendar ----------
+
+function icsText(value) {
+  return String(value || '').replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+function icsTime(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * A single-event iCalendar file. `event` has uid, startsAt, endsAt (ISO),
+ * summary and optional description, location and url; `cancelled` marks a
+ * cancellation so calendars remove the event.
+ */
+function buildIcs(event) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Mental Health Companion//Appointments//EN',
+    `METHOD:${event.cancelled ? 'CANCEL' : 'PUBLISH'}`,
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${icsTime(new Date().toISOString())}`,
+    `DTSTART:${icsTime(event.startsAt)}`,
+    `DTEND:${icsTime(event.endsAt)}`,
+    `SUMMARY:${icsText(event.summary)}`,
+    `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${icsText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${icsText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  ACTIVE_APPOINTMENT_STATUSES,
+  WEEKDAYS,
+  parseTime,
+  slotsOverlap,
+  canTransition,
+  slotOccurrences,
+  buildIcs
+};
@@ -0,0 +1,101 @@
+// Guided exercises for "Stress Busting Exercise.html". Each exercises/<id>.json
+// describes one exercise, so new ones need no code; the page's player (script.js)
+// knows three types:
+//   breathing - `phases` ({ action: inhale|hold|exhale, label, seconds }) repeated
+//               for `cycles` ({ default, min, max }) rounds, shown as a pacer
+//   sequence  - `steps` ({ title, instruction, tenseSeconds, relaxSeconds }) run
+//               one after the other, as in progressive muscle relaxation
+//   timer     - a silent timer with a choice of `minutes` and `chimeMinutes`
+//               ({ default, options }; 0 means no interval chime) and `prompts`
+//               shown in turn
+// Every exercise also needs an id (the file name), a title and a description;
+// `order` sets its place on the page.
+const fs = require('fs');
+const path = require('path');
+
+const EXERCISE_TYPES = ['breathing', 'sequence', 'timer'];
+const BREATHING_ACTIONS = ['inhale', 'hold', 'exhale'];
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && value > 0;
+}
+
+function checkChoice(choice, name, problems, allowZero) {
+  const ok = value => typeof value === 'number' && (allowZero ? value >= 0 : value > 0);
+  if (!choice || !Array.isArray(choice.options) || choice.options.length === 0 || !choice.options.every(ok)) {
+    problems.push(`${name}.options must be a non-empty list of ${allowZero ? 'numbers of at least 0' : 'positive numbers'}`);
+  } else if (!choice.options.includes(choice.default)) {
+    problems.push(`${name}.default must be one of its options`);
+  }
+}
+
+/**
+ * Checks an exercise definition, returning a list of problems (empty when valid)
+ */
+function checkExerciseDefinition(def) {
+  const problems = [];
+  if (!def.id || !/^[a-z0-9-]+$/.test(def.id)) problems.push('id must be lowercase letters, digits and dashes');
+  if (!def.title) problems.push('title is required');
+  if (!def.description) problems.push('description is required');
+  if (!EXERCISE_TYPES.includes(def.type)) {
+    problems.push(`type must be one of ${EXERCISE_TYPES.join(', ')}`);
+    return problems;
+  }
+
+  if (def.type === 'breathing') {
+    if (!Array.isArray(def.phases) || def.phases.length === 0) {
+      problems.push('phases must be a non-empty array');
+    } else {
+      def.phases.forEach((phase, i) => {
+        if (!BREATHING_ACTIONS.includes(phase.action) || !phase.label || !isPositiveNumber(phase.seconds)) {
+          problems.push(`phase ${i + 1} needs an action (${BREATHING_ACTIONS.join('/')}), a label and seconds`);
+        }
+      });
+    }
+    const cycles = def.cycles || {};
+    if (![cycles.default, cycles.min, cycles.max].every(Number.isInteger) || cycles.min < 1 ||
+      cycles.default < cycles.min || cycles.default > cycles.max) {
+      problems.push('cycles needs whole numbers min >= 1, max and a default between them');
+    }
+  } else if (def.type === 'sequence') {
+    if (!Array.isArray(def.steps) || def.steps.length === 0) {
+      problems.push('steps must be a non-empty array');
+    } else {
+      def.steps.forEach((step, i) => {
+        if (!step.title || !step.instruction || !isPositiveNumber(step.tenseSeconds) || !isPositiveNumber(step.relaxSeconds)) {
+          problems.push(`step ${i + 1} needs a title, an instruction, tenseSeconds and relaxSeconds`);
+        }
+      });
+    }
+  } else {
+    checkChoice(def.minutes, 'minutes', problems, false);
+    checkChoice(def.chimeMinutes, 'chimeMinutes', problems, true);
+    if (typeof def.prompts !== 'undefined' && !(Array.isArray(def.prompts) && def.prompts.every(p => typeof p === 'string' && p))) {
+      problems.push('prompts must be a list of texts');
+    }
+  }
+  return problems;
+}
+
+/**
+ * Reads and checks every definition in `dir`, sorted by `order` then title.
+ * A broken definition throws, so the server refuses to start with it.
+ */
+function loadExercises(dir) {
+  const exercises = fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(file => {
+    const def = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const problems = checkExerciseDefinition(def);
+    if (problems.length > 0 || file !== `${def.id}.json`) {
+      throw new Error(`Invalid exercise ${file}: ${problems.join('; ') || 'file name must match id'}`);
+    }
+    return def;
+  });
+  const order = def => (typeof def.order === 'number' ? def.order : Infinity);
+  return exercises.sort((a, b) => order(a) - order(b) || a.title.localeCompare(b.title));
+}
+
+module.exports = {
+  EXERCISE_TYPES,
+  checkExerciseDefinition,
+  loadExercises
+};
@@ -0,0 +1,129 @@
+// Application-level encryption for personal columns (names, emails, messages...).
+//
+// Values are encrypted with AES-256-GCM and stored as
+//   enc:v1:<keyId>:<iv>:<tag>:<ciphertext>      (base64 parts)
+// with "<table>.<column>" as additional authenticated data, so a value copied
+// into another column fails to decrypt. Keys come from the environment:
+//
+//   DATA_ENCRYPTION_KEYS  comma-separated <keyId>:<base64 32-byte key> entries.
+//                         The first one encrypts; all of them decrypt, which is
+//                         how keys are rotated (see `view_db.js rotate-keys`).
+//   DATA_HASH_KEY         base64 key (32+ bytes) for emailHash, a keyed HMAC of
+//                         the lower-cased address used for lookups.
+//
+// With NODE_ENV=development and no keys set, fixed development keys are used.
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const DEV_KEY_ID = 'dev';
+
+let keyring = null;
+
+function loadKeyring() {
+  const spec = (process.env.DATA_ENCRYPTION_KEYS || '').trim();
+  const hashKey = (process.env.DATA_HASH_KEY || '').trim();
+  if (!spec && !hashKey && process.env.NODE_ENV === 'development') {
+    const devKey = name => crypto.createHash('sha256').update(`mental-health-companion-dev-${name}`).digest();
+    return { current: DEV_KEY_ID, keys: new Map([[DEV_KEY_ID, devKey('encryption')]]), hashKey: devKey('hash'), development: true };
+  }
+  if (!spec || !hashKey) {
+    throw new Error('DATA_ENCRYPTION_KEYS and DATA_HASH_KEY must be set to read or store personal data (or NODE_ENV=development to use development keys).');
+  }
+
+  const keys = new Map();
+  spec.split(',').forEach(entry => {
+    const [id, encoded] = entry.trim().split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!/^[A-Za-z0-9_-]+$/.test(id || '') || key.length !== 32) {
+      throw new Error(`DATA_ENCRYPTION_KEYS entry "${id || entry}" must be <keyId>:<base64 of 32 random bytes>`);
+    }
+    if (keys.has(id)) throw new Error(`DATA_ENCRYPTION_KEYS lists key id "${id}" twice`);
+    keys.set(id, key);
+  });
+  const hashKeyBytes = Buffer.from(hashKey, 'base64');
+  if (hashKeyBytes.length < 32) throw new Error('DATA_HASH_KEY must be base64 of at least 32 random bytes');
+  return { current: keys.keys().next().value, keys, hashKey: hashKeyBytes, development: false };
+}
+
+// Loaded on first use so scripts that never touch personal data need no keys
+function getKeyring() {
+  if (!keyring) keyring = loadKeyring();
+  return keyring;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypts a text value for table.column. null and undefined stay null.
+ */
+function encryptField(value, table, column) {
+  if (value === null || typeof value === 'undefined') return null;
+  const { current, keys } = getKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(current), iv);
+  cipher.setAAD(Buffer.from(`${table}.${column}`));
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return PREFIX + [current, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypts a value written by encryptField. Values that were never encrypted
+ * (rows written before encryption, anonymisation placeholders) are returned as is.
+ */
+function decryptField(value, table, column) {
+  if (!isEncrypted(value)) return value;
+  const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  const key = getKeyring().keys.get(keyId);
+  if (!key) throw new Error(`${table}.${column} is encrypted with key "${keyId}", which is not in DATA_ENCRYPTION_KEYS`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(`${table}.${column}`));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// True when the value is already encrypted with the current key (nothing to rotate)
+function usesCurrentKey(value) {
+  return isEncrypted(value) && value.startsWith(`${PREFIX}${getKeyring().current}:`);
+}
+
+/**
+ * Keyed hash of an email address for equality lookups without decrypting
+ */
+function emailHash(email) {
+  if (email === null || typeof email === 'undefined') return null;
+  return crypto.createHmac('sha256', getKeyring().hashKey).update(String(email).trim().toLowerCase()).digest('hex');
+}
+
+// Email addresses in free text, such as the visitor's address in a staff alert
+const EMAIL_IN_TEXT = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+/**
+ * Keyed hashes of every address a mail goes to or mentions, stored as
+ * ",<hash>,<hash>," so one address is found with instr(). `mail` holds the
+ * plaintext recipients, subject and body.
+ */
+function mailEmailHashes(mail) {
+  const addresses = String(mail.recipients || '').split(',')
+    .concat(`${mail.subject || ''}\n${mail.body || ''}`.match(EMAIL_IN_TEXT) || [])
+    .map(address => address.trim().toLowerCase())
+    .filter(address => address.includes('@'));
+  const hashes = [...new Set(addresses)].map(emailHash);
+  return hashes.length ? `,${hashes.join(',')},` : null;
+}
+
+function generateKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+module.exports = {
+  getKeyring,
+  isEncrypted,
+  encryptField,
+  decryptField,
+  usesCurrentKey,
+  emailHash,
+  mailEmailHashes,
+  generateKey
+};
@@ -0,0 +1,169 @@
+// Abuse protection for the public form endpoints: per-IP and per-email rate
+// limits, a honeypot field and a spam score. The policy comes from
+// config/form_protection.json (see README). Counters live in memory, so they
+// reset when the server restarts; rejected attempts are recorded by server.js.
+//
+// Spam score points:
+//   - every link beyond `freeLinks` in the endpoint's text fields
+//   - text identical to a recent submission, or made of one repeated word/character
+//   - a form sent sooner than `minFillSeconds` after the page set `formStartedAt`
+//     (or without that field at all, as scripts posting directly do)
+// A submission scoring `threshold` or more is rejected.
+const crypto = require('crypto');
+
+// Hidden input that people never see or fill in; anything in it means a bot. Its
+// name must not look like a real field (website, url, company...), or browser and
+// password-manager autofill would fill it in for people.
+const HONEYPOT_FIELD = 'leave_empty';
+const PRUNE_THRESHOLD = 10000;
+
+function honeypotFilled(data) {
+  return typeof data[HONEYPOT_FIELD] === 'string' ? data[HONEYPOT_FIELD].trim() !== '' : Boolean(data[HONEYPOT_FIELD]);
+}
+
+/**
+ * Checks a policy file's shape, returning a list of problems (empty when valid)
+ */
+function checkFormPolicy(policy) {
+  const problems = [];
+  if (!(policy.windowMinutes > 0)) problems.push('windowMinutes must be a positive number');
+  Object.keys(policy.endpoints || {}).forEach(name => {
+    const endpoint = policy.endpoints[name];
+    ['perIp', 'perEmail'].forEach(key => {
+      if (typeof endpoint[key] !== 'undefined' && !(Number.isInteger(endpoint[key]) && endpoint[key] > 0)) {
+        problems.push(`endpoints.${name}.${key} must be a positive whole number`);
+      }
+    });
+    if (!Array.isArray(endpoint.text)) problems.push(`endpoints.${name}.text must list the text fields to score`);
+  });
+  const spam = policy.spam || {};
+  ['threshold', 'pointsPerLink', 'freeLinks', 'repeatPoints', 'repeatWindowMinutes', 'minFillSeconds', 'tooFastPoints', 'noTimingPoints']
+    .forEach(key => {
+      if (typeof spam[key] !== 'number' || spam[key] < 0) problems.push(`spam.${key} must be a number of at least 0`);
+    });
+  return problems;
+}
+
+// Drops expired entries once a map grows large, so memory stays bounded
+function pruneExpired(map, now) {
+  if (map.size < PRUNE_THRESHOLD) return;
+  map.forEach((entry, key) => {
+    if (entry.expiresAt <= now) map.delete(key);
+  });
+}
+
+function countLinks(text) {
+  return (text.match(/\b(?:https?:\/\/|www\.)\S+/gi) || []).length;
+}
+
+// One word or character making up (nearly) the whole text
+function isRepetitive(text) {
+  if (/(\S)\1{15,}/.test(text)) return true;
+  const words = text.toLowerCase().match(/\w+/g) || [];
+  if (words.length < 6) return false;
+  const counts = {};
+  words.forEach(word => { counts[word] = (counts[word] || 0) + 1; });
+  return Math.max(...Object.values(counts)) / words.length > 0.6;
+}
+
+/**
+ * Creates the guard for one server process. `policy` is the parsed
+ * config/form_protection.json.
+ */
+function createFormGuard(policy) {
+  const windowMs = policy.windowMinutes * 60 * 1000;
+  const counters = new Map();
+  const recentTexts = new Map();
+
+  // Fixed-window counter; returns the seconds until the window resets when over the limit
+  function hit(key, limit, now) {
+    pruneExpired(counters, now);
+    let entry = counters.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      entry = { count: 0, expiresAt: now + windowMs };
+      counters.set(key, entry);
+    }
+    entry.count++;
+    return entry.count > limit ? Math.ceil((entry.expiresAt - now) / 1000) : 0;
+  }
+
+  /**
+   * Counts a submission against the endpoint's per-IP and per-email limits.
+   * Returns { allowed: true } or { allowed: false, reason, retryAfter }.
+   */
+  function checkRate(endpoint, ip, emails, now = Date.now()) {
+    const rules = policy.endpoints[endpoint] || {};
+    if (rules.perIp) {
+      const retryAfter = hit(`${endpoint}|ip|${ip}`, rules.perIp, now);
+      if (retryAfter) return { allowed: false, reason: 'rate_limit_ip', retryAfter };
+    }
+    if (rules.perEmail) {
+      for (const email of emails) {
+        const retryAfter = hit(`${endpoint}|email|${String(email).trim().toLowerCase()}`, rules.perEmail, now);
+        if (retryAfter) return { allowed: false, reason: 'rate_limit_email', retryAfter };
+      }
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Scores a submission's text fields and timing. Returns { score, reasons, rejected }.
+   */
+  function spamScore(endpoint, data, now = Date.now()) {
+    const rules = policy.spam;
+    const fields = (policy.endpoints[endpoint] || {}).text || [];
+    const text = fields.map(field => (typeof data[field] === 'string' ? data[field] : '')).join('\n').trim();
+    const reasons = [];
+    let score = 0;
+
+    const extraLinks = Math.max(0, countLinks(text) - rules.freeLinks);
+    if (extraLinks > 0) {
+      score += extraLinks * rules.pointsPerLink;
+      reasons.push(`links:${extraLinks}`);
+    }
+
+    if (text.length >= 20) {
+      pruneExpired(recentTexts, now);
+      const key = endpoint + '|' + crypto.createHash('sha256').update(text.toLowerCase().replace(/\s+/g, ' ')).digest('hex');
+      const seen = recentTexts.get(key);
+      if ((seen && seen.expiresAt > now) || isRepetitive(text)) {
+        score += rules.repeatPoints;
+        reasons.push('repeated');
+      }
+      recentTexts.set(key, { expiresAt: now + rules.repeatWindowMinutes * 60 * 1000 });
+    }
+
+    const startedAt = Number(data.formStartedAt);
+    if (!data.formStartedAt || !Number.isFinite(startedAt)) {
+      score += rules.noTimingPoints;
+      if (rules.noTimingPoints) reasons.push('no_timing');
+    } else if (now - startedAt < rules.minFillSeconds * 1000) {
+      score += rules.tooFastPoints;
+      reasons.push('too_fast');
+    }
+
+    return { score, reasons, rejected: score >= rules.threshold };
+  }
+
+  return { checkRate, spamScore };
+}
+
+/**
+ * True when every address matches an allowlist entry: either the whole address
+ * or its domain (entries are stored lower-case)
+ */
+function recipientsAllowed(recipients, entries) {
+  const allowed = new Set(entries.map(entry => entry.toLowerCase()));
+  return recipients.every(address => {
+    const lower = address.trim().toLowerCase();
+    return allowed.has(lower) || allowed.has(lower.slice(lower.lastIndexOf('@') + 1));
+  });
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  honeypotFilled,
+  checkFormPolicy,
+  createFormGuard,
+  recipientsAllowed
+};
@@ -0,0 +1,138 @@
+// A small Markdown renderer for awareness articles, written by staff in the
+// admin dashboard and shown on /articles/:slug.
+//
+// Supported: # headings, paragraphs, - and 1. lists, > quotes, ``` code blocks,
+// --- rules, **bold**, *italic*, `code`, [links](url) and ![images](url), plus
+// one extension: a line `@[video](https://www.youtube.com/embed/<id>)` embeds a
+// YouTube player. Everything else is text: the source is HTML-escaped before
+// any markup is added, and links and images only accept http(s), mailto and
+// site-relative addresses, so an article cannot inject script.
+const VIDEO_LINE = /^@\[video\]\((https:\/\/www\.youtube(?:-nocookie)?\.com\/embed\/[\w-]+(?:\?[\w=&;%.-]*)?)\)$/;
+const HEADING_LINE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_LINE = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+const FENCE_LINE = /^```/;
+const QUOTE_LINE = /^\s*>\s?/;
+const BULLET_ITEM = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+// The (url) of a link or image; it may hold one level of balanced parentheses,
+// as in Wikipedia addresses, so a rejected url never leaves a stray ")" behind
+const URL_PART = '\\(((?:[^()\\s]|\\([^()\\s]*\\))+)\\)';
+const IMAGE = new RegExp('!\\[([^\\]]*)\\]' + URL_PART, 'g');
+const LINK = new RegExp('\\[([^\\]]+)\\]' + URL_PART, 'g');
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#x27;');
+}
+
+// Addresses are checked after escaping, so quotes cannot end the attribute
+function safeUrl(url) {
+  if (/^(?:https?:|mailto:)/i.test(url)) return url;
+  return /^[a-z][a-z0-9+.-]*:/i.test(url) ? null : url;
+}
+
+function renderInline(text) {
+  // Rendered pieces are parked as \u0000n\u0000 so later rules leave them alone
+  const parked = [];
+  const park = html => `\u0000${parked.push(html) - 1}\u0000`;
+
+  let out = escapeHtml(text)
+    .replace(/`([^`]+)`/g, (match, code) => park(`<code>${code}</code>`))
+    .replace(IMAGE, (match, alt, url) => {
+      const src = safeUrl(url);
+      return src ? park(`<img src="${src}" alt="${alt}" loading="lazy">`) : alt;
+    })
+    .replace(LINK, (match, label, url) => {
+      const href = safeUrl(url);
+      if (!href) return label;
+      const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+      return park(`<a href="${href}"${external}>${renderEmphasis(label)}</a>`);
+    });
+  out = renderEmphasis(out);
+  return out.replace(/\u0000(\d+)\u0000/g, (match, i) => parked[Number(i)]);
+}
+
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)(.+?)_(?![\w])/g, '$1<em>$2</em>');
+}
+
+// Lines that start a block of their own and so end a paragraph
+function startsBlock(line) {
+  return HEADING_LINE.test(line) || RULE_LINE.test(line) || FENCE_LINE.test(line) || QUOTE_LINE.test(line)
+    || BULLET_ITEM.test(line) || NUMBERED_ITEM.test(line) || VIDEO_LINE.test(line.trim());
+}
+
+/**
+ * The HTML for a Markdown `source`
+ */
+function renderMarkdown(source) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+    if (!line.trim()) {
+      i++;
+    } else if (FENCE_LINE.test(line)) {
+      const code = [];
+      for (i++; i < lines.length && !FENCE_LINE.test(lines[i]); i++) code.push(lines[i]);
+      i++;
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+    } else if ((match = HEADING_LINE.exec(line))) {
+      const level = match[1].length;
+      blocks.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+      i++;
+    } else if (RULE_LINE.test(line)) {
+      blocks.push('<hr>');
+      i++;
+    } else if ((match = VIDEO_LINE.exec(line.trim()))) {
+      blocks.push(`<div class="article-video"><iframe src="${escapeHtml(match[1])}" title="Video" loading="lazy" allowfullscreen></iframe></div>`);
+      i++;
+    } else if (QUOTE_LINE.test(line)) {
+      const quoted = [];
+      for (; i < lines.length && QUOTE_LINE.test(lines[i]); i++) quoted.push(lines[i].replace(QUOTE_LINE, ''));
+      blocks.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+    } else if (BULLET_ITEM.test(line) || NUMBERED_ITEM.test(line)) {
+      const pattern = BULLET_ITEM.test(line) ? BULLET_ITEM : NUMBERED_ITEM;
+      const items = [];
+      // Indented lines continue the item above them
+      for (; i < lines.length && lines[i].trim(); i++) {
+        if ((match = pattern.exec(lines[i]))) items.push(match[1]);
+        else if (/^\s+/.test(lines[i])) items[items.length - 1] += ' ' + lines[i].trim();
+        else break;
+      }
+      const tag = pattern === BULLET_ITEM ? 'ul' : 'ol';
+      blocks.push(`<${tag}>${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`);
+    } else {
+      const paragraph = [line.trim()];
+      for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines[i]); i++) paragraph.push(lines[i].trim());
+      blocks.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+    }
+  }
+  return blocks.join('\n');
+}
+
+/**
+ * The text of a Markdown `source` without markup, e.g. for a page description
+ */
+function markdownText(source) {
+  return String(source || '')
+    .replace(/^```[\s\S]*?^```/gm, '')
+    .replace(/^@\[video\]\(.*\)$/gm, '')
+    .replace(/^\s*([-*_])(?:\s*\1){2,}\s*$/gm, '')
+    .replace(IMAGE, '')
+    .replace(LINK, '$1')
+    .replace(/^\s*(?:#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+    .replace(/[*_`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  renderMarkdown,
+  markdownText
+};
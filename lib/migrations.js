@@ -0,0 +1,120 @@
+// Versioned schema migrations for data/app.db.
+//
+// Migrations live in migrations/ as NNN_description.sql or NNN_description.js and
+// run in version order. A .sql file is executed as-is; a .js file exports
+// `up(q)`, where q offers promise versions of run/all/exec for changes that
+// depend on the current schema. Each migration runs in its own transaction
+// together with its row in schema_migrations, so it is applied completely or
+// not at all. Applied migrations must never be edited; add a new one instead.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(sql|js)$/;
+
+function promised(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    exec: (sql) => new Promise((resolve, reject) => {
+      db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    })
+  };
+}
+
+/**
+ * The migration files on disk, sorted by version
+ */
+function listMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => !file.startsWith('.'))
+    .map(file => {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) throw new Error(`Migration file ${file} must be named NNN_description.sql or .js`);
+      return { version: parseInt(match[1], 10), name: `${match[1]}_${match[2]}`, file: path.join(dir, file), type: match[3] };
+    })
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((m, i) => {
+    if (i > 0 && m.version === migrations[i - 1].version) {
+      throw new Error(`Migrations ${migrations[i - 1].name} and ${m.name} share version ${m.version}`);
+    }
+  });
+  return migrations;
+}
+
+function ensureMigrationsTable(q) {
+  return q.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    appliedAt TEXT NOT NULL
+  )`);
+}
+
+/**
+ * Applied and pending migrations. `unknown` lists versions recorded in the
+ * database with no file on disk (a database newer than this code).
+ */
+async function migrationStatus(db, dir = MIGRATIONS_DIR) {
+  const q = promised(db);
+  const tables = await q.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+  const applied = tables.length ? await q.all('SELECT version, name, appliedAt FROM schema_migrations ORDER BY version') : [];
+  const migrations = listMigrations(dir);
+  const appliedVersions = new Set(applied.map(row => row.version));
+  return {
+    applied,
+    pending: migrations.filter(m => !appliedVersions.has(m.version)),
+    unknown: applied.filter(row => !migrations.some(m => m.version === row.version))
+  };
+}
+
+/**
+ * Applies every pending migration in order and returns the ones applied.
+ * Stops at the first failure, which is rolled back and rethrown.
+ */
+async function migrate(db, { dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  const q = promised(db);
+  // Wait for another process's migration instead of failing with SQLITE_BUSY
+  db.configure('busyTimeout', 10000);
+  await ensureMigrationsTable(q);
+  const { pending } = await migrationStatus(db, dir);
+  const done = [];
+
+  for (const migration of pending) {
+    // IMMEDIATE takes the write lock up front, so a second process (server and
+    // CLI at once) waits here and then sees the migration as already applied
+    await q.run('BEGIN IMMEDIATE');
+    try {
+      const already = await q.all('SELECT version FROM schema_migrations WHERE version = ?', [migration.version]);
+      if (already.length === 0) {
+        if (migration.type === 'sql') {
+          await q.exec(fs.readFileSync(migration.file, 'utf8'));
+        } else {
+          await require(migration.file).up(q);
+        }
+        await q.run('INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?,?,?)',
+          [migration.version, migration.name, new Date().toISOString()]);
+        done.push(migration);
+      }
+      await q.run('COMMIT');
+    } catch (err) {
+      await q.run('ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${migration.name} failed: ${err.message}`);
+    }
+    if (done.includes(migration)) log(`Applied migration ${migration.name}`);
+  }
+  return done;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  listMigrations,
+  migrationStatus,
+  migrate
+};
@@ -0,0 +1,138 @@
+// Structured logging and Prometheus metrics for server.js.
+//
+// Log lines are single JSON objects: { time, level, msg, ...fields }. Info and
+// debug go to stdout, warnings and errors to stderr. LOG_LEVEL (debug, info,
+// warn or error; default info) drops anything less severe.
+//
+// Metrics are kept in memory and rendered in the Prometheus text format
+// (version 0.0.4), so they reset when the process restarts.
+const crypto = require('crypto');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+// Incoming X-Request-Id values are reused only when they look like an id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function requestId(header) {
+  return typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+}
+
+// Errors do not serialise to JSON on their own; `req` contributes its request id
+function logFields(fields) {
+  const out = {};
+  Object.keys(fields || {}).forEach(key => {
+    const value = fields[key];
+    if (key === 'req') {
+      if (value && value.id) out.requestId = value.id;
+    } else if (key === 'err') {
+      out.error = value && value.message ? value.message : String(value);
+      if (value && value.stack) out.stack = value.stack;
+    } else {
+      out[key] = value;
+    }
+  });
+  return out;
+}
+
+/**
+ * Creates a logger with debug/info/warn/error(msg, fields). `fields` may hold
+ * `err` (an Error) and `req` (adds its request id) besides plain values.
+ */
+function createLogger({ level = process.env.LOG_LEVEL || 'info', stdout = process.stdout, stderr = process.stderr } = {}) {
+  const threshold = Math.max(0, LOG_LEVELS.indexOf(level));
+  const logger = {};
+  LOG_LEVELS.forEach((name, index) => {
+    logger[name] = (msg, fields) => {
+      if (index < threshold) return;
+      const line = JSON.stringify(Object.assign({ time: new Date().toISOString(), level: name, msg }, logFields(fields)));
+      (index >= LOG_LEVELS.indexOf('warn') ? stderr : stdout).write(line + '\n');
+    };
+  });
+  return logger;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const keys = Object.keys(labels);
+  return keys.length ? '{' + keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',') + '}' : '';
+}
+
+/**
+ * Creates a metrics registry. Counters and histograms are declared once with
+ * counter(name, help) / histogram(name, help, buckets), then updated with
+ * inc(name, labels, by) and observe(name, labels, value). Gauges are read when
+ * rendering: gauge(name, help, collect) where collect() resolves to
+ * [{ labels, value }]. render() resolves to the exposition text.
+ */
+function createMetrics() {
+  const metrics = new Map();
+
+  function declare(name, type, help, extra) {
+    if (metrics.has(name)) throw new Error(`Metric ${name} is already declared`);
+    metrics.set(name, Object.assign({ name, type, help, series: new Map() }, extra));
+  }
+
+  // One series per distinct label set
+  function series(name, labels, create) {
+    const metric = metrics.get(name);
+    if (!metric) throw new Error(`Unknown metric ${name}`);
+    const key = labelText(labels);
+    if (!metric.series.has(key)) metric.series.set(key, create(metric));
+    return metric.series.get(key);
+  }
+
+  function inc(name, labels = {}, by = 1) {
+    series(name, labels, () => ({ labels, value: 0 })).value += by;
+  }
+
+  function observe(name, labels, value) {
+    const entry = series(name, labels, metric => ({ labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+    const buckets = metrics.get(name).buckets;
+    buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  async function render() {
+    const lines = [];
+    for (const metric of metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      if (metric.type === 'gauge') {
+        (await metric.collect()).forEach(({ labels, value }) => lines.push(`${metric.name}${labelText(labels)} ${value}`));
+      } else if (metric.type === 'histogram') {
+        metric.series.forEach(entry => {
+          metric.buckets.forEach((bound, i) => {
+            lines.push(`${metric.name}_bucket${labelText(Object.assign({}, entry.labels, { le: bound }))} ${entry.counts[i]}`);
+          });
+          lines.push(`${metric.name}_bucket${labelText(Object.assign({}, entry.labels, { le: '+Inf' }))} ${entry.count}`);
+          lines.push(`${metric.name}_sum${labelText(entry.labels)} ${entry.sum}`);
+          lines.push(`${metric.name}_count${labelText(entry.labels)} ${entry.count}`);
+        });
+      } else {
+        metric.series.forEach(entry => lines.push(`${metric.name}${labelText(entry.labels)} ${entry.value}`));
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    counter: (name, help) => declare(name, 'counter', help),
+    histogram: (name, help, buckets = DEFAULT_BUCKETS) => declare(name, 'histogram', help, { buckets }),
+    gauge: (name, help, collect) => declare(name, 'gauge', help, { collect }),
+    inc,
+    observe,
+    render
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  requestId,
+  createLogger,
+  createMetrics
+};
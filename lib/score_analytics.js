@@ -0,0 +1,165 @@
+// Aggregate statistics over the scores table for the admin analytics page.
+// Nothing here returns individual rows: results are grouped by week or month,
+// and any group smaller than `minGroupSize` responses is suppressed (its
+// numbers replaced by null) so that rare answers cannot point to a person.
+// Where one hidden figure could be worked out from a total, a second one is
+// hidden with it.
+//
+// Date ranges are widened to whole periods and the overall figures only add up
+// periods that are shown, so comparing two ranges, or the overall figures with
+// the shown periods, gives nothing that a shown group does not already tell.
+
+const PERIODS = ['week', 'month'];
+
+/**
+ * The period a timestamp falls in: "2025-03" for months, ISO weeks such as
+ * "2025-W09" for weeks (weeks start on Monday and belong to the year of their Thursday)
+ */
+function periodKey(timestamp, period) {
+  const date = new Date(timestamp);
+  if (period === 'month') return date.toISOString().slice(0, 7);
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+  const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getUTCDay() + 6) % 7)) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// The first moment of the week (Monday, UTC) or month that `date` falls in
+function periodStart(date, period) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), period === 'month' ? 1 : date.getUTCDate()));
+  if (period === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Widens an ISO `from`/`to` range (either may be null) to whole weeks or months,
+ * so that two ranges never differ by part of a period
+ */
+function periodRange(from, to, period) {
+  const range = { from: null, to: null };
+  if (from) range.from = periodStart(new Date(from), period).toISOString();
+  if (to) {
+    const end = periodStart(new Date(to), period);
+    if (period === 'month') end.setUTCMonth(end.getUTCMonth() + 1);
+    else end.setUTCDate(end.getUTCDate() + 7);
+    range.to = new Date(end.getTime() - 1).toISOString();
+  }
+  return range;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Replaces counts below `minGroupSize` with null. When that hides exactly one
+ * count, the next smallest is hidden too, so the total cannot give it away.
+ * `counts` maps keys to counts; zero counts are left visible.
+ */
+function suppressSmall(counts, minGroupSize) {
+  const result = Object.assign({}, counts);
+  const keys = Object.keys(result).filter(key => result[key] > 0);
+  const hidden = keys.filter(key => result[key] < minGroupSize);
+  if (hidden.length === 1) {
+    const next = keys.filter(key => result[key] >= minGroupSize).sort((a, b) => result[a] - result[b])[0];
+    if (next) hidden.push(next);
+  }
+  hidden.forEach(key => { result[key] = null; });
+  return result;
+}
+
+function bandCounts(rows, questionnaire) {
+  const bands = {};
+  questionnaire.bands.forEach(band => { bands[band.key] = 0; });
+  rows.forEach(row => { bands[row.band] = (bands[row.band] || 0) + 1; });
+  return bands;
+}
+
+function summarise(rows, questionnaire, minGroupSize) {
+  if (rows.length < minGroupSize) {
+    return { responses: null, average: null, bands: null, suppressed: true };
+  }
+  return {
+    responses: rows.length,
+    average: round(rows.reduce((sum, row) => sum + row.score, 0) / rows.length),
+    bands: suppressSmall(bandCounts(rows, questionnaire), minGroupSize),
+    suppressed: false
+  };
+}
+
+/**
+ * Aggregates one questionnaire's score rows ({ score, band, answers, receivedAt },
+ * oldest first) into overall figures, a trend per period and per-question
+ * averages of the raw answer values. Rows in hidden periods are left out of the
+ * overall figures and the question averages.
+ */
+function aggregateScores(rows, questionnaire, { period, minGroupSize }) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = periodKey(row.receivedAt, period);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  // Periods are suppressed together like band cells, as the overall total would reveal a lone one
+  const sizes = {};
+  groups.forEach((group, key) => { sizes[key] = group.length; });
+  const shown = suppressSmall(sizes, minGroupSize);
+  const trend = Array.from(groups.keys()).map(key =>
+    Object.assign({ period: key }, summarise(shown[key] === null ? [] : groups.get(key), questionnaire, minGroupSize)));
+  const shownKeys = Array.from(groups.keys()).filter(key => shown[key] !== null);
+
+  // A band hidden in any period stays hidden overall, or the overall count less
+  // the other periods' counts would give it away
+  const overall = summarise([].concat(...shownKeys.map(key => groups.get(key))), questionnaire, minGroupSize);
+  if (!overall.suppressed) {
+    const hiddenBands = Object.keys(overall.bands).filter(band =>
+      overall.bands[band] === null || trend.some(bucket => !bucket.suppressed && bucket.bands[band] === null));
+    // One hidden band would follow from the overall responses, so a second goes with it
+    if (hiddenBands.length === 1) {
+      const next = Object.keys(overall.bands).filter(band => overall.bands[band] > 0 && !hiddenBands.includes(band))
+        .sort((a, b) => overall.bands[a] - overall.bands[b])[0];
+      if (next) hiddenBands.push(next);
+    }
+    hiddenBands.forEach(band => { overall.bands[band] = null; });
+  }
+
+  // Rows stored before per-question answers were kept have no answers. Each
+  // period only counts towards a question when it has enough answers to it.
+  const answeredIn = key => groups.get(key).map(row => {
+    try {
+      return row.answers ? JSON.parse(row.answers) : null;
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean);
+  const answered = new Map(shownKeys.map(key => [key, answeredIn(key)]));
+  const questions = questionnaire.questions.map(question => {
+    const values = [].concat(...shownKeys.map(key => {
+      const periodValues = answered.get(key).map(answers => answers[question.id]).filter(value => typeof value === 'number');
+      return periodValues.length >= minGroupSize ? periodValues : [];
+    }));
+    const visible = values.length >= minGroupSize;
+    return {
+      id: question.id,
+      text: question.text,
+      responses: visible ? values.length : null,
+      average: visible ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null,
+      suppressed: !visible
+    };
+  });
+
+  return {
+    overall,
+    trend,
+    questions,
+    suppressedPeriods: trend.filter(bucket => bucket.suppressed).length
+  };
+}
+
+module.exports = {
+  PERIODS,
+  periodKey,
+  periodRange,
+  aggregateScores
+};
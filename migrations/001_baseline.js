@@ -0,0 +1,157 @@
+// The schema as it stood when migrations were introduced. Databases created by
+// earlier versions of server.js already have some of these tables, possibly
+// without the columns added since, so everything here is conditional: missing
+// tables are created and missing columns added. Later migrations can assume
+// this exact schema.
+
+const TABLES = [
+  `CREATE TABLE IF NOT EXISTS seminars (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    description TEXT,
+    startsAt TEXT NOT NULL,
+    endsAt TEXT NOT NULL,
+    location TEXT NOT NULL,
+    capacity INTEGER NOT NULL,
+    createdAt TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS registrations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    address TEXT,
+    contact TEXT NOT NULL,
+    seminarId INTEGER REFERENCES seminars(id),
+    status TEXT NOT NULL DEFAULT 'confirmed',
+    cancelToken TEXT,
+    cancelledAt TEXT,
+    receivedAt TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS contacts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    message TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'new',
+    assignedTo TEXT,
+    updatedAt TEXT,
+    receivedAt TEXT NOT NULL
+  )`,
+  // Internal staff notes on a contact inquiry; never shown to the person who wrote in
+  `CREATE TABLE IF NOT EXISTS contact_notes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contactId INTEGER NOT NULL REFERENCES contacts(id),
+    author TEXT NOT NULL,
+    note TEXT NOT NULL,
+    createdAt TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS contact_status_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contactId INTEGER NOT NULL REFERENCES contacts(id),
+    fromStatus TEXT,
+    toStatus TEXT NOT NULL,
+    changedBy TEXT NOT NULL,
+    changedAt TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS scores (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    score REAL NOT NULL,
+    questionnaire TEXT,
+    band TEXT,
+    answers TEXT,
+    details TEXT,
+    historyKey TEXT,
+    receivedAt TEXT NOT NULL
+  )`,
+  // Assessments whose answers matched a questionnaire's riskItems. Contact details
+  // are only stored when the person opts in from the crisis panel.
+  `CREATE TABLE IF NOT EXISTS safety_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scoreId INTEGER REFERENCES scores(id),
+    questionnaire TEXT NOT NULL,
+    triggers TEXT NOT NULL,
+    token TEXT NOT NULL,
+    contactName TEXT,
+    contactEmail TEXT,
+    contactPhone TEXT,
+    contactPreferredTime TEXT,
+    contactRequestedAt TEXT,
+    createdAt TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS mails (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recipients TEXT,
+    subject TEXT,
+    body TEXT,
+    status TEXT,
+    sentAt TEXT,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    nextAttemptAt TEXT,
+    createdAt TEXT,
+    html TEXT,
+    template TEXT,
+    contactId INTEGER REFERENCES contacts(id)
+  )`,
+  // Staff accounts for /admin; passwordHash is scrypt$<salt>$<key> (see lib/admin_accounts.js)
+  `CREATE TABLE IF NOT EXISTS admin_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    passwordHash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    createdAt TEXT NOT NULL,
+    lastLoginAt TEXT
+  )`,
+  // Signed-in admin sessions; only the SHA-256 of the cookie token is stored
+  `CREATE TABLE IF NOT EXISTS admin_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tokenHash TEXT NOT NULL UNIQUE,
+    userId INTEGER NOT NULL REFERENCES admin_users(id),
+    csrfToken TEXT NOT NULL,
+    createdAt TEXT NOT NULL,
+    expiresAt TEXT NOT NULL
+  )`
+];
+
+// Columns added after the first release, which older tables may lack
+const ADDED_COLUMNS = [
+  ['registrations', 'seminarId', 'INTEGER REFERENCES seminars(id)'],
+  ['registrations', 'status', "TEXT NOT NULL DEFAULT 'confirmed'"],
+  ['registrations', 'cancelToken', 'TEXT'],
+  ['registrations', 'cancelledAt', 'TEXT'],
+  ['contacts', 'status', "TEXT NOT NULL DEFAULT 'new'"],
+  ['contacts', 'assignedTo', 'TEXT'],
+  ['contacts', 'updatedAt', 'TEXT'],
+  ['scores', 'questionnaire', 'TEXT'],
+  ['scores', 'band', 'TEXT'],
+  ['scores', 'answers', 'TEXT'],
+  ['scores', 'historyKey', 'TEXT'],
+  ['mails', 'attempts', 'INTEGER NOT NULL DEFAULT 0'],
+  ['mails', 'nextAttemptAt', 'TEXT'],
+  ['mails', 'createdAt', 'TEXT'],
+  ['mails', 'html', 'TEXT'],
+  ['mails', 'template', 'TEXT'],
+  ['mails', 'contactId', 'INTEGER REFERENCES contacts(id)']
+];
+
+const INDEXES = [
+  // Backstop for validateRegistration's duplicate check when two requests race
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_registrations_active_email
+    ON registrations (seminarId, lower(email)) WHERE status IN ('confirmed','waitlisted')`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_registrations_cancel_token ON registrations (cancelToken)',
+  'CREATE INDEX IF NOT EXISTS idx_scores_history_key ON scores (historyKey)'
+];
+
+exports.up = async (q) => {
+  for (const sql of TABLES) await q.run(sql);
+  for (const [table, column, definition] of ADDED_COLUMNS) {
+    const cols = await q.all(`PRAGMA table_info('${table}')`);
+    if (!cols.some(c => c.name === column)) {
+      await q.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+  // Mails from before createdAt was added would otherwise never reach the
+  // retention cutoff; rows with no date at all start counting from now
+  await q.run('UPDATE mails SET createdAt = COALESCE(sentAt, nextAttemptAt, ?) WHERE createdAt IS NULL', [new Date().toISOString()]);
+  for (const sql of INDEXES) await q.run(sql);
+};
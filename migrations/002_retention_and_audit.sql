@@ -0,0 +1,21 @@
+-- When retention or an erasure anonymised a row; such rows are skipped afterwards
+ALTER TABLE registrations ADD COLUMN anonymisedAt TEXT;
+ALTER TABLE contacts ADD COLUMN anonymisedAt TEXT;
+ALTER TABLE scores ADD COLUMN anonymisedAt TEXT;
+ALTER TABLE safety_events ADD COLUMN anonymisedAt TEXT;
+ALTER TABLE mails ADD COLUMN anonymisedAt TEXT;
+
+-- Who did what to which record. Personal data is never written here: subject
+-- access and erasures identify the person only by their keyed email hash
+-- (emailHash in lib/field_crypto.js).
+CREATE TABLE audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  targetTable TEXT,
+  targetId INTEGER,
+  details TEXT,
+  ip TEXT,
+  createdAt TEXT NOT NULL
+);
+CREATE INDEX idx_audit_log_created_at ON audit_log (createdAt);
@@ -0,0 +1,33 @@
+// Encrypts the personal columns of registrations, contacts and safety_events
+// with lib/field_crypto.js and adds the keyed email hashes used for lookups.
+// The unique index on active registrations moves from lower(email), which no
+// longer compares ciphertexts meaningfully, to emailHash.
+const { isEncrypted, encryptField, emailHash } = require('../lib/field_crypto');
+
+const ENCRYPTED = {
+  registrations: { columns: ['name', 'email', 'address', 'contact'], email: 'email', hash: 'emailHash' },
+  contacts: { columns: ['name', 'email', 'message'], email: 'email', hash: 'emailHash' },
+  safety_events: { columns: ['contactName', 'contactEmail', 'contactPhone', 'contactPreferredTime'], email: 'contactEmail', hash: 'contactEmailHash' }
+};
+
+exports.up = async (q) => {
+  for (const table of Object.keys(ENCRYPTED)) {
+    const { columns, email, hash } = ENCRYPTED[table];
+    await q.run(`ALTER TABLE ${table} ADD COLUMN ${hash} TEXT`);
+
+    const rows = await q.all(`SELECT id, anonymisedAt, ${columns.join(',')} FROM ${table}`);
+    for (const row of rows) {
+      // Anonymised rows only hold placeholders and keep no email hash
+      const hashValue = row.anonymisedAt || !row[email] ? null : emailHash(row[email]);
+      const values = columns.map(col => (isEncrypted(row[col]) ? row[col] : encryptField(row[col], table, col)));
+      await q.run(`UPDATE ${table} SET ${columns.map(col => `${col} = ?`).join(', ')}, ${hash} = ? WHERE id = ?`,
+        values.concat([hashValue, row.id]));
+    }
+  }
+
+  await q.run('DROP INDEX IF EXISTS idx_registrations_active_email');
+  await q.run(`CREATE UNIQUE INDEX idx_registrations_active_email_hash
+    ON registrations (seminarId, emailHash) WHERE status IN ('confirmed','waitlisted')`);
+  await q.run('CREATE INDEX idx_contacts_email_hash ON contacts (emailHash)');
+  await q.run('CREATE INDEX idx_safety_events_contact_email_hash ON safety_events (contactEmailHash)');
+};
@@ -0,0 +1,20 @@
+-- Submissions to the public form endpoints that were turned away by a rate
+-- limit, the honeypot, the spam score or the /api/send-mail allowlist
+CREATE TABLE form_rejections (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  endpoint TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  score REAL,
+  details TEXT,
+  ip TEXT,
+  createdAt TEXT NOT NULL
+);
+CREATE INDEX idx_form_rejections_created_at ON form_rejections (createdAt);
+
+-- Recipients /api/send-mail may write to: a whole address or a domain, lower-case
+CREATE TABLE mail_allowlist (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entry TEXT NOT NULL UNIQUE,
+  createdBy TEXT NOT NULL,
+  createdAt TEXT NOT NULL
+);
@@ -0,0 +1,5 @@
+-- Single row rewritten by GET /healthz to prove the database accepts writes
+CREATE TABLE health_checks (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  checkedAt TEXT NOT NULL
+);
@@ -0,0 +1,15 @@
+-- Mood journal entries synced from the browser. journal.html encrypts each entry
+-- with a key derived from the person's journal code before sending it, so only
+-- ciphertext is stored. The code never reaches the server: the browser derives
+-- a separate journal id from it with PBKDF2, and journalKey is a SHA-256 of that
+-- id. entryId is an opaque per-day id chosen by the browser.
+CREATE TABLE journal_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  journalKey TEXT NOT NULL,
+  entryId TEXT NOT NULL,
+  iv TEXT NOT NULL,
+  ciphertext TEXT NOT NULL,
+  updatedAt TEXT NOT NULL,
+  syncedAt TEXT NOT NULL,
+  UNIQUE (journalKey, entryId)
+);
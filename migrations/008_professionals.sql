@@ -0,0 +1,19 @@
+-- The directory of professionals on Contact.html, maintained from the admin
+-- dashboard. specialisations and languages are comma-separated lists; text
+-- columns are stored HTML-escaped like seminars, as the page renders them as HTML.
+CREATE TABLE professionals (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  city TEXT NOT NULL,
+  specialisations TEXT NOT NULL,
+  languages TEXT NOT NULL,
+  fees TEXT,
+  phone TEXT,
+  email TEXT,
+  website TEXT,
+  address TEXT,
+  onlineSessions INTEGER NOT NULL DEFAULT 0,
+  createdAt TEXT NOT NULL,
+  updatedAt TEXT
+);
+CREATE INDEX idx_professionals_city ON professionals (city);
@@ -0,0 +1,40 @@
+-- Weekly availability of the professionals in the directory (see lib/appointments.js):
+-- ISO weekday (1 = Monday) and "HH:MM" times in APPOINTMENT_TIME_ZONE
+CREATE TABLE availability_slots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  professionalId INTEGER NOT NULL REFERENCES professionals(id),
+  weekday INTEGER NOT NULL CHECK (weekday BETWEEN 1 AND 7),
+  startTime TEXT NOT NULL,
+  endTime TEXT NOT NULL,
+  createdAt TEXT NOT NULL
+);
+CREATE INDEX idx_availability_slots_professional ON availability_slots (professionalId);
+
+-- Requests for one dated occurrence of a slot. Personal columns are encrypted
+-- like registrations; token is the secret in the visitor's status and cancel links.
+CREATE TABLE appointments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  professionalId INTEGER NOT NULL REFERENCES professionals(id),
+  slotId INTEGER,
+  startsAt TEXT NOT NULL,
+  endsAt TEXT NOT NULL,
+  name TEXT NOT NULL,
+  email TEXT NOT NULL,
+  emailHash TEXT,
+  phone TEXT,
+  message TEXT,
+  online INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'requested',
+  token TEXT NOT NULL UNIQUE,
+  requestedAt TEXT NOT NULL,
+  updatedAt TEXT,
+  reminderQueuedAt TEXT,
+  anonymisedAt TEXT
+);
+CREATE INDEX idx_appointments_starts_at ON appointments (startsAt);
+-- Backstop against double booking: one active appointment per professional and start time
+CREATE UNIQUE INDEX idx_appointments_active_start ON appointments (professionalId, startsAt)
+  WHERE status IN ('requested', 'confirmed');
+
+-- Files sent with a mail, as JSON [{ filename, contentType, content }]
+ALTER TABLE mails ADD COLUMN attachments TEXT;
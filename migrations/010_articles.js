@@ -0,0 +1,390 @@
+// Awareness articles, written in Markdown from the admin dashboard and rendered
+// at /articles/:slug (lib/markdown.js). They replace the hand-written topic pages,
+// which are imported here as published articles. legacyPath holds a page's old
+// address, which now redirects to its article.
+const AUTHOR = 'Mental Health Companion team';
+
+const ARTICLES = [
+  {
+    slug: 'effects-of-social-media',
+    legacyPath: '/Effects of social media.html',
+    title: 'Effects of Social Media on Mental Health',
+    category: 'Social media',
+    tags: ['social media'],
+    summary: 'How comparison, cyberbullying, addiction and distorted images of reality on social media affect mental health.',
+    content: `## Comparison and Envy
+
+Social media often promotes unrealistic standards and highlights the best aspects of people's lives, leading to feelings of inadequacy and envy. [Read more](/articles/comparison-and-envy)
+
+## Cyberbullying
+
+Cyberbullying on social media platforms can have serious psychological effects, causing anxiety, depression, and low self-esteem among victims. [Read more](/articles/cyberbullying)
+
+## Addiction
+
+The addictive nature of social media can lead to compulsive usage, interfering with real-life interactions and overall well-being. [Read more](/articles/social-media-addiction)
+
+## Distorted Perception of Reality
+
+Consuming unrealistic images and ideals on social media can distort one's perception of reality, contributing to body image issues and low self-esteem. [Read more](/articles/distorted-perception)`
+  },
+  {
+    slug: 'social-media-addiction',
+    legacyPath: '/addiction.html',
+    title: 'Social Media Addiction',
+    category: 'Social media',
+    tags: ['social media', 'addiction'],
+    summary: 'Compulsive social media use, how it affects well-being, and tips for cutting down.',
+    content: `## Addiction
+
+The addictive nature of social media can lead to compulsive usage, interfering with real-life interactions and overall well-being. Research has shown that excessive use of social media platforms can contribute to feelings of loneliness, anxiety, and depression.
+
+Furthermore, addiction to social media may also have detrimental effects on academic or professional performance, as individuals may find themselves spending significant amounts of time scrolling through feeds or engaging in online activities, leading to distractions and reduced productivity.
+
+![Social media addiction](https://media.licdn.com/dms/image/D4D12AQFev6hqx7GCDw/article-cover_image-shrink_720_1280/0/1664441684411?e=2147483647&v=beta&t=UQvcvvHyhcFMEAsVSV_qAf8GcqpcB4Kz-YSw776K3u8)
+
+For individuals struggling with social media addiction, seeking support from mental health professionals or joining support groups can be beneficial. It's important to establish healthy boundaries and habits when it comes to using social media, such as limiting screen time, practicing mindfulness, and prioritizing face-to-face interactions.
+
+For more information on social media addiction and its effects, please refer to reliable sources such as academic journals, government publications, or reputable mental health organizations.
+
+## Tips for reducing addiction
+
+- Set specific time limits for social media usage.
+- Disable notifications to minimize distractions.
+- Engage in offline hobbies and activities as alternatives.
+- Seek support from friends or professionals if needed.
+- Practice mindfulness to stay aware of usage patterns.
+
+## Understanding Addiction through a Video
+
+@[video](https://www.youtube.com/embed/MRL6_SxeT0U?si=EBz8YLmjn6FY9z9i)`
+  },
+  {
+    slug: 'cyberbullying',
+    legacyPath: '/Cyberbullying.html',
+    title: 'Cyberbullying',
+    category: 'Social media',
+    tags: ['social media', 'bullying'],
+    summary: 'The psychological effects of cyberbullying, how to prevent it, and where to find support.',
+    content: `## Cyberbullying
+
+Cyberbullying on social media platforms can have serious psychological effects, causing anxiety, depression, and low self-esteem among victims.
+
+![Cyberbullying statistics](https://www.webpurify.com/site/wp-content/uploads/2023/04/Cyberbullying_statistics-1024x618.png)
+
+It's important to raise awareness about cyberbullying and take proactive steps to prevent it. Here are some tips:
+
+- Think before you post: Avoid sharing hurtful or offensive content online.
+- Be respectful: Treat others online as you would in person.
+- Report cyberbullying: If you witness cyberbullying, report it to the appropriate authorities or platform administrators.
+- Support victims: Offer support and encouragement to those who have experienced cyberbullying.
+- Seek help: If you're a victim of cyberbullying, don't hesitate to seek support from trusted friends, family members, or mental health professionals.
+
+Here are some resources:
+
+- [StopBullying.gov](https://www.stopbullying.gov/) - Provides information and resources to prevent and respond to bullying.
+- [Cybersmile](https://www.cybersmile.org/) - Offers support and resources for victims of cyberbullying.
+- [National Alliance on Mental Illness (NAMI)](https://www.nami.org/) - Provides support and resources for individuals experiencing mental health issues, including those related to cyberbullying.`
+  },
+  {
+    slug: 'comparison-and-envy',
+    legacyPath: '/comparision.html',
+    title: 'Comparison and Envy',
+    category: 'Social media',
+    tags: ['social media', 'self-esteem'],
+    summary: 'Why curated feeds lead to comparison and envy, and how to manage those feelings.',
+    content: `## Comparison and Envy
+
+Social media often promotes unrealistic standards and highlights the best aspects of people's lives, leading to feelings of inadequacy and envy.
+
+It's important to remember that social media often presents a curated version of reality and doesn't reflect the full spectrum of people's experiences.
+
+![Social comparison](https://nida.ac.th/en/wp-content/uploads/2023/03/%E0%B8%9C%E0%B8%A5%E0%B8%81%E0%B8%A3%E0%B8%B0%E0%B8%97%E0%B8%9A%E0%B8%82%E0%B8%AD%E0%B8%87%E0%B8%AA%E0%B8%B7%E0%B9%88%E0%B8%AD%E0%B8%AA%E0%B8%B1%E0%B8%87%E0%B8%84%E0%B8%A1%E0%B8%AD%E0%B8%AD%E0%B8%99%E0%B9%84%E0%B8%A5%E0%B8%99%E0%B9%8C%E0%B9%83%E0%B8%99%E0%B8%A7%E0%B8%B1%E0%B8%A2%E0%B8%A3%E0%B8%B8%E0%B9%88%E0%B8%99.webp)
+
+To manage feelings of comparison and envy, consider limiting your time on social media, unfollowing accounts that make you feel inadequate, and focusing on your own accomplishments and strengths.
+
+For further support, reach out to friends, family, or mental health professionals who can provide guidance and assistance in navigating these emotions.
+
+Remember, everyone's journey is unique, and comparing yourself to others only diminishes your own accomplishments and happiness.
+
+It's important to raise awareness about comparison and envy and take proactive steps to prevent it. Here are some tips:
+
+- Limit time spent on social media.
+- Unfollow accounts that trigger negative feelings.
+- Practice gratitude for your blessings.
+- Be mindful of curated content on social media.
+- Prioritize real-life interactions with loved ones.
+- Focus on personal growth rather than comparison.`
+  },
+  {
+    slug: 'distorted-perception',
+    legacyPath: '/Distorted Perception.html',
+    title: 'Distorted Perception of Reality',
+    category: 'Social media',
+    tags: ['social media', 'body image', 'self-esteem'],
+    summary: 'How unrealistic images and ideals on social media distort perception, and the effects that follow.',
+    content: `## Distorted Perception of Reality
+
+Consuming unrealistic images and ideals on social media can distort one's perception of reality, contributing to body image issues and low self-esteem.
+
+For more information on distorted perception of reality and its effects, please refer to reliable sources or consult mental health professionals.
+
+![Impact of social media on mental health](https://theconsciousvibe.com/wp-content/uploads/2023/05/impact-of-social-media-on-mental-health.jpg)
+
+## Effects of Distorted Perception
+
+Distorted perception of reality can lead to various negative effects on individuals, including:
+
+- Increased anxiety and depression
+- Unrealistic expectations about life and relationships
+- Difficulty in forming genuine connections
+- Feelings of inadequacy and worthlessness
+
+It's essential to address these issues and seek help when necessary to maintain mental well-being.`
+  },
+  {
+    slug: 'depression-medication',
+    legacyPath: '/Depression pills info.html',
+    title: 'Understanding Depression Pills',
+    category: 'Conditions and treatment',
+    tags: ['depression', 'medication'],
+    summary: 'What antidepressants do, the main types, and when they are prescribed.',
+    content: `## Why Depression Pills Are Used
+
+Depression pills, also known as antidepressants, are medications prescribed to help manage symptoms of depression and other mood disorders. They work by altering the levels of neurotransmitters in the brain, such as serotonin, norepinephrine, and dopamine, which are involved in mood regulation.
+
+![Depression medications](https://images.everydayhealth.com/images/emotional-health/depression-medications-rm-722x406.jpg?sfvrsn=f6657e24_1)
+
+## Types of Depression Pills
+
+- **Selective serotonin reuptake inhibitors (SSRIs):** SSRIs increase the levels of serotonin in the brain. Examples include fluoxetine (Prozac), sertraline (Zoloft), and escitalopram (Lexapro).
+- **Serotonin and norepinephrine reuptake inhibitors (SNRIs):** SNRIs increase the levels of both serotonin and norepinephrine. Examples include venlafaxine (Effexor) and duloxetine (Cymbalta).
+- **Tricyclic antidepressants (TCAs):** TCAs are an older class of antidepressants. Examples include amitriptyline and nortriptyline.
+- **Monoamine oxidase inhibitors (MAOIs):** MAOIs block the enzyme monoamine oxidase, which breaks down neurotransmitters. Examples include phenelzine (Nardil) and tranylcypromine (Parnate).
+- **Atypical antidepressants:** This category includes medications like bupropion (Wellbutrin), mirtazapine (Remeron), and trazodone.
+
+![Different types of antidepressants](https://images.ctfassets.net/eexbcii1ci83/66GKl133Vruhyhf2K9kdbz/90f6fc72fa592383800e32a489315fa1/Different_Types_of_Antidepressants.png)
+
+## When to Use Depression Pills
+
+Depression pills are typically prescribed when symptoms of depression persist and significantly interfere with daily functioning. They may also be used to treat other conditions, such as anxiety disorders, obsessive-compulsive disorder (OCD), and post-traumatic stress disorder (PTSD).
+
+## Understanding Depression Pills through Videos
+
+Watch the following videos to gain more insights into depression pills and their usage.
+
+@[video](https://www.youtube.com/embed/M4eUO7oIY3M?si=sIAotQ_8Fx6rzXwu)
+
+@[video](https://www.youtube.com/embed/ClPVJ25Ka4k?si=9HHeHneQ3YcEG7cK)`
+  },
+  {
+    slug: 'placebo-therapy',
+    legacyPath: '/Placebo.html',
+    title: 'Placebo Therapy',
+    category: 'Conditions and treatment',
+    tags: ['placebo', 'treatment'],
+    summary: 'What placebo therapy is, how it has been used in mental health, and its benefits and limits.',
+    content: `## What is Placebo Therapy?
+
+Placebo therapy involves using treatments that have no therapeutic effect but that patients believe are effective. It can include sham procedures, sugar pills, or other interventions that do not contain active ingredients. Despite lacking specific therapeutic properties, placebo therapy can sometimes lead to real improvements in patients' symptoms due to the power of belief and expectation.
+
+![Placebo therapy](https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcSvY2kCuUdiuA6j3wz8M8XEvKGrMv8jmPUqVw&usqp=CAU)
+
+## Applications in Mental Health
+
+Placebo therapy has been studied and applied in various mental health conditions, including depression, anxiety disorders, and even schizophrenia. Research has shown that placebo treatments can sometimes produce significant improvements in symptoms, although the exact mechanisms are not fully understood.
+
+## Benefits and Limitations
+
+The benefits of placebo therapy in mental health include its low cost, lack of side effects, and potential for symptom improvement through psychological mechanisms. However, its limitations include ethical concerns, variability in response among individuals, and the potential for masking underlying conditions that require proper treatment.
+
+Watch the following video to gain more insights into Placebo Therapy.
+
+@[video](https://www.youtube.com/embed/z03FQGlGgo0?si=tabbOEKiwbX0h5wu)
+
+## Conclusion
+
+While placebo therapy remains a controversial topic in mental health, it is an area of ongoing research and interest. Understanding its potential benefits and limitations can help healthcare providers make informed decisions about its use in treating mental health conditions.
+
+For more information, consult reputable sources and healthcare professionals specialized in mental health and placebo therapy.`
+  },
+  {
+    slug: 'ptsd-management',
+    legacyPath: '/PTSD management.html',
+    title: 'PTSD Management: Taking Control of Your Recovery',
+    category: 'Conditions and treatment',
+    tags: ['ptsd', 'trauma'],
+    summary: 'What PTSD is and key strategies for managing its symptoms.',
+    content: `## Understanding PTSD
+
+Post-Traumatic Stress Disorder (PTSD) is a mental health condition that can develop after experiencing or witnessing a traumatic event. It can affect anyone, regardless of age, gender, or background. However, with the right support and strategies, individuals can manage their symptoms and reclaim their lives.
+
+## Key Strategies for Managing PTSD
+
+### Seek Professional Help
+
+Don't hesitate to reach out to a mental health professional who specializes in PTSD treatment. Therapy, such as cognitive-behavioral therapy (CBT) and eye movement desensitization and reprocessing (EMDR), can be highly effective in reducing symptoms and improving coping skills.
+
+### Build a Support Network
+
+Surround yourself with understanding and supportive friends, family members, or support groups. Sharing your experiences with others who have gone through similar challenges can provide comfort and validation.
+
+### Practice Self-Care
+
+Take care of your physical and emotional well-being by prioritizing self-care activities. This can include exercise, meditation, relaxation techniques, hobbies, and ensuring you get enough restful sleep.
+
+### Establish Healthy Coping Mechanisms
+
+Identify healthy ways to cope with stress and triggers. This may involve deep breathing exercises, mindfulness techniques, journaling, or engaging in creative outlets.
+
+### Educate Yourself
+
+Learn as much as you can about PTSD and its symptoms. Understanding your condition can empower you to better manage it and communicate effectively with your healthcare providers.
+
+## Take the First Step Towards Healing
+
+Remember, managing PTSD is a journey, and it's okay to ask for help along the way. By taking proactive steps to address your symptoms and prioritize your well-being, you can regain a sense of control and resilience in your life.
+
+## Understanding PTSD through a Video
+
+Watch the following video to gain more insights into PTSD.
+
+@[video](https://www.youtube.com/embed/uoJBvXAUvA8?si=ZGZOA_2ggUBwjrqh)`
+  },
+  {
+    slug: 'panic-attack-prevention',
+    legacyPath: '/panic attack prevention technique.html',
+    title: 'Panic Attack Prevention Tips',
+    category: 'Conditions and treatment',
+    tags: ['panic attacks', 'anxiety'],
+    summary: 'What panic attacks are, how to prevent them, and when to seek help.',
+    content: `## Understanding Panic Attacks
+
+A panic attack is a sudden episode of intense fear or discomfort that reaches a peak within minutes. Understanding the triggers and symptoms of panic attacks is crucial in preventing and managing them effectively.
+
+![How to stop panic attacks](https://calmerry.com/wp-content/uploads/2021/04/How-to-Stop-Panic-Attacks-and-Prevent-Them-from-Happening.jpg)
+
+## Tips for Preventing Panic Attacks
+
+- Practice deep breathing exercises regularly.
+- Engage in regular physical activity to reduce stress.
+- Avoid excessive caffeine and alcohol consumption.
+- Practice mindfulness and relaxation techniques.
+- Seek professional help if you experience frequent panic attacks.
+
+![Panic disorder prevention and management](https://www.shecares.com/imgs/5/6/f/110888/panic-disorder-prevention-and-management-827656.jpg)
+
+## Understanding Panic Attacks Through Video
+
+Watch the following video to gain more insights into managing panic attacks effectively.
+
+@[video](https://www.youtube.com/embed/IzFObkVRSV0?si=dCw-lg5126guvx1k)
+
+## Seeking Help
+
+If you or someone you know is struggling with panic attacks, don't hesitate to seek help from a mental health professional. Effective treatments and support are available to help manage and prevent panic attacks.`
+  },
+  {
+    slug: 'nutrition-advice',
+    legacyPath: '/Nutrition Advice.html',
+    title: 'Nutrition Advice',
+    category: 'Healthy habits',
+    tags: ['nutrition'],
+    summary: 'Why a balanced diet matters, tips for healthy eating, and the importance of hydration.',
+    content: `## Why Nutrition is Important
+
+Good nutrition is essential for health and well-being. It's important to eat a balanced diet that includes a variety of foods to ensure you're getting all the nutrients your body needs.
+
+![Heart-healthy food](https://hips.hearstapps.com/hmg-prod/images/heart-healthy-food-1580231690.jpg?crop=1.00xw:0.752xh;0,0.192xh&resize=1200:*)
+
+## Tips for Healthy Eating
+
+- Eat plenty of fruits and vegetables.
+- Choose whole grains over refined grains.
+- Include lean protein sources in your diet.
+- Limit processed foods and added sugars.
+- Stay hydrated by drinking plenty of water.
+
+![Choose My Plate](https://www.cheshirefoodpantry.org/wp-content/uploads/2015/05/Choose_My_Plate.jpg)
+
+## Importance of Hydration
+
+Drinking enough water is crucial for overall health. It helps regulate body temperature, aids in digestion, and helps transport nutrients throughout the body.
+
+## Understanding Importance of Nutrition through a Video
+
+Watch the following video to gain more insights into Nutrition.
+
+@[video](https://www.youtube.com/embed/c06dTj0v0sM?si=WJ4hJc5DeCsfY_pW)`
+  },
+  {
+    slug: 'physical-exercise-routine',
+    legacyPath: '/Physical Exercise routine.html',
+    title: 'Exercise Routine',
+    category: 'Healthy habits',
+    tags: ['exercise'],
+    summary: 'Why regular exercise matters, tips for sticking with it, and a sample routine.',
+    content: `## Why Exercise is Important
+
+Regular exercise is crucial for maintaining good physical and mental health. It helps improve cardiovascular health, build strength and flexibility, and reduce stress.
+
+![Printable fitness chart](https://media.30seconds.com/tip_image/lg/Printable-Fitness-Charts-5835-9a81fe6467-1578504485.jpg)
+
+## Tips for a Successful Exercise Routine
+
+- Set specific, achievable goals.
+- Choose activities you enjoy to stay motivated.
+- Start slowly and gradually increase intensity.
+- Include a variety of exercises for overall fitness.
+- Remember to warm up and cool down properly.
+
+## Importance of Rest and Recovery
+
+Rest and recovery are essential parts of any exercise routine. They allow your muscles to repair and grow stronger, reducing the risk of injury and improving performance.
+
+## Exercise Routine Example
+
+Here's a sample exercise routine:
+
+1. Warm-up: 5-10 minutes of light cardio (e.g., jogging or jumping jacks)
+2. Strength training: 3 sets of squats, lunges, push-ups, and rows
+3. Cardiovascular exercise: 20 minutes of brisk walking, cycling, or swimming
+4. Cool-down: 5-10 minutes of stretching exercises
+
+## Understanding Physical Exercise Routine through Videos
+
+Watch the following video to gain more insights into Physical Exercise.
+
+@[video](https://www.youtube.com/embed/rBUjOY12gJA?si=AK0QgyuRdcbDlJ6q)`
+  }
+];
+
+exports.up = async (q) => {
+  await q.exec(`
+    CREATE TABLE articles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT NOT NULL UNIQUE,
+      title TEXT NOT NULL,
+      summary TEXT,
+      content TEXT NOT NULL,
+      category TEXT NOT NULL,
+      tags TEXT NOT NULL DEFAULT '',
+      author TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'draft',
+      legacyPath TEXT UNIQUE COLLATE NOCASE,
+      reviewedAt TEXT,
+      publishedAt TEXT,
+      createdAt TEXT NOT NULL,
+      updatedAt TEXT
+    );
+    CREATE INDEX idx_articles_status_category ON articles (status, category);
+  `);
+
+  const now = new Date().toISOString();
+  for (const article of ARTICLES) {
+    await q.run(`INSERT INTO articles (slug,title,summary,content,category,tags,author,status,legacyPath,publishedAt,createdAt)
+      VALUES (?,?,?,?,?,?,?,'published',?,?,?)`,
+    [article.slug, article.title, article.summary, article.content, article.category, article.tags.join(', '),
+      AUTHOR, article.legacyPath, now, now]);
+  }
+};
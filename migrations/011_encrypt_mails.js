@@ -0,0 +1,18 @@
+// Encrypts queued and sent mails like the other personal columns: recipients,
+// subject, body, html and attachments carry names, addresses and the text of
+// contact messages. emailHashes keeps the addresses a mail goes to or mentions
+// findable for subject access and the dashboard search.
+const { isEncrypted, encryptField, mailEmailHashes } = require('../lib/field_crypto');
+
+const COLUMNS = ['recipients', 'subject', 'body', 'html', 'attachments'];
+
+exports.up = async (q) => {
+  await q.run('ALTER TABLE mails ADD COLUMN emailHashes TEXT');
+
+  const rows = await q.all(`SELECT id, ${COLUMNS.join(',')} FROM mails`);
+  for (const row of rows) {
+    const values = COLUMNS.map(col => (isEncrypted(row[col]) ? row[col] : encryptField(row[col], 'mails', col)));
+    await q.run(`UPDATE mails SET ${COLUMNS.map(col => `${col} = ?`).join(', ')}, emailHashes = ? WHERE id = ?`,
+      values.concat([mailEmailHashes(row), row.id]));
+  }
+};
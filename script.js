@@ -1,16 +1,37 @@
 document.addEventListener('DOMContentLoaded', function() {
+    // When the page was opened; the server treats forms sent within seconds as likely spam
+    document.querySelectorAll('input[name="formStartedAt"]').forEach(input => {
+        input.value = String(Date.now());
+    });
+
     // Logic for the main mental health form
     const form = document.getElementById('mentalHealthForm');
     if (form) {
+        initQuestionnaires();
+        initHistory();
         form.addEventListener('submit', function(event) {
             event.preventDefault();
             calculateScore();
         });
     }
 
+    // Logic for the seminar catalogue
+    const seminarList = document.getElementById('seminarList');
+    if (seminarList) {
+        loadSeminars(seminarList);
+    }
+
     // Logic for the seminar registration form
     const regForm = document.getElementById("registrationForm");
     if (regForm) {
+        const seminarId = new URLSearchParams(window.location.search).get('seminar');
+        if (seminarId) {
+            regForm.elements['seminarId'].value = seminarId;
+            showSeminarSummary(seminarId);
+        } else {
+            document.getElementById('seminarSummary').innerHTML = 'Please choose a seminar from the <a href="Mental Health Seminar.html">seminar list</a> first.';
+        }
+
         regForm.addEventListener("submit", async function(event) {
             event.preventDefault();
             // Collect form data
@@ -25,10 +46,11 @@ document.addEventListener('DOMContentLoaded', function() {
                 });
                 const json = await resp.json();
                 if (resp.ok && json.success) {
-                    alert('Registration submitted — thank you!');
+                    alert(json.message || 'Registration submitted — thank you!');
                     regForm.reset();
+                    regForm.elements['seminarId'].value = seminarId || '';
                 } else {
-                    alert('Submission failed: ' + (json.message || resp.statusText));
+                    alert('Submission failed: ' + (json.message || (json.errors && json.errors.join(' ')) || resp.statusText));
                 }
             } catch (err) {
                 console.error(err);
@@ -37,91 +59,1511 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
-    // Logic for stress busting exercise buttons
-    const deepBreathingBtn = document.getElementById('deepBreathing');
-    const muscleRelaxBtn = document.getElementById('muscleRelax');
-    const meditationBtn = document.getElementById('meditation');
-
-    if (deepBreathingBtn) {
-        deepBreathingBtn.addEventListener('click', () => {
-             alert('Follow the 4-7-8 breathing technique: Inhale through the nose for 4 seconds, hold the breath for 7 seconds, and exhale through the mouth for 8 seconds. Repeat this cycle several times to relax.');
-        });
+    // Logic for the guided exercise player
+    const exerciseList = document.getElementById('exerciseList');
+    if (exerciseList) {
+        loadExercises(exerciseList);
+    }
+
+    // Logic for the mood journal
+    if (document.getElementById('journalForm')) {
+        initJournal();
+    }
+
+    // Logic for the professionals directory
+    const professionalList = document.getElementById('professionalList');
+    if (professionalList) {
+        loadProfessionals(professionalList);
     }
-    if (muscleRelaxBtn) {
-        muscleRelaxBtn.addEventListener('click', () => {
-            alert('Begin by tensing the muscles in your toes for a few seconds, then relax and feel the tension release. Continue this process, moving up through each muscle group in your body, until you reach your head.');
+});
+
+function formatSeminarTime(startsAt, endsAt) {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    const timeOptions = { hour: 'numeric', minute: '2-digit' };
+    return start.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }) + ', ' +
+        start.toLocaleTimeString(undefined, timeOptions) + ' - ' + end.toLocaleTimeString(undefined, timeOptions);
+}
+
+async function loadSeminars(container) {
+    try {
+        const resp = await fetch('/api/seminars');
+        const json = await resp.json();
+        if (!resp.ok || !json.success) {
+            container.innerHTML = '<p>Could not load seminars. Please try again later.</p>';
+            return;
+        }
+        if (json.seminars.length === 0) {
+            container.innerHTML = '<p>There are no upcoming seminars right now. Please check back soon.</p>';
+            return;
+        }
+
+        container.innerHTML = '';
+        json.seminars.forEach(seminar => {
+            // Titles and locations are HTML-escaped by the server when stored
+            const card = document.createElement('div');
+            card.className = 'seminar';
+            card.innerHTML = `
+                <h2>Seminar : ${seminar.title}</h2>
+                ${seminar.description ? `<p>${seminar.description}</p>` : ''}
+                <p>When: ${formatSeminarTime(seminar.startsAt, seminar.endsAt)}</p>
+                <p>Where: ${seminar.location}</p>
+                <p>${seminar.spotsLeft > 0 ? `${seminar.spotsLeft} of ${seminar.capacity} places left` : 'Fully booked — new sign-ups join the waitlist'}</p>
+            `;
+            const button = document.createElement('button');
+            button.textContent = seminar.spotsLeft > 0 ? 'Register' : 'Join Waitlist';
+            button.addEventListener('click', () => {
+                window.location.href = 'MHSregistration_form.html?seminar=' + encodeURIComponent(seminar.id);
+            });
+            card.appendChild(button);
+            container.appendChild(card);
         });
+    } catch (err) {
+        console.error(err);
+        container.innerHTML = '<p>Network error while loading seminars.</p>';
     }
-    if(meditationBtn) {
-        meditationBtn.addEventListener('click', () => {
-            alert('Find a quiet place to sit comfortably. Close your eyes and focus on your breath or a calming word or phrase. If your mind wanders, gently bring your focus back to the present moment.');
+}
+
+async function showSeminarSummary(seminarId) {
+    const summary = document.getElementById('seminarSummary');
+    try {
+        const resp = await fetch('/api/seminars/' + encodeURIComponent(seminarId));
+        const json = await resp.json();
+        if (resp.ok && json.success) {
+            const seminar = json.seminar;
+            summary.innerHTML = `Registering for <strong>${seminar.title}</strong> (${formatSeminarTime(seminar.startsAt, seminar.endsAt)}, ${seminar.location}).` +
+                (seminar.spotsLeft > 0 ? '' : ' This seminar is full, so you will be placed on the waitlist.');
+        } else {
+            summary.innerText = 'That seminar could not be found.';
+        }
+    } catch (err) {
+        console.error(err);
+    }
+}
+
+// Result colours per band level returned by /api/score
+const SCORE_BAND_STYLES = {
+    healthy: { background: '#d4edda', color: '#155724' }, // Green
+    mild: { background: '#fff3cd', color: '#856404' }, // Yellow
+    moderate: { background: '#f8d7da', color: '#721c24' }, // Orange-Red
+    severe: { background: '#dc3545', color: 'white' } // Red
+};
+
+// Definition of the questionnaire currently shown in forms.html
+let activeQuestionnaire = null;
+
+async function initQuestionnaires() {
+    const select = document.getElementById('questionnaireSelect');
+    try {
+        const resp = await fetch('/api/questionnaires');
+        const json = await resp.json();
+        json.questionnaires.forEach(q => {
+            const option = document.createElement('option');
+            option.value = q.id;
+            option.textContent = `${q.title} (${q.questionCount} questions)`;
+            select.appendChild(option);
         });
+        const requested = new URLSearchParams(window.location.search).get('questionnaire');
+        select.value = json.questionnaires.some(q => q.id === requested) ? requested : json.defaultId;
+        select.addEventListener('change', () => loadQuestionnaire(select.value));
+        await loadQuestionnaire(select.value);
+    } catch (err) {
+        console.error(err);
+        document.getElementById('questionnaireQuestions').innerHTML = '<p>Could not load the questions. Please try again later.</p>';
     }
-});
+}
 
-function calculateScore() {
+async function loadQuestionnaire(id) {
+    const container = document.getElementById('questionnaireQuestions');
+    const resp = await fetch('/api/questionnaires/' + encodeURIComponent(id));
+    const json = await resp.json();
+    if (!resp.ok || !json.success) {
+        container.innerHTML = '<p>Could not load the questions. Please try again later.</p>';
+        return;
+    }
+
+    activeQuestionnaire = json.questionnaire;
+    document.getElementById('questionnaireDescription').textContent = activeQuestionnaire.description || '';
+    document.getElementById('questionnaireInstructions').textContent = activeQuestionnaire.instructions || '';
+    document.getElementById('results').innerHTML = '';
+    document.getElementById('results').style.backgroundColor = '';
+    if (optedInHistoryCode()) loadHistory();
+
+    container.innerHTML = '';
+    activeQuestionnaire.questions.forEach((question, i) => {
+        const text = document.createElement('p');
+        text.className = 'question-text';
+        text.textContent = `${i + 1}. ${question.text}`;
+        container.appendChild(text);
+
+        (question.options || activeQuestionnaire.options).forEach(option => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = question.id;
+            input.value = option.value;
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(' ' + option.label));
+            container.appendChild(label);
+        });
+    });
+}
+
+async function calculateScore() {
     const form = document.getElementById('mentalHealthForm');
     const resultsContainer = document.getElementById('results');
-    let totalScore = 0;
-    let questionsCount = 12; // We have 12 questions
+    if (!activeQuestionnaire) return;
+    const answers = {
+        questionnaire: activeQuestionnaire.id,
+        leave_empty: form.elements['leave_empty'].value,
+        formStartedAt: form.elements['formStartedAt'].value
+    };
+    const historyCode = optedInHistoryCode();
+    if (historyCode) answers.historyCode = historyCode;
     let answeredQuestions = 0;
 
-    for (let i = 1; i <= questionsCount; i++) {
-        const questionName = 'q' + i;
-        const selectedOption = form.elements[questionName];
+    activeQuestionnaire.questions.forEach(question => {
+        const selectedOption = form.elements[question.id];
         if (selectedOption && selectedOption.value) {
-            totalScore += parseInt(selectedOption.value);
+            answers[question.id] = parseInt(selectedOption.value);
             answeredQuestions++;
         }
-    }
+    });
 
-    if (answeredQuestions < questionsCount) {
+    if (answeredQuestions < activeQuestionnaire.questions.length) {
         resultsContainer.innerHTML = '<h3>Please answer all questions to see your score.</h3>';
         resultsContainer.style.backgroundColor = '#ffc107'; // Warning color
         resultsContainer.style.color = '#333';
         return;
     }
 
-    const averageScore = totalScore / questionsCount;
-    let mentalHealthState = '';
-    let advice = '';
-
-    if (averageScore >= 3.5) {
-        mentalHealthState = 'Healthy';
-        advice = 'You seem to be in a good mental state. Keep maintaining your healthy habits, stay connected with others, and continue to prioritize your well-being.';
-        resultsContainer.style.backgroundColor = '#d4edda'; // Green
-        resultsContainer.style.color = '#155724';
-    } else if (averageScore >= 3) {
-        mentalHealthState = 'Mild Concerns';
-        advice = 'You may be experiencing some minor stress or emotional challenges. It\'s a good time to focus on self-care, such as exercise, nutrition, and mindfulness. Talking to a friend or family member may also be helpful.';
-        resultsContainer.style.backgroundColor = '#fff3cd'; // Yellow
-        resultsContainer.style.color = '#856404';
-    } else if (averageScore >= 2.5) {
-        mentalHealthState = 'Moderate Concerns';
-        advice = 'Your responses suggest you are facing notable mental health challenges. It is highly recommended to speak with a trusted individual. Exploring resources on our site or contacting a professional could provide significant support.';
-        resultsContainer.style.backgroundColor = '#f8d7da'; // Orange-Red
-        resultsContainer.style.color = '#721c24';
-    } else {
-        mentalHealthState = 'Severe Concerns';
-        advice = 'It appears you are going through a difficult time. Please prioritize your mental health and seek professional help. You are not alone, and support is available. Please visit our <a href="Contact.html">Contact</a> page to find a professional near you.';
-        resultsContainer.style.backgroundColor = '#dc3545'; // Red
-        resultsContainer.style.color = 'white';
+    // Scoring happens on the server so the thresholds live in one place
+    let resp;
+    let json;
+    try {
+        resp = await fetch('/api/score', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(answers)
+        });
+        json = await resp.json();
+    } catch (err) {
+        console.error(err);
     }
-    
+
+    // Flagged answers open the crisis panel even if the score could not be saved
+    if (json && json.crisis) {
+        showCrisisPanel(json.crisis);
+    }
+
+    if (!resp || !resp.ok || !json || !json.success) {
+        resultsContainer.innerHTML = '<h3>We could not calculate your score right now. Please try again.</h3>';
+        resultsContainer.style.backgroundColor = '#ffc107';
+        resultsContainer.style.color = '#333';
+        return;
+    }
+
+    const style = SCORE_BAND_STYLES[json.level] || SCORE_BAND_STYLES.moderate;
+    resultsContainer.style.backgroundColor = style.background;
+    resultsContainer.style.color = style.color;
     resultsContainer.innerHTML = `
-        <h3>Your Result: ${mentalHealthState}</h3>
-        <p>${advice}</p>
+        <h3>Your Result: ${json.result}</h3>
+        <p>Score: ${json.score}</p>
+        <p>${json.advice}</p>
+        ${json.level === 'severe' || json.level === 'moderate' ? '<p><a href="Contact.html">Find a professional on our Contact page</a></p>' : ''}
     `;
     resultsContainer.scrollIntoView({ behavior: 'smooth' });
 
-    // Optionally send anonymous score to backend for demo persistence
+    if (historyCode) loadHistory();
+}
+
+// ---------- Anonymous assessment history ----------
+// The code is remembered in localStorage only while the person has opted in.
+const HISTORY_STORAGE_KEY = 'assessmentHistoryCode';
+
+function initHistory() {
+    const optIn = document.getElementById('historyOptIn');
+    const codeInput = document.getElementById('historyCode');
+    const saved = localStorage.getItem(HISTORY_STORAGE_KEY);
+    if (saved) {
+        codeInput.value = saved;
+        optIn.checked = true;
+    }
+
+    optIn.addEventListener('change', () => {
+        if (optIn.checked && codeInput.value.trim()) {
+            localStorage.setItem(HISTORY_STORAGE_KEY, codeInput.value.trim().toUpperCase());
+        } else if (!optIn.checked) {
+            localStorage.removeItem(HISTORY_STORAGE_KEY);
+        }
+    });
+
+    document.getElementById('historyNewCode').addEventListener('click', async () => {
+        try {
+            const resp = await fetch('/api/score/history', { method: 'POST' });
+            const json = await resp.json();
+            codeInput.value = json.code;
+            optIn.checked = true;
+            localStorage.setItem(HISTORY_STORAGE_KEY, json.code);
+            setHistoryMessage('Your new code is ' + json.code + '. Write it down. Without it your results cannot be found again.');
+            document.getElementById('historyChart').innerHTML = '';
+        } catch (err) {
+            console.error(err);
+            setHistoryMessage('Network error while creating a code.');
+        }
+    });
+
+    document.getElementById('historyLoad').addEventListener('click', loadHistory);
+
+    document.getElementById('historyDelete').addEventListener('click', async () => {
+        const code = codeInput.value.trim();
+        if (!code || !confirm('Delete all results saved under this code? This cannot be undone.')) return;
+        try {
+            const resp = await fetch('/api/score/history/' + encodeURIComponent(code), { method: 'DELETE' });
+            const json = await resp.json();
+            setHistoryMessage(json.message);
+            if (resp.ok && json.success) {
+                document.getElementById('historyChart').innerHTML = '';
+                localStorage.removeItem(HISTORY_STORAGE_KEY);
+                optIn.checked = false;
+                codeInput.value = '';
+            }
+        } catch (err) {
+            console.error(err);
+            setHistoryMessage('Network error while deleting your history.');
+        }
+    });
+}
+
+function optedInHistoryCode() {
+    const optIn = document.getElementById('historyOptIn');
+    const code = document.getElementById('historyCode');
+    return optIn && optIn.checked && code.value.trim() ? code.value.trim().toUpperCase() : null;
+}
+
+function setHistoryMessage(text) {
+    document.getElementById('historyMessage').textContent = text;
+}
+
+async function loadHistory() {
+    const code = document.getElementById('historyCode').value.trim();
+    if (!code) {
+        setHistoryMessage('Enter your code or get a new one first.');
+        return;
+    }
     try {
-        fetch('/api/score', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ score: averageScore })
-        }).catch(() => {/* ignore network errors for analytics */});
-    } catch (e) {}
+        const resp = await fetch('/api/score/history/' + encodeURIComponent(code));
+        const json = await resp.json();
+        if (!resp.ok || !json.success) {
+            setHistoryMessage(json.message || 'Could not load your history.');
+            return;
+        }
+        const results = json.results.filter(r => activeQuestionnaire && r.questionnaire === activeQuestionnaire.id);
+        setHistoryMessage(results.length === 0
+            ? 'No saved results for this check yet.'
+            : `${results.length} saved result(s) for ${activeQuestionnaire.title}.`);
+        renderHistoryChart(results);
+    } catch (err) {
+        console.error(err);
+        setHistoryMessage('Network error while loading your history.');
+    }
+}
+
+// Lowest and highest possible score for the active questionnaire, for the chart's y-axis
+function questionnaireScoreRange(questionnaire) {
+    let min = 0;
+    let max = 0;
+    questionnaire.questions.forEach(question => {
+        const values = (question.options || questionnaire.options).map(o => o.value);
+        min += Math.min(...values);
+        max += Math.max(...values);
+    });
+    if (questionnaire.scoring.method === 'average') {
+        min /= questionnaire.questions.length;
+        max /= questionnaire.questions.length;
+    }
+    const multiplier = questionnaire.scoring.multiplier || 1;
+    return { min: min * multiplier, max: max * multiplier };
+}
+
+function renderHistoryChart(results) {
+    const container = document.getElementById('historyChart');
+    container.innerHTML = '';
+    if (results.length === 0) return;
+
+    const width = 600;
+    const height = 260;
+    const pad = { top: 20, right: 20, bottom: 40, left: 45 };
+    const range = questionnaireScoreRange(activeQuestionnaire);
+    const x = i => pad.left + (results.length === 1 ? (width - pad.left - pad.right) / 2 : i * (width - pad.left - pad.right) / (results.length - 1));
+    const y = v => pad.top + (range.max - v) * (height - pad.top - pad.bottom) / ((range.max - range.min) || 1);
+    const ns = 'http://www.w3.org/2000/svg';
+    const el = (name, attrs) => {
+        const node = document.createElementNS(ns, name);
+        Object.keys(attrs).forEach(k => node.setAttribute(k, attrs[k]));
+        return node;
+    };
+
+    const svg = el('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': 'Your scores over time' });
+    // Axes with min/max labels
+    svg.appendChild(el('line', { x1: pad.left, y1: pad.top, x2: pad.left, y2: height - pad.bottom, stroke: '#999' }));
+    svg.appendChild(el('line', { x1: pad.left, y1: height - pad.bottom, x2: width - pad.right, y2: height - pad.bottom, stroke: '#999' }));
+    [range.min, range.max].forEach(v => {
+        const label = el('text', { x: pad.left - 8, y: y(v) + 4, 'text-anchor': 'end', 'font-size': 12 });
+        label.textContent = v;
+        svg.appendChild(label);
+    });
+
+    svg.appendChild(el('polyline', {
+        points: results.map((r, i) => `${x(i)},${y(r.score)}`).join(' '),
+        fill: 'none',
+        stroke: '#007bff',
+        'stroke-width': 2
+    }));
+
+    results.forEach((r, i) => {
+        const style = SCORE_BAND_STYLES[r.level] || SCORE_BAND_STYLES.moderate;
+        const point = el('circle', { cx: x(i), cy: y(r.score), r: 6, fill: style.background, stroke: '#333' });
+        const tooltip = el('title', {});
+        tooltip.textContent = `${new Date(r.receivedAt).toLocaleDateString()}: ${r.score} (${r.result})`;
+        point.appendChild(tooltip);
+        svg.appendChild(point);
+    });
+
+    // Date labels for the first and last result
+    [0, results.length - 1].filter((v, i, a) => a.indexOf(v) === i).forEach(i => {
+        const label = el('text', { x: x(i), y: height - pad.bottom + 20, 'text-anchor': 'middle', 'font-size': 12 });
+        label.textContent = new Date(results[i].receivedAt).toLocaleDateString();
+        svg.appendChild(label);
+    });
+    container.appendChild(svg);
+
+    const list = document.createElement('ul');
+    results.slice().reverse().forEach(r => {
+        const item = document.createElement('li');
+        item.textContent = `${new Date(r.receivedAt).toLocaleString()}: ${r.score} — ${r.result}`;
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+// Full-screen panel with helplines, shown when answers match a questionnaire's riskItems
+async function showCrisisPanel(crisis) {
+    if (document.getElementById('crisisOverlay')) return;
+
+    const overlay = document.createElement('div');
+    overlay.id = 'crisisOverlay';
+    overlay.className = 'crisis-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'crisisTitle');
+    overlay.innerHTML = `
+        <div class="crisis-panel">
+            <h2 id="crisisTitle" tabindex="-1">You don't have to go through this alone</h2>
+            <p>Some of your answers suggest you may be going through a very hard time. If you are thinking about harming yourself, or feel unsafe right now, please reach out for support immediately.</p>
+            <label for="crisisRegion" class="question-text">Show helplines for:</label>
+            <select id="crisisRegion"></select>
+            <div id="crisisHelplines"><p>If you are in danger, please call your local emergency number now.</p></div>
+            <div id="crisisContact"></div>
+            <button type="button" id="crisisClose">Close and see my result</button>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+    document.body.style.overflow = 'hidden';
+    document.getElementById('crisisClose').addEventListener('click', () => {
+        overlay.remove();
+        document.body.style.overflow = '';
+    });
+    document.getElementById('crisisTitle').focus();
+
+    if (crisis.eventId) {
+        renderCrisisContactForm(crisis);
+    }
+
+    try {
+        const resp = await fetch('/api/helplines');
+        const json = await resp.json();
+        const select = document.getElementById('crisisRegion');
+        Object.keys(json.regions).forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = json.regions[code].name;
+            select.appendChild(option);
+        });
+        select.value = json.defaultRegion;
+        select.addEventListener('change', () => renderHelplines(json.regions[select.value]));
+        renderHelplines(json.regions[json.defaultRegion]);
+    } catch (err) {
+        console.error(err);
+    }
+}
+
+function renderHelplines(region) {
+    const container = document.getElementById('crisisHelplines');
+    container.innerHTML = '';
+
+    const emergency = document.createElement('p');
+    emergency.className = 'crisis-emergency';
+    emergency.innerHTML = 'In an emergency call <a></a>';
+    emergency.querySelector('a').href = 'tel:' + region.emergency.replace(/\s/g, '');
+    emergency.querySelector('a').textContent = region.emergency;
+    container.appendChild(emergency);
+
+    const list = document.createElement('ul');
+    list.className = 'crisis-helplines';
+    region.helplines.forEach(helpline => {
+        const item = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = helpline.name;
+        const number = document.createElement('a');
+        number.href = 'tel:' + helpline.number.replace(/[^\d+]/g, '');
+        number.textContent = helpline.number;
+        const details = document.createElement('div');
+        details.textContent = [helpline.hours, helpline.description].filter(Boolean).join(' · ');
+        item.append(name, ' — ', number, details);
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+function renderCrisisContactForm(crisis) {
+    const container = document.getElementById('crisisContact');
+    container.innerHTML = `
+        <h3>Would you like someone from our team to contact you?</h3>
+        <p>This is optional. Nothing that identifies you has been stored. If you share your details below, we keep them only so a member of our team can reach out.</p>
+        <form id="crisisContactForm">
+            <label for="crisisName">Name (optional)</label>
+            <input type="text" id="crisisName" name="name" maxlength="100">
+            <label for="crisisEmail">Email</label>
+            <input type="email" id="crisisEmail" name="email" maxlength="255">
+            <label for="crisisPhone">Phone</label>
+            <input type="text" id="crisisPhone" name="phone" maxlength="20">
+            <label for="crisisTime">Best time to reach you (optional)</label>
+            <input type="text" id="crisisTime" name="preferredTime" maxlength="100">
+            <label><input type="checkbox" name="consent" required> I agree to my contact details being stored so that the team can contact me.</label>
+            <button type="submit">Please contact me</button>
+            <div id="crisisContactResponse"></div>
+        </form>
+    `;
+
+    const contactForm = document.getElementById('crisisContactForm');
+    contactForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const respDiv = document.getElementById('crisisContactResponse');
+        const body = {
+            token: crisis.token,
+            name: contactForm.elements['name'].value,
+            email: contactForm.elements['email'].value,
+            phone: contactForm.elements['phone'].value,
+            preferredTime: contactForm.elements['preferredTime'].value,
+            consent: contactForm.elements['consent'].checked
+        };
+        try {
+            const res = await fetch('/api/safety-events/' + encodeURIComponent(crisis.eventId) + '/contact', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const json = await res.json();
+            if (res.ok && json.success) {
+                container.innerHTML = '';
+                const thanks = document.createElement('p');
+                thanks.className = 'crisis-thanks';
+                thanks.textContent = json.message;
+                container.appendChild(thanks);
+            } else {
+                respDiv.innerText = json.message || (json.errors && json.errors.join(' ')) || res.statusText;
+            }
+        } catch (err) {
+            console.error(err);
+            respDiv.innerText = 'Network error. Please call one of the helplines above.';
+        }
+    });
+}
+
+// ============== Guided exercises (Stress Busting Exercise.html) ==============
+// Exercises are data from GET /api/exercises (exercises/*.json on the server).
+// Each one is turned into a list of timed segments that a single player runs,
+// with pause, resume and stop. Chimes are generated with Web Audio.
+
+// What the player is running: { exercise, settings, segments, index, segmentMs, doneSeconds, lastTick, timer, totalSeconds, paused }
+let activeExercise = null;
+let chimeContext = null;
+
+async function loadExercises(container) {
+    document.getElementById('exercisePause').addEventListener('click', toggleExercisePause);
+    document.getElementById('exerciseStop').addEventListener('click', stopExercise);
+    try {
+        const resp = await fetch('/api/exercises');
+        const json = await resp.json();
+        if (!resp.ok || !json.success) {
+            container.innerHTML = '<p>Could not load the exercises. Please try again later.</p>';
+            return;
+        }
+        container.innerHTML = '';
+        json.exercises.forEach((exercise, i) => container.appendChild(renderExerciseCard(exercise, i + 1)));
+    } catch (err) {
+        console.error(err);
+        container.innerHTML = '<p>Network error while loading the exercises.</p>';
+    }
+}
+
+function exerciseSelect(name, choice, format) {
+    const select = document.createElement('select');
+    select.name = name;
+    choice.options.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = format(value);
+        select.appendChild(option);
+    });
+    select.value = choice.default;
+    return select;
+}
+
+function renderExerciseCard(exercise, number) {
+    const card = document.createElement('div');
+    card.className = 'exercise';
+    const title = document.createElement('h2');
+    title.textContent = `Exercise ${number}: ${exercise.title}`;
+    const description = document.createElement('p');
+    description.textContent = exercise.description;
+    card.append(title, description);
+
+    // Settings that can be changed before starting
+    const settings = document.createElement('form');
+    settings.className = 'exercise-settings';
+    const field = (text, input) => {
+        const label = document.createElement('label');
+        label.append(text + ' ', input);
+        settings.appendChild(label);
+    };
+    if (exercise.type === 'breathing') {
+        const cycles = document.createElement('input');
+        Object.assign(cycles, { type: 'number', name: 'cycles', min: exercise.cycles.min, max: exercise.cycles.max, value: exercise.cycles.default });
+        field('Rounds', cycles);
+    } else if (exercise.type === 'timer') {
+        field('Length', exerciseSelect('minutes', exercise.minutes, m => `${m} minutes`));
+        field('Chime every', exerciseSelect('chimeMinutes', exercise.chimeMinutes, m => (m ? `${m} minute${m === 1 ? '' : 's'}` : 'no interval chime')));
+    }
+    const sound = document.createElement('input');
+    Object.assign(sound, { type: 'checkbox', name: 'sound', checked: true });
+    field('Sound', sound);
+    const start = document.createElement('button');
+    start.type = 'submit';
+    start.textContent = 'Start Exercise';
+    settings.appendChild(start);
+
+    settings.addEventListener('submit', event => {
+        event.preventDefault();
+        const data = new FormData(settings);
+        const chosen = { sound: data.has('sound') };
+        if (exercise.type === 'breathing') {
+            const cycles = parseInt(data.get('cycles'), 10) || exercise.cycles.default;
+            chosen.cycles = Math.min(exercise.cycles.max, Math.max(exercise.cycles.min, cycles));
+        } else if (exercise.type === 'timer') {
+            chosen.minutes = Number(data.get('minutes'));
+            chosen.chimeMinutes = Number(data.get('chimeMinutes'));
+        }
+        startExercise(exercise, chosen);
+    });
+    card.appendChild(settings);
+    return card;
+}
+
+// The timed segments for an exercise and the chosen settings
+function exerciseSegments(exercise, settings) {
+    if (exercise.type === 'breathing') {
+        const segments = [];
+        for (let round = 1; round <= settings.cycles; round++) {
+            exercise.phases.forEach(phase => segments.push({
+                heading: `Round ${round} of ${settings.cycles}`,
+                text: phase.label,
+                seconds: phase.seconds,
+                action: phase.action
+            }));
+        }
+        return segments;
+    }
+    if (exercise.type === 'sequence') {
+        const segments = [];
+        exercise.steps.forEach((step, i) => {
+            const heading = `${step.title} (${i + 1} of ${exercise.steps.length})`;
+            segments.push({ heading, text: `Tense: ${step.instruction}`, seconds: step.tenseSeconds, action: 'tense' });
+            segments.push({ heading, text: 'Release and let the muscles go loose. Notice the difference.', seconds: step.relaxSeconds, action: 'relax' });
+        });
+        return segments;
+    }
+    const prompts = exercise.prompts && exercise.prompts.length ? exercise.prompts : ['Rest your attention on your breath.'];
+    return [{
+        heading: `${settings.minutes} minutes`,
+        text: prompts[0],
+        prompts,
+        seconds: settings.minutes * 60,
+        chimeSeconds: settings.chimeMinutes * 60,
+        action: 'rest'
+    }];
+}
+
+function ensureChimeContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    chimeContext = chimeContext || new AudioContextClass();
+    // Browsers start audio suspended until the page is used; Start counts as use
+    if (chimeContext.state === 'suspended') chimeContext.resume();
+}
+
+// A soft bell made of a few decaying sine partials; `volume` 1 is a full chime
+function playChime(volume = 1) {
+    if (!chimeContext || !activeExercise || !activeExercise.settings.sound) return;
+    const now = chimeContext.currentTime;
+    const length = volume < 1 ? 1.2 : 3;
+    [[528, 0.25], [1056, 0.1], [1584, 0.05]].forEach(([frequency, gain]) => {
+        const oscillator = chimeContext.createOscillator();
+        const envelope = chimeContext.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        envelope.gain.setValueAtTime(0.0001, now);
+        envelope.gain.exponentialRampToValueAtTime(gain * volume, now + 0.02);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, now + length);
+        oscillator.connect(envelope).connect(chimeContext.destination);
+        oscillator.start(now);
+        oscillator.stop(now + length + 0.1);
+    });
+}
+
+// Grows the circle while breathing in and shrinks it while breathing out, over `seconds`
+function setPacer(action, seconds) {
+    const pacer = document.getElementById('exercisePacer');
+    pacer.className = 'pacer ' + action;
+    if (action === 'inhale' || action === 'exhale') {
+        pacer.style.transition = `transform ${seconds}s linear`;
+        pacer.style.transform = `scale(${action === 'inhale' ? 1 : 0.45})`;
+    } else if (action !== 'hold') {
+        pacer.style.transition = 'transform 0.6s ease';
+        pacer.style.transform = `scale(${action === 'tense' ? 0.8 : 1})`;
+    }
+}
+
+// Stops the circle where it is, mid-breath
+function freezePacer() {
+    const pacer = document.getElementById('exercisePacer');
+    pacer.style.transform = getComputedStyle(pacer).transform;
+    pacer.style.transition = 'none';
+}
+
+function startExercise(exercise, settings) {
+    stopExercise();
+    if (settings.sound) ensureChimeContext();
+    const segments = exerciseSegments(exercise, settings);
+    activeExercise = {
+        exercise,
+        settings,
+        segments,
+        index: 0,
+        segmentMs: 0,
+        doneSeconds: 0,
+        lastTick: Date.now(),
+        timer: null,
+        totalSeconds: segments.reduce((sum, segment) => sum + segment.seconds, 0),
+        paused: false
+    };
+
+    const player = document.getElementById('exercisePlayer');
+    document.getElementById('exercisePlayerTitle').textContent = exercise.title;
+    document.getElementById('exercisePause').hidden = false;
+    document.getElementById('exercisePause').textContent = 'Pause';
+    document.getElementById('exerciseStop').textContent = 'Stop';
+    const pacer = document.getElementById('exercisePacer');
+    pacer.style.transition = 'none';
+    pacer.style.transform = `scale(${exercise.type === 'breathing' ? 0.45 : 1})`;
+    player.hidden = false;
+    player.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    playChime();
+    // Let the starting size apply before the first transition begins
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+        if (!activeExercise || activeExercise.segments !== segments || activeExercise.paused) return;
+        showSegment();
+        runExercise();
+    }));
+}
+
+function showSegment() {
+    const segment = activeExercise.segments[activeExercise.index];
+    document.getElementById('exerciseHeading').textContent = segment.heading;
+    document.getElementById('exerciseText').textContent = segment.text;
+    setPacer(segment.action, segment.seconds - activeExercise.segmentMs / 1000);
+    updateExerciseClock();
+}
+
+function updateExerciseClock() {
+    const { segments, index, segmentMs, doneSeconds, totalSeconds } = activeExercise;
+    const remaining = Math.max(0, Math.ceil(segments[index].seconds - segmentMs / 1000));
+    const minutes = Math.floor(remaining / 60);
+    document.getElementById('exerciseCountdown').textContent = minutes ? `${minutes}:${String(remaining % 60).padStart(2, '0')}` : String(remaining);
+    document.getElementById('exerciseProgress').value = (doneSeconds + segmentMs / 1000) / totalSeconds;
+}
+
+function runExercise() {
+    activeExercise.lastTick = Date.now();
+    activeExercise.timer = setInterval(tickExercise, 200);
+}
+
+// Advances by the real time passed, so a throttled background tab stays in step
+function tickExercise() {
+    const now = Date.now();
+    const state = activeExercise;
+    const before = state.segmentMs;
+    state.segmentMs += now - state.lastTick;
+    state.lastTick = now;
+
+    const segment = state.segments[state.index];
+    if (segment.chimeSeconds) {
+        // Interval chimes, but none right at the end where the closing chime plays
+        const interval = segment.chimeSeconds * 1000;
+        if (Math.floor(state.segmentMs / interval) > Math.floor(before / interval) && state.segmentMs < segment.seconds * 1000) playChime();
+    }
+    if (segment.prompts) {
+        const promptIndex = Math.min(segment.prompts.length - 1, Math.floor(state.segmentMs / (segment.seconds * 1000 / segment.prompts.length)));
+        document.getElementById('exerciseText').textContent = segment.prompts[promptIndex];
+    }
+
+    if (state.segmentMs < segment.seconds * 1000) {
+        updateExerciseClock();
+        return;
+    }
+    state.doneSeconds += segment.seconds;
+    state.segmentMs = 0;
+    state.index++;
+    if (state.index >= state.segments.length) {
+        finishExercise();
+        return;
+    }
+    playChime(0.4);
+    showSegment();
+}
+
+function finishExercise() {
+    clearInterval(activeExercise.timer);
+    playChime();
+    document.getElementById('exerciseHeading').textContent = 'Finished';
+    document.getElementById('exerciseText').textContent = 'Well done. Take a moment to notice how you feel before getting up.';
+    document.getElementById('exerciseCountdown').textContent = '';
+    document.getElementById('exerciseProgress').value = 1;
+    document.getElementById('exercisePause').hidden = true;
+    document.getElementById('exerciseStop').textContent = 'Close';
+    setPacer('relax', 0);
+}
+
+function toggleExercisePause() {
+    if (!activeExercise) return;
+    const button = document.getElementById('exercisePause');
+    if (activeExercise.paused) {
+        activeExercise.paused = false;
+        button.textContent = 'Pause';
+        showSegment();
+        runExercise();
+    } else {
+        // Count the time up to now first; that may finish the exercise
+        tickExercise();
+        if (activeExercise.index >= activeExercise.segments.length) return;
+        clearInterval(activeExercise.timer);
+        activeExercise.paused = true;
+        freezePacer();
+        button.textContent = 'Resume';
+    }
+}
+
+function stopExercise() {
+    if (!activeExercise) return;
+    clearInterval(activeExercise.timer);
+    activeExercise = null;
+    document.getElementById('exercisePlayer').hidden = true;
+}
+
+// ============== Mood journal (journal.html) ==============
+// Entries are kept in IndexedDB, one per day: { date, mood, sleepHours, energy,
+// tags, note, updatedAt }. A deleted day stays as a { date, deleted, updatedAt }
+// tombstone so the deletion reaches other devices. With sync turned on, each
+// entry is encrypted here (AES-GCM with a key derived from the journal code by
+// PBKDF2) and stored through /api/journal/:id. The code is made and kept in the
+// browser; the server gets a separate id derived from it, and for each entry
+// ciphertext, updatedAt and an HMAC of the date as the entry id.
+const JOURNAL_DB_NAME = 'mood-journal';
+const JOURNAL_STORE = 'entries';
+const JOURNAL_CODE_STORAGE_KEY = 'journalSyncCode';
+const JOURNAL_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const JOURNAL_CODE_PATTERN = /^[23456789A-HJ-NP-Z]{4}(-[23456789A-HJ-NP-Z]{4}){3}$/;
+const JOURNAL_MOODS = ['Very low', 'Low', 'Okay', 'Good', 'Very good'];
+const JOURNAL_ENERGY = ['Exhausted', 'Tired', 'Steady', 'Energetic', 'Full of energy'];
+const JOURNAL_COLOURS = ['#d9534f', '#f0ad4e', '#f7e07b', '#9fd69b', '#4cae4c'];
+const JOURNAL_HEATMAP_WEEKS = 26;
+const JOURNAL_SUMMARY_WEEKS = 8;
+// Entries per PUT; the server accepts up to 400
+const JOURNAL_SYNC_BATCH = 200;
+
+let journalDb = null;
+// Keys derived from the code in use: { code, aesKey, hmacKey, journalId }
+let journalKeys = null;
+let journalSyncing = false;
+
+function openJournalDb() {
+    if (journalDb) return Promise.resolve(journalDb);
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(JOURNAL_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(JOURNAL_STORE, { keyPath: 'date' });
+        request.onsuccess = () => {
+            journalDb = request.result;
+            resolve(journalDb);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs one request against the entries store and resolves to its result
+async function journalRequest(mode, makeRequest) {
+    const db = await openJournalDb();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(JOURNAL_STORE, mode).objectStore(JOURNAL_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Every entry, tombstones included
+function getJournalEntries() {
+    return journalRequest('readonly', store => store.getAll());
+}
+
+function putJournalEntry(entry) {
+    return journalRequest('readwrite', store => store.put(entry));
+}
+
+// YYYY-MM-DD in the browser's time zone
+function localDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function parseLocalDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Monday of the week a date falls in
+function weekStart(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+    return monday;
+}
+
+function setJournalMessage(text) {
+    document.getElementById('journalMessage').textContent = text;
+}
+
+function setJournalSyncMessage(text) {
+    document.getElementById('journalSyncMessage').textContent = text;
+}
+
+// Radio buttons 1-5 with the given labels
+function renderJournalScale(containerId, name, labels) {
+    const container = document.getElementById(containerId);
+    labels.forEach((text, i) => {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = name;
+        input.value = i + 1;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(' ' + text));
+        container.appendChild(label);
+    });
+}
+
+async function initJournal() {
+    const form = document.getElementById('journalForm');
+    const dateInput = document.getElementById('journalDate');
+    renderJournalScale('journalMood', 'mood', JOURNAL_MOODS);
+    renderJournalScale('journalEnergy', 'energy', JOURNAL_ENERGY);
+    dateInput.value = localDateString(new Date());
+    dateInput.max = dateInput.value;
+    dateInput.addEventListener('change', () => showJournalDay(dateInput.value));
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        saveJournalForm(form);
+    });
+    document.getElementById('journalDeleteEntry').addEventListener('click', deleteJournalDay);
+    initJournalSync();
+
+    try {
+        await openJournalDb();
+    } catch (err) {
+        console.error(err);
+        setJournalMessage('This browser cannot store journal entries. Private browsing modes may block it.');
+        return;
+    }
+    await showJournalDay(dateInput.value);
+    await refreshJournal();
+    if (optedInJournalCode()) syncJournal();
+}
+
+// Fills the form with the entry for `date`, or clears it
+async function showJournalDay(date) {
+    const form = document.getElementById('journalForm');
+    const entry = date ? await journalRequest('readonly', store => store.get(date)) : null;
+    const saved = entry && !entry.deleted ? entry : {};
+    ['mood', 'energy'].forEach(name => {
+        form.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+            input.checked = Number(input.value) === saved[name];
+        });
+    });
+    form.elements.sleepHours.value = typeof saved.sleepHours === 'number' ? saved.sleepHours : '';
+    form.elements.tags.value = (saved.tags || []).join(', ');
+    form.elements.note.value = saved.note || '';
+    document.querySelectorAll('.journal-day.selected').forEach(day => day.classList.remove('selected'));
+    const day = document.querySelector(`.journal-day[data-date="${date}"]`);
+    if (day) day.classList.add('selected');
+    setJournalMessage(entry && !entry.deleted ? `Editing your entry for ${parseLocalDate(date).toLocaleDateString()}.` : '');
+}
+
+async function saveJournalForm(form) {
+    const data = new FormData(form);
+    const date = data.get('date');
+    if (!date || date > localDateString(new Date())) {
+        setJournalMessage('Choose today or an earlier day.');
+        return;
+    }
+    if (!data.get('mood')) {
+        setJournalMessage('Choose how your mood was.');
+        return;
+    }
+    const sleep = data.get('sleepHours');
+    const tags = String(data.get('tags') || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    const entry = {
+        date,
+        mood: Number(data.get('mood')),
+        sleepHours: sleep === '' ? null : Math.min(24, Math.max(0, Number(sleep))),
+        energy: data.get('energy') ? Number(data.get('energy')) : null,
+        tags: tags.filter((tag, i) => tags.indexOf(tag) === i).slice(0, 10),
+        note: String(data.get('note') || '').trim().slice(0, 2000),
+        updatedAt: new Date().toISOString()
+    };
+    try {
+        await putJournalEntry(entry);
+    } catch (err) {
+        console.error(err);
+        setJournalMessage('Could not save your entry in this browser.');
+        return;
+    }
+    await refreshJournal();
+    await showJournalDay(date);
+    setJournalMessage('Saved.');
+    if (optedInJournalCode()) syncJournal();
+}
+
+async function deleteJournalDay() {
+    const date = document.getElementById('journalDate').value;
+    if (!date || !confirm(`Delete your entry for ${parseLocalDate(date).toLocaleDateString()}?`)) return;
+    await putJournalEntry({ date, deleted: true, updatedAt: new Date().toISOString() });
+    await refreshJournal();
+    await showJournalDay(date);
+    setJournalMessage('Entry deleted.');
+    if (optedInJournalCode()) syncJournal();
+}
+
+async function refreshJournal() {
+    const entries = (await getJournalEntries()).filter(entry => !entry.deleted);
+    renderJournalHeatmap(entries);
+    renderJournalWeekly(entries);
+
+    const tags = new Set();
+    entries.forEach(entry => (entry.tags || []).forEach(tag => tags.add(tag)));
+    const list = document.getElementById('journalTagList');
+    list.innerHTML = '';
+    Array.from(tags).sort().forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        list.appendChild(option);
+    });
+}
+
+// One square per day for the last JOURNAL_HEATMAP_WEEKS weeks, a column per week
+function renderJournalHeatmap(entries) {
+    const container = document.getElementById('journalHeatmap');
+    container.innerHTML = '';
+    const byDate = new Map(entries.map(entry => [entry.date, entry]));
+    const today = localDateString(new Date());
+    const day = weekStart(new Date());
+    day.setDate(day.getDate() - 7 * (JOURNAL_HEATMAP_WEEKS - 1));
+
+    const grid = document.createElement('div');
+    grid.className = 'journal-heatmap';
+    for (let i = 0; i < JOURNAL_HEATMAP_WEEKS * 7; i++, day.setDate(day.getDate() + 1)) {
+        const date = localDateString(day);
+        const entry = byDate.get(date);
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = 'journal-day' + (date > today ? ' future' : '');
+        cell.dataset.date = date;
+        cell.style.backgroundColor = entry ? JOURNAL_COLOURS[entry.mood - 1] : '#ebedf0';
+        const text = `${day.toLocaleDateString()}: ${entry ? 'mood ' + JOURNAL_MOODS[entry.mood - 1].toLowerCase() : 'no entry'}`;
+        cell.title = text;
+        cell.setAttribute('aria-label', text);
+        if (date <= today) {
+            cell.addEventListener('click', () => {
+                document.getElementById('journalDate').value = date;
+                showJournalDay(date);
+                document.getElementById('journalForm').scrollIntoView({ behavior: 'smooth' });
+            });
+        }
+        grid.appendChild(cell);
+    }
+    container.appendChild(grid);
+
+    const legend = document.createElement('div');
+    legend.className = 'journal-legend';
+    legend.appendChild(document.createTextNode(JOURNAL_MOODS[0]));
+    JOURNAL_COLOURS.forEach(colour => {
+        const swatch = document.createElement('span');
+        swatch.style.backgroundColor = colour;
+        legend.appendChild(swatch);
+    });
+    legend.appendChild(document.createTextNode(JOURNAL_MOODS[JOURNAL_MOODS.length - 1]));
+    container.appendChild(legend);
+}
+
+function journalAverage(values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+// Averages and most used tags for each of the last weeks with entries, newest first
+function renderJournalWeekly(entries) {
+    const container = document.getElementById('journalWeekly');
+    container.innerHTML = '';
+    const weeks = new Map();
+    entries.forEach(entry => {
+        const key = localDateString(weekStart(parseLocalDate(entry.date)));
+        if (!weeks.has(key)) weeks.set(key, []);
+        weeks.get(key).push(entry);
+    });
+    const keys = Array.from(weeks.keys()).sort().reverse().slice(0, JOURNAL_SUMMARY_WEEKS);
+    if (keys.length === 0) {
+        container.innerHTML = '<p>No entries yet. Your weekly summaries will appear here.</p>';
+        return;
+    }
+
+    const format = (value, digits, labels) => {
+        if (value === null) return '–';
+        return labels ? `${value.toFixed(digits)} (${labels[Math.round(value) - 1]})` : value.toFixed(digits);
+    };
+    const table = document.createElement('table');
+    table.className = 'journal-weekly';
+    const head = table.insertRow();
+    ['Week of', 'Days', 'Mood', 'Sleep (h)', 'Energy', 'Common tags'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    });
+    keys.forEach(key => {
+        const week = weeks.get(key);
+        const tagCounts = {};
+        week.forEach(entry => (entry.tags || []).forEach(tag => { tagCounts[tag] = (tagCounts[tag] || 0) + 1; }));
+        const topTags = Object.keys(tagCounts).sort((a, b) => tagCounts[b] - tagCounts[a] || a.localeCompare(b)).slice(0, 3);
+        const row = table.insertRow();
+        [
+            parseLocalDate(key).toLocaleDateString(),
+            String(week.length),
+            format(journalAverage(week.map(entry => entry.mood)), 1, JOURNAL_MOODS),
+            format(journalAverage(week.map(entry => entry.sleepHours)), 1),
+            format(journalAverage(week.map(entry => entry.energy)), 1, JOURNAL_ENERGY),
+            topTags.map(tag => `${tag} (${tagCounts[tag]})`).join(', ') || '–'
+        ].forEach(text => {
+            row.insertCell().textContent = text;
+        });
+    });
+    container.appendChild(table);
+}
+
+function initJournalSync() {
+    const optIn = document.getElementById('journalSyncOptIn');
+    const codeInput = document.getElementById('journalCode');
+    const saved = localStorage.getItem(JOURNAL_CODE_STORAGE_KEY);
+    if (saved) {
+        codeInput.value = saved;
+        optIn.checked = true;
+    }
+
+    const remember = () => {
+        if (optIn.checked && codeInput.value.trim()) {
+            localStorage.setItem(JOURNAL_CODE_STORAGE_KEY, codeInput.value.trim().toUpperCase());
+        } else {
+            localStorage.removeItem(JOURNAL_CODE_STORAGE_KEY);
+        }
+    };
+    optIn.addEventListener('change', () => {
+        remember();
+        if (optIn.checked) syncJournal();
+    });
+    codeInput.addEventListener('change', remember);
+
+    document.getElementById('journalNewCode').addEventListener('click', async () => {
+        const code = generateJournalCode();
+        codeInput.value = code;
+        optIn.checked = true;
+        remember();
+        await syncJournal();
+        setJournalSyncMessage('Your new code is ' + code + '. Write it down. Without it your synced journal cannot be opened.');
+    });
+
+    document.getElementById('journalSyncNow').addEventListener('click', syncJournal);
+
+    document.getElementById('journalDeleteSynced').addEventListener('click', async () => {
+        const code = normalizeJournalCode(codeInput.value);
+        if (!code) {
+            setJournalSyncMessage('Journal code is invalid.');
+            return;
+        }
+        if (!confirm('Delete the synced copy of your journal? Entries in this browser are kept.')) return;
+        try {
+            const keys = await deriveJournalKeys(code);
+            const resp = await fetch('/api/journal/' + keys.journalId, { method: 'DELETE' });
+            const json = await resp.json();
+            setJournalSyncMessage(json.message);
+            if (resp.ok && json.success) {
+                optIn.checked = false;
+                remember();
+            }
+        } catch (err) {
+            console.error(err);
+            setJournalSyncMessage('Network error while deleting your synced journal.');
+        }
+    });
+}
+
+function optedInJournalCode() {
+    const optIn = document.getElementById('journalSyncOptIn');
+    const code = document.getElementById('journalCode');
+    return optIn.checked && code.value.trim() ? code.value.trim().toUpperCase() : null;
+}
+
+// Codes are made here rather than by the server, which must never learn them
+function generateJournalCode() {
+    const chars = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => JOURNAL_CODE_ALPHABET[b % JOURNAL_CODE_ALPHABET.length]);
+    return [0, 4, 8, 12].map(i => chars.slice(i, i + 4).join('')).join('-');
+}
+
+function normalizeJournalCode(code) {
+    const normalized = code.trim().toUpperCase().replace(/\s+/g, '');
+    return JOURNAL_CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// AES and HMAC keys for a code, plus the journal id the server files entries
+// under. The id comes from a second PBKDF2 with its own salt, so knowing it
+// gives no way to the keys. The code has about 80 random bits, so fixed salts are enough.
+async function deriveJournalKeys(code) {
+    if (journalKeys && journalKeys.code === code) return journalKeys;
+    const encoder = new TextEncoder();
+    const material = await crypto.subtle.importKey('raw', encoder.encode(code), 'PBKDF2', false, ['deriveBits']);
+    const derive = async (salt, length) => new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: 200000 }, material, length));
+    const bits = await derive('mood-journal-v1', 512);
+    journalKeys = {
+        code,
+        aesKey: await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+        hmacKey: await crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+        journalId: bytesToHex(await derive('mood-journal-id-v1', 256))
+    };
+    return journalKeys;
+}
+
+// Opaque id for a day's entry, so the server cannot see which days were logged
+async function journalEntryId(keys, date) {
+    return bytesToHex(new Uint8Array(await crypto.subtle.sign('HMAC', keys.hmacKey, new TextEncoder().encode(date))));
+}
+
+async function encryptJournalEntry(keys, entryId, entry) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    // The entry id is bound in as additional data, so ciphertexts cannot be swapped between days
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(entryId) },
+        keys.aesKey, new TextEncoder().encode(JSON.stringify(entry)));
+    return { entryId, iv: bytesToBase64(iv), ciphertext: bytesToBase64(new Uint8Array(ciphertext)), updatedAt: entry.updatedAt };
+}
+
+async function decryptJournalEntry(keys, item) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(item.iv), additionalData: new TextEncoder().encode(item.entryId) },
+        keys.aesKey, base64ToBytes(item.ciphertext));
+    return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// Two-way merge with the synced copy; for each day the newer updatedAt wins
+async function syncJournal() {
+    const entered = optedInJournalCode();
+    if (!entered) {
+        setJournalSyncMessage('Enter your code or get a new one first.');
+        return;
+    }
+    const code = normalizeJournalCode(entered);
+    if (!code) {
+        setJournalSyncMessage('Journal code is invalid.');
+        return;
+    }
+    if (!window.crypto || !crypto.subtle) {
+        setJournalSyncMessage('Sync needs a secure (https) connection.');
+        return;
+    }
+    if (journalSyncing) return;
+    journalSyncing = true;
+    setJournalSyncMessage('Syncing...');
+    try {
+        const keys = await deriveJournalKeys(code);
+        const resp = await fetch('/api/journal/' + keys.journalId);
+        const json = await resp.json();
+        if (!resp.ok || !json.success) {
+            setJournalSyncMessage(json.message || 'Could not sync your journal.');
+            return;
+        }
+
+        const remote = new Map(json.entries.map(item => [item.entryId, item]));
+        const local = new Map((await getJournalEntries()).map(entry => [entry.date, entry]));
+        let received = 0;
+        for (const item of json.entries) {
+            let entry;
+            try {
+                entry = await decryptJournalEntry(keys, item);
+            } catch (err) {
+                continue; // not readable with this code's key
+            }
+            const mine = local.get(entry.date);
+            if (!mine || entry.updatedAt > mine.updatedAt) {
+                await putJournalEntry(entry);
+                local.set(entry.date, entry);
+                received++;
+            }
+        }
+
+        const outgoing = [];
+        for (const entry of local.values()) {
+            const entryId = await journalEntryId(keys, entry.date);
+            const theirs = remote.get(entryId);
+            if (!theirs || entry.updatedAt > theirs.updatedAt) outgoing.push(await encryptJournalEntry(keys, entryId, entry));
+        }
+        for (let i = 0; i < outgoing.length; i += JOURNAL_SYNC_BATCH) {
+            const put = await fetch('/api/journal/' + keys.journalId, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ entries: outgoing.slice(i, i + JOURNAL_SYNC_BATCH) })
+            });
+            const result = await put.json();
+            if (!put.ok || !result.success) {
+                setJournalSyncMessage(result.message || (result.errors && result.errors.join(' ')) || 'Could not sync your journal.');
+                return;
+            }
+        }
+
+        setJournalSyncMessage(`Synced: ${received} entr${received === 1 ? 'y' : 'ies'} received, ${outgoing.length} sent.`);
+        if (received > 0) {
+            await refreshJournal();
+            await showJournalDay(document.getElementById('journalDate').value);
+        }
+    } catch (err) {
+        console.error(err);
+        setJournalSyncMessage('Network error while syncing your journal.');
+    } finally {
+        journalSyncing = false;
+    }
+}
+
+// ============== Professionals directory (Contact.html) ==============
+
+// The whole directory is loaded once and filtered in the browser
+let professionals = [];
+
+async function loadProfessionals(container) {
+    try {
+        const resp = await fetch('/api/professionals');
+        const json = await resp.json();
+        if (!resp.ok || !json.success) {
+            container.innerHTML = '<p>Could not load the directory. Please try again later.</p>';
+            return;
+        }
+        professionals = json.professionals;
+    } catch (err) {
+        console.error(err);
+        container.innerHTML = '<p>Network error while loading the directory.</p>';
+        return;
+    }
+
+    const unique = values => Array.from(new Set(values)).sort((a, b) => a.localeCompare(b));
+    fillProfessionalFilter('professionalCity', unique(professionals.map(p => p.city)));
+    fillProfessionalFilter('professionalSpecialty', unique([].concat(...professionals.map(p => p.specialisations))));
+    fillProfessionalFilter('professionalLanguage', unique([].concat(...professionals.map(p => p.languages))));
+    document.getElementById('professionalFilters').addEventListener('change', () => renderProfessionals(container));
+    renderProfessionals(container);
+    initAppointmentForm();
+}
+
+// Values arrive HTML-escaped from the server, so they are compared and shown as they are
+function fillProfessionalFilter(id, values) {
+    const select = document.getElementById(id);
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.innerHTML = value;
+        select.appendChild(option);
+    });
+}
+
+function renderProfessionals(container) {
+    const filters = document.getElementById('professionalFilters').elements;
+    const city = filters['city'].value;
+    const specialty = filters['specialty'].value;
+    const language = filters['language'].value;
+    const onlineOnly = filters['online'].checked;
+    const matches = professionals.filter(p =>
+        (!city || p.city === city) &&
+        (!specialty || p.specialisations.includes(specialty)) &&
+        (!language || p.languages.includes(language)) &&
+        (!onlineOnly || p.onlineSessions));
+
+    if (professionals.length === 0) {
+        container.innerHTML = '<p>The directory is being updated. Please check back soon, or send us a message below.</p>';
+        return;
+    }
+    if (matches.length === 0) {
+        container.innerHTML = '<p>No professionals match these filters. Try widening your search.</p>';
+        return;
+    }
+
+    container.innerHTML = '';
+    matches.forEach(p => {
+        const contact = [];
+        if (p.phone) contact.push(`Phone: <a href="tel:${p.phone.replace(/[^\d+]/g, '')}">${p.phone}</a>`);
+        if (p.email) contact.push(`Email: <a href="mailto:${p.email}">${p.email}</a>`);
+        if (p.website) contact.push(`<a href="${p.website}" target="_blank" rel="noopener">Website</a>`);
+        const card = document.createElement('div');
+        card.className = 'location';
+        card.innerHTML = `
+            <h3>${p.name}</h3>
+            <p class="professional-city">${p.city}${p.onlineSessions ? ' · Online sessions available' : ''}</p>
+            <p>Specialises in: ${p.specialisations.join(', ')}</p>
+            <p>Languages: ${p.languages.join(', ')}</p>
+            ${p.fees ? `<p>Fees: ${p.fees}</p>` : ''}
+            ${p.address ? `<p>${p.address}</p>` : ''}
+            <p>${contact.join('<br>')}</p>
+        `;
+        if (p.acceptsAppointments) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = 'Request an appointment';
+            button.addEventListener('click', () => openAppointmentForm(p));
+            card.appendChild(button);
+        }
+        container.appendChild(card);
+    });
+}
+
+// ---------- Appointment requests ----------
+
+function initAppointmentForm() {
+    const form = document.getElementById('appointmentForm');
+    document.getElementById('appointmentClose').addEventListener('click', () => {
+        document.getElementById('appointmentSection').hidden = true;
+    });
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const respDiv = document.getElementById('appointmentResponse');
+        const [slotId, startsAt] = form.elements['time'].value.split('|');
+        const body = {
+            professionalId: Number(form.elements['professionalId'].value),
+            slotId: Number(slotId),
+            startsAt,
+            name: form.elements['name'].value,
+            email: form.elements['email'].value,
+            phone: form.elements['phone'].value,
+            message: form.elements['message'].value,
+            online: form.elements['online'].checked,
+            leave_empty: form.elements['leave_empty'].value,
+            formStartedAt: form.elements['formStartedAt'].value
+        };
+        try {
+            const res = await fetch('/api/appointments', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const json = await res.json();
+            if (res.ok && json.success) {
+                respDiv.innerText = json.message;
+                ['name', 'email', 'phone', 'message'].forEach(name => { form.elements[name].value = ''; });
+            } else {
+                respDiv.innerText = 'Request failed: ' + (json.message || (json.errors && json.errors.join(' ')) || res.statusText);
+            }
+            // The chosen time is taken either way now, or was already
+            if (res.ok || res.status === 409) loadAppointmentTimes(body.professionalId);
+        } catch (err) {
+            console.error(err);
+            respDiv.innerText = 'Network error while sending your request.';
+        }
+    });
+}
+
+function openAppointmentForm(professional) {
+    const section = document.getElementById('appointmentSection');
+    const form = document.getElementById('appointmentForm');
+    // Names arrive HTML-escaped from the server
+    document.getElementById('appointmentHeading').innerHTML = `Request an appointment with ${professional.name}`;
+    document.getElementById('appointmentResponse').innerText = '';
+    form.elements['professionalId'].value = professional.id;
+    form.elements['online'].checked = false;
+    document.getElementById('appointmentOnline').hidden = !professional.onlineSessions;
+    section.hidden = false;
+    section.scrollIntoView({ behavior: 'smooth' });
+    loadAppointmentTimes(professional.id);
+}
+
+// Free times are shown in the professionals' time zone, which the server reports
+async function loadAppointmentTimes(professionalId) {
+    const select = document.getElementById('appointmentTime');
+    select.innerHTML = '<option value="">Loading available times...</option>';
+    try {
+        const resp = await fetch(`/api/professionals/${encodeURIComponent(professionalId)}/slots`);
+        const json = await resp.json();
+        if (!resp.ok || !json.success) {
+            select.innerHTML = '<option value="">Could not load available times</option>';
+            return;
+        }
+        select.innerHTML = '';
+        if (json.slots.length === 0) {
+            select.innerHTML = '<option value="">No free times in the next four weeks</option>';
+            return;
+        }
+        const dayOptions = { weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit', timeZone: json.timeZone };
+        const timeOptions = { hour: 'numeric', minute: '2-digit', timeZone: json.timeZone };
+        json.slots.forEach(slot => {
+            const option = document.createElement('option');
+            option.value = `${slot.slotId}|${slot.startsAt}`;
+            option.textContent = `${new Date(slot.startsAt).toLocaleString(undefined, dayOptions)} - ${new Date(slot.endsAt).toLocaleTimeString(undefined, timeOptions)} (${json.timeZone})`;
+            select.appendChild(option);
+        });
+    } catch (err) {
+        console.error(err);
+        select.innerHTML = '<option value="">Network error while loading times</option>';
+    }
 }
 
 // Handle contact form submission (if present)
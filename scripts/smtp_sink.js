@@ -0,0 +1,87 @@
+// Local stand-in SMTP server for exercising the mail queue without a real mail provider.
+// Accepts every message and prints its envelope and headers; nothing is delivered.
+//
+//   node scripts/smtp_sink.js [--port 2525] [--fail-rate 0.5]
+//
+// --fail-rate rejects that fraction of messages with a temporary 451 error so
+// retries and backoff in the server's mail worker can be observed.
+const net = require('net');
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const port = parseInt(argValue('--port', '2525'), 10);
+const failRate = parseFloat(argValue('--fail-rate', '0'));
+
+const server = net.createServer((socket) => {
+  let envelope = { from: '', to: [] };
+  let inData = false;
+  let data = '';
+  let buffer = '';
+
+  const reply = (line) => socket.write(line + '\r\n');
+
+  function handleCommand(line) {
+    const verb = line.slice(0, 4).toUpperCase();
+    if (verb === 'EHLO' || verb === 'HELO') {
+      reply('250 smtp-sink');
+    } else if (verb === 'MAIL') {
+      envelope = { from: line.slice(10).trim(), to: [] };
+      reply('250 OK');
+    } else if (verb === 'RCPT') {
+      envelope.to.push(line.slice(8).trim());
+      reply('250 OK');
+    } else if (verb === 'DATA') {
+      inData = true;
+      data = '';
+      reply('354 End data with <CR><LF>.<CR><LF>');
+    } else if (verb === 'RSET' || verb === 'NOOP') {
+      reply('250 OK');
+    } else if (verb === 'QUIT') {
+      reply('221 Bye');
+      socket.end();
+    } else {
+      reply('502 Command not implemented');
+    }
+  }
+
+  function handleMessage() {
+    const headers = data.split('\r\n\r\n')[0];
+    const subject = (headers.match(/^Subject: (.*)$/mi) || [])[1] || '';
+    if (Math.random() < failRate) {
+      console.log(`[rejected] ${envelope.from} -> ${envelope.to.join(', ')} | ${subject}`);
+      reply('451 Temporary failure (simulated)');
+    } else {
+      console.log(`[accepted] ${envelope.from} -> ${envelope.to.join(', ')} | ${subject}`);
+      reply('250 OK: queued');
+    }
+  }
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          handleMessage();
+        } else {
+          data += (line.startsWith('..') ? line.slice(1) : line) + '\r\n';
+        }
+      } else {
+        handleCommand(line);
+      }
+    }
+  });
+  socket.on('error', () => {});
+
+  reply('220 smtp-sink ready');
+});
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`SMTP sink listening on 127.0.0.1:${port} (fail rate ${failRate})`);
+});
@@ -1,13 +1,49 @@
+// Command-line admin tool for the SQLite database, for staff without browser access.
+//
+//   node scripts/view_db.js <command> [arguments] [options]
+//   node scripts/view_db.js help [command]    (or --help / -h)
+//
+// Tables, filters and exports match the admin dashboard (lib/admin_data.js).
+// Exit codes: 0 success, 1 the operation failed, 2 invalid usage.
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const {
+  ADMIN_ROLES,
+  ADMIN_TABLES,
+  buildAdminWhere,
+  decryptRecord,
+  exportRecord,
+  anonymisedValues,
+  toCsv,
+  exportColumns
+} = require('../lib/admin_data');
+const { hashPassword, validateAdminUser } = require('../lib/admin_accounts');
+const { migrate, migrationStatus } = require('../lib/migrations');
+const { getKeyring, isEncrypted, encryptField, decryptField, usesCurrentKey, emailHash, mailEmailHashes, generateKey } = require('../lib/field_crypto');
 
 const dbPath = path.join(__dirname, '..', 'data', 'app.db');
-const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (err) => {
-  if (err) {
-    console.error('Could not open database at', dbPath, '\n', err.message);
-    process.exit(1);
-  }
-});
+let db = null;
+
+// Thrown for bad arguments; reported with the command's usage and exit code 2
+class UsageError extends Error {}
+
+// `create` is only used by migrate, which can set up a brand-new database
+function openDb(writable, create) {
+  return new Promise((resolve, reject) => {
+    let mode = writable ? sqlite3.OPEN_READWRITE : sqlite3.OPEN_READONLY;
+    if (create) {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+      mode |= sqlite3.OPEN_CREATE;
+    }
+    db = new sqlite3.Database(dbPath, mode, (err) => {
+      if (err) return reject(new Error(`Could not open database at ${dbPath}: ${err.message}`));
+      resolve();
+    });
+  });
+}
 
 function allAsync(sql, params = []) {
   return new Promise((resolve, reject) => {
@@ -18,47 +54,547 @@ function allAsync(sql, params = []) {
   });
 }
 
+function getAsync(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      resolve(row);
+    });
+  });
+}
+
+function runAsync(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+// Runs fn inside a transaction so multi-statement changes apply completely or not at all
+async function inTransaction(fn) {
+  await runAsync('BEGIN');
+  try {
+    const result = await fn();
+    await runAsync('COMMIT');
+    return result;
+  } catch (err) {
+    await runAsync('ROLLBACK');
+    throw err;
+  }
+}
+
+/**
+ * Splits argv into positional arguments and --options. Options listed in
+ * `flags` take no value; every other option takes the next argument.
+ * Repeated options (e.g. --filter) are collected into arrays.
+ */
+function parseArgs(argv, flags) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    let value = true;
+    if (!flags.includes(name)) {
+      value = argv[i + 1];
+      if (typeof value === 'undefined' || value.startsWith('--')) throw new UsageError(`Option --${name} needs a value.`);
+      i++;
+    }
+    if (typeof options[name] === 'undefined') options[name] = value;
+    else options[name] = [].concat(options[name], value);
+  }
+  return { args, options };
+}
+
+function tableConfig(table) {
+  if (!table) throw new UsageError('A table name is required.');
+  if (!Object.prototype.hasOwnProperty.call(ADMIN_TABLES, table)) {
+    throw new UsageError(`Unknown table "${table}". Choose one of: ${Object.keys(ADMIN_TABLES).join(', ')}`);
+  }
+  return ADMIN_TABLES[table];
+}
+
+function recordId(value) {
+  const id = parseInt(value, 10);
+  if (!value || String(id) !== String(value) || id < 1) throw new UsageError('A numeric record id is required.');
+  return id;
+}
+
+// --search/--from/--to plus any number of --filter column=value, as buildAdminWhere expects
+function filterQuery(config, options) {
+  const query = { q: options.search || '', from: options.from || '', to: options.to || '' };
+  [].concat(options.filter || []).forEach(pair => {
+    const idx = pair.indexOf('=');
+    const col = idx === -1 ? '' : pair.slice(0, idx);
+    if (!Object.prototype.hasOwnProperty.call(config.filters, col)) {
+      throw new UsageError(`--filter must be column=value with a column from: ${Object.keys(config.filters).join(', ') || '(none for this table)'}`);
+    }
+    query[col] = pair.slice(idx + 1);
+  });
+  return query;
+}
+
+function printRows(rows, options) {
+  if (options.json) {
+    console.log(JSON.stringify(rows, null, 2));
+  } else if (rows.length === 0) {
+    console.log('No matching records.');
+  } else {
+    console.table(rows);
+  }
+}
+
+// Changes are audited like the server's, with the shell user as actor
+function recordAudit(action, table, id) {
+  return runAsync('INSERT INTO audit_log (actor,action,targetTable,targetId,details,ip,createdAt) VALUES (?,?,?,?,?,?,?)',
+    [`cli:${os.userInfo().username}`, action, table, id, null, null, new Date().toISOString()]);
+}
+
+// Confirms destructive commands unless --yes is given
+function confirmed(options, what) {
+  if (options.yes) return true;
+  console.error(`This will ${what}. Re-run with --yes to confirm.`);
+  process.exitCode = 1;
+  return false;
+}
+
+// ---------------- Commands ----------------
+
+async function summary() {
+  console.log('Database:', dbPath);
+  console.log('Counts:');
+  for (const table of Object.keys(ADMIN_TABLES)) {
+    const { count } = await getAsync(`SELECT COUNT(*) AS count FROM ${table}`);
+    console.log(`  ${(table + ':').padEnd(15)}`, count);
+  }
+  for (const table of ['registrations', 'contacts', 'scores', 'mails']) {
+    const config = ADMIN_TABLES[table];
+    console.log(`\nRecent ${table} (latest 10):`);
+    const rows = await allAsync(`SELECT ${config.columns.join(',')} FROM ${table} ORDER BY ${config.dateColumn} DESC, id DESC LIMIT 10`);
+    console.table(rows.map(row => exportRecord(table, row)));
+  }
+}
+
+async function list(args, options) {
+  const table = args[0];
+  const config = tableConfig(table);
+  const sort = options.sort || '-' + config.dateColumn;
+  const sortColumn = sort.replace(/^-/, '');
+  if (!config.sortable.includes(sortColumn)) {
+    throw new UsageError(`Cannot sort ${table} by ${sortColumn}. Sortable: ${config.sortable.join(', ')}`);
+  }
+  const limit = parseInt(options.limit || '25', 10);
+  if (!(limit > 0)) throw new UsageError('--limit must be a positive number.');
+
+  const { where, params } = buildAdminWhere(config, filterQuery(config, options));
+  const direction = sort.startsWith('-') ? 'DESC' : 'ASC';
+  const { total } = await getAsync(`SELECT COUNT(*) AS total FROM ${table}${where}`, params);
+  const rows = await allAsync(`SELECT ${config.columns.join(',')} FROM ${table}${where} ORDER BY ${sortColumn} ${direction}, id ${direction} LIMIT ?`,
+    params.concat([limit]));
+  printRows(rows.map(row => exportRecord(table, row)), options);
+  if (!options.json) console.log(`${rows.length} of ${total} matching ${table} shown.`);
+}
+
+async function show(args, options) {
+  tableConfig(args[0]);
+  const id = recordId(args[1]);
+  const record = await getAsync(`SELECT * FROM ${args[0]} WHERE id = ?`, [id]);
+  if (!record) throw new Error(`No ${args[0]} record with id ${id}.`);
+  const row = exportRecord(args[0], record);
+  if (options.json) {
+    console.log(JSON.stringify(row, null, 2));
+    return;
+  }
+  const width = Math.max(...Object.keys(row).map(key => key.length));
+  Object.keys(row).forEach(key => {
+    const value = row[key] === null ? '' : String(row[key]);
+    console.log(`${key.padEnd(width)}  ${value.replace(/\n/g, '\n' + ' '.repeat(width + 2))}`);
+  });
+}
+
+async function exportCommand(args, options) {
+  const table = args[0];
+  const config = tableConfig(table);
+  const format = options.format || 'csv';
+  if (format !== 'csv' && format !== 'json') throw new UsageError('--format must be csv or json.');
+
+  const { where, params } = buildAdminWhere(config, filterQuery(config, options));
+  const columns = await exportColumns(allAsync, table);
+  const rows = (await allAsync(`SELECT ${columns.join(',')} FROM ${table}${where} ORDER BY id`, params))
+    .map(row => exportRecord(table, row));
+  const output = format === 'json' ? JSON.stringify(rows, null, 2) + '\n' : toCsv(columns, rows);
+
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.error(`Exported ${rows.length} ${table} rows to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+async function deleteCommand(args, options) {
+  const table = args[0];
+  const config = tableConfig(table);
+  const id = recordId(args[1]);
+  if (table === 'audit_log') throw new UsageError('Audit log entries cannot be deleted.');
+  const record = await getAsync(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  if (!record) throw new Error(`No ${table} record with id ${id}.`);
+
+  if (table === 'registrations' && record.status !== 'cancelled' && !options.force) {
+    throw new Error('This registration is still active. Cancel it from the admin dashboard first so the waitlist is promoted, or use --force.');
+  }
+  if (table === 'seminars') {
+    const { count } = await getAsync('SELECT COUNT(*) AS count FROM registrations WHERE seminarId = ?', [id]);
+    if (count > 0) throw new Error(`Seminar ${id} has ${count} registrations; delete or anonymise those first.`);
+  }
+  if (table === 'admin_users') await assertNotLastAdministrator(record);
+  if (!confirmed(options, `permanently delete ${table} #${id}${config.onDelete.length ? ' and its linked records' : ''}`)) return;
+
+  await inTransaction(async () => {
+    for (const sql of config.onDelete) await runAsync(sql, [id]);
+    await runAsync(`DELETE FROM ${table} WHERE id = ?`, [id]);
+    await recordAudit('record.delete', table, id);
+  });
+  console.log(`Deleted ${table} #${id}.`);
+}
+
+async function anonymise(args, options) {
+  const table = args[0];
+  const config = tableConfig(table);
+  const id = recordId(args[1]);
+  if (table === 'audit_log') throw new UsageError('Audit log entries cannot be changed.');
+  if (!config.anonymise) throw new UsageError(`${table} records cannot be anonymised; use delete instead.`);
+  const record = await getAsync(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  if (!record) throw new Error(`No ${table} record with id ${id}.`);
+  if (!confirmed(options, `replace the personal data in ${table} #${id} (${Object.keys(config.anonymise.columns).join(', ')})`)) return;
+
+  const values = anonymisedValues(config, record);
+  const columns = Object.keys(values);
+  await inTransaction(async () => {
+    await runAsync(`UPDATE ${table} SET ${columns.map(col => `${col} = ?`).join(', ')} WHERE id = ?`,
+      columns.map(col => values[col]).concat([id]));
+    for (const sql of config.anonymise.related) await runAsync(sql, [id]);
+    await recordAudit('record.anonymise', table, id);
+  });
+  console.log(`Anonymised ${table} #${id}.`);
+}
+
+async function assertNotLastAdministrator(user) {
+  if (user.role !== 'administrator') return;
+  const { count } = await getAsync("SELECT COUNT(*) AS count FROM admin_users WHERE role = 'administrator'");
+  if (count <= 1) throw new Error('Cannot remove or demote the last administrator.');
+}
+
+// Uses --password when given, otherwise generates one and prints it once
+function chosenPassword(options) {
+  if (options.password) return { password: options.password, generated: false };
+  return { password: crypto.randomBytes(12).toString('base64url'), generated: true };
+}
+
+async function adminUser(args, options) {
+  const action = args[0];
+  if (action === 'list') {
+    printRows(await allAsync('SELECT id, username, role, createdAt, lastLoginAt FROM admin_users ORDER BY id'), options);
+    return;
+  }
+
+  const username = (args[1] || '').trim().toLowerCase();
+  if (!username) throw new UsageError('A username is required.');
+  const { password, generated } = chosenPassword(options);
+
+  if (action === 'create') {
+    const validation = validateAdminUser({ username, password, role: options.role || 'viewer' }, false);
+    if (!validation.valid) throw new UsageError(validation.errors.join(' '));
+    if (await getAsync('SELECT id FROM admin_users WHERE username = ?', [username])) {
+      throw new Error(`Admin user "${username}" already exists; use admin-user reset.`);
+    }
+    await inTransaction(async () => {
+      const { lastID } = await runAsync('INSERT INTO admin_users (username,passwordHash,role,createdAt) VALUES (?,?,?,?)',
+        [username, await hashPassword(password), validation.data.role, new Date().toISOString()]);
+      await recordAudit('admin_user.create', 'admin_users', lastID);
+    });
+    console.log(`Created ${validation.data.role} "${username}".`);
+  } else if (action === 'reset') {
+    const user = await getAsync('SELECT * FROM admin_users WHERE username = ?', [username]);
+    if (!user) throw new Error(`No admin user "${username}".`);
+    const changes = { password };
+    if (options.role) changes.role = options.role;
+    const validation = validateAdminUser(changes, true);
+    if (!validation.valid) throw new UsageError(validation.errors.join(' '));
+    if (validation.data.role && validation.data.role !== 'administrator') await assertNotLastAdministrator(user);
+
+    // A new password signs the user out everywhere, as in the dashboard
+    await inTransaction(async () => {
+      await runAsync('UPDATE admin_users SET passwordHash = ?, role = ? WHERE id = ?',
+        [await hashPassword(password), validation.data.role || user.role, user.id]);
+      await runAsync('DELETE FROM admin_sessions WHERE userId = ?', [user.id]);
+      await recordAudit('admin_user.reset', 'admin_users', user.id);
+    });
+    console.log(`Reset the password of "${username}"${validation.data.role ? ` and set role ${validation.data.role}` : ''}.`);
+  } else {
+    throw new UsageError('Expected admin-user list, create or reset.');
+  }
+  if (generated) console.log(`Password: ${password}\nShare it securely; it is not shown again.`);
+}
+
+// Same reset as requeueFailedMails in server.js; the running server's worker sends them
+async function retryMails(args, options) {
+  const id = args[0] ? recordId(args[0]) : null;
+  const failed = await allAsync(`SELECT id, recipients, subject, attempts, error FROM mails WHERE status = 'failed'${id ? ' AND id = ?' : ''} ORDER BY id`,
+    id ? [id] : []);
+  if (id && failed.length === 0) throw new Error(`Mail #${id} is not a failed mail.`);
+  if (failed.length === 0) {
+    console.log('There are no failed mails.');
+    return;
+  }
+  if (options['dry-run']) {
+    printRows(failed.map(row => exportRecord('mails', row)), options);
+    return;
+  }
+  const { changes } = await inTransaction(async () => {
+    const result = await runAsync(`UPDATE mails SET status = 'pending', attempts = 0, nextAttemptAt = NULL WHERE status = 'failed'${id ? ' AND id = ?' : ''}`,
+      id ? [id] : []);
+    await recordAudit('mail.requeue', 'mails', id);
+    return result;
+  });
+  console.log(`Requeued ${changes} failed mail(s); the server's mail worker will send them.`);
+}
+
+async function stats(args, options) {
+  const { where, params } = buildAdminWhere(ADMIN_TABLES.scores, {
+    from: options.from || '',
+    to: options.to || '',
+    questionnaire: options.questionnaire || ''
+  });
+  const totals = await allAsync(`SELECT questionnaire, COUNT(*) AS responses, ROUND(AVG(score), 2) AS average,
+    MIN(score) AS lowest, MAX(score) AS highest FROM scores${where} GROUP BY questionnaire ORDER BY questionnaire`, params);
+  const bands = await allAsync(`SELECT questionnaire, band, COUNT(*) AS responses FROM scores${where}
+    GROUP BY questionnaire, band ORDER BY questionnaire, responses DESC`, params);
+
+  if (options.json) {
+    console.log(JSON.stringify({ totals, bands }, null, 2));
+    return;
+  }
+  console.log('Scores by questionnaire:');
+  printRows(totals, options);
+  console.log('\nResponses per band:');
+  printRows(bands.map(row => {
+    const total = totals.find(t => t.questionnaire === row.questionnaire).responses;
+    return Object.assign(row, { share: `${Math.round((row.responses / total) * 100)}%` });
+  }), options);
+}
+
+/**
+ * Re-encrypts every value that is not encrypted with the first key in
+ * DATA_ENCRYPTION_KEYS and recomputes email hashes that do not match
+ * DATA_HASH_KEY. Afterwards older keys can be removed from the environment.
+ */
+async function rotateKeys(args, options) {
+  const { current } = getKeyring();
+  const counts = {};
+  await inTransaction(async () => {
+    for (const table of Object.keys(ADMIN_TABLES)) {
+      const config = ADMIN_TABLES[table];
+      if (config.encrypted.length === 0) continue;
+      const hashColumns = Object.keys(config.emailHash).map(col => config.emailHash[col])
+        .concat(config.emailHashList ? [config.emailHashList] : []);
+      const rows = await allAsync(`SELECT id, ${config.encrypted.concat(hashColumns).join(',')} FROM ${table}`);
+      counts[table] = 0;
+      for (const row of rows) {
+        const updates = {};
+        config.encrypted.forEach(col => {
+          if (isEncrypted(row[col]) && !usesCurrentKey(row[col])) {
+            updates[col] = encryptField(decryptField(row[col], table, col), table, col);
+          }
+        });
+        // Anonymised rows have no hash and keep none
+        Object.keys(config.emailHash).forEach(col => {
+          const hashColumn = config.emailHash[col];
+          if (row[hashColumn] === null || row[col] === null) return;
+          const hash = emailHash(decryptField(row[col], table, col));
+          if (hash !== row[hashColumn]) updates[hashColumn] = hash;
+        });
+        if (config.emailHashList && row[config.emailHashList] !== null) {
+          const hashes = mailEmailHashes(decryptRecord(table, row));
+          if (hashes !== row[config.emailHashList]) updates[config.emailHashList] = hashes;
+        }
+        const columns = Object.keys(updates);
+        if (columns.length === 0) continue;
+        counts[table]++;
+        if (options['dry-run']) continue;
+        await runAsync(`UPDATE ${table} SET ${columns.map(col => `${col} = ?`).join(', ')} WHERE id = ?`,
+          columns.map(col => updates[col]).concat([row.id]));
+      }
+      if (counts[table] > 0 && !options['dry-run']) await recordAudit('keys.rotate', table, null);
+    }
+  });
+  Object.keys(counts).forEach(table => console.log(`  ${(table + ':').padEnd(15)} ${counts[table]}`));
+  console.log(options['dry-run']
+    ? `These rows would be re-encrypted with key "${current}".`
+    : `Re-encrypted with key "${current}". Keys no longer listed above can be removed from DATA_ENCRYPTION_KEYS.`);
+}
+
+function generateKeyCommand(args) {
+  const id = args[0] || new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  if (!/^[A-Za-z0-9_-]+$/.test(id)) throw new UsageError('A key id may only contain letters, digits, "-" and "_".');
+  console.log(`DATA_ENCRYPTION_KEYS entry: ${id}:${generateKey()}`);
+  console.log(`DATA_HASH_KEY (only for a new installation): ${generateKey()}`);
+}
+
+async function migrateCommand(args) {
+  if (args[0] === 'status') {
+    const { applied, pending, unknown } = await migrationStatus(db);
+    applied.forEach(row => console.log(`  applied  ${row.name}  (${row.appliedAt})`));
+    pending.forEach(m => console.log(`  pending  ${m.name}`));
+    unknown.forEach(row => console.log(`  unknown  ${row.name}  (applied ${row.appliedAt}; no file in migrations/)`));
+    console.log(`${applied.length} applied, ${pending.length} pending.`);
+    return;
+  }
+  if (args.length > 0) throw new UsageError('Expected "migrate" or "migrate status".');
+  const done = await migrate(db, { log: message => console.log(message) });
+  console.log(done.length ? `Applied ${done.length} migration(s).` : 'Database is up to date.');
+}
+
+const FILTER_HELP = `  --search <text>         free-text search over the table's search columns;
+                          encrypted columns match only a whole email address
+  --from <date>           on or after this date (YYYY-MM-DD or ISO timestamp)
+  --to <date>             on or before this date
+  --filter <col>=<value>  equality filter, repeatable (e.g. --filter status=confirmed)`;
+
+const COMMANDS = {
+  summary: {
+    usage: 'summary',
+    help: 'Row counts for every table and the latest 10 registrations, contacts, scores and mails. This is the default command.',
+    run: summary
+  },
+  list: {
+    usage: 'list <table> [--search text] [--from date] [--to date] [--filter col=value] [--sort col|-col] [--limit n] [--json]',
+    help: `Lists matching records, newest first, with the dashboard's list columns.\n${FILTER_HELP}\n  --sort <col>            sort column, prefix with - for descending\n  --limit <n>             maximum rows (default 25)\n  --json                  print JSON instead of a table`,
+    run: list
+  },
+  show: {
+    usage: 'show <table> <id> [--json]',
+    help: 'Prints every column of one record (secrets such as tokens and password hashes are left out).',
+    run: show
+  },
+  export: {
+    usage: 'export <table> [--format csv|json] [--out file] [--search text] [--from date] [--to date] [--filter col=value]',
+    help: `Exports all matching records, as /api/admin/:table/export does.\n${FILTER_HELP}\n  --format csv|json       default csv\n  --out <file>            write to a file instead of standard output`,
+    run: exportCommand
+  },
+  delete: {
+    usage: 'delete <table> <id> [--yes] [--force]',
+    help: 'Permanently deletes a record and removes or unlinks the rows that point at it (e.g. a contact\'s notes).\n  --yes                   required to actually delete\n  --force                 also delete registrations that are not cancelled',
+    run: deleteCommand,
+    writes: true
+  },
+  anonymise: {
+    usage: 'anonymise <table> <id> [--yes]',
+    help: 'Replaces the personal data in a record (names, emails, messages, phone numbers) with placeholders but keeps the row for statistics.\n  --yes                   required to actually anonymise',
+    run: anonymise,
+    writes: true
+  },
+  'admin-user': {
+    usage: 'admin-user list | create <username> [--role role] [--password pw] | reset <username> [--password pw] [--role role]',
+    help: `Manages dashboard accounts. Roles: ${ADMIN_ROLES.join(', ')} (create defaults to viewer).\nWithout --password a random password is generated and printed once. Reset signs the user out.`,
+    run: adminUser,
+    writes: true
+  },
+  'retry-mails': {
+    usage: 'retry-mails [id] [--dry-run]',
+    help: 'Moves failed mails (or one failed mail) back to pending so the server\'s mail worker retries them.\n  --dry-run               list the failed mails without changing them',
+    run: retryMails,
+    writes: true
+  },
+  stats: {
+    usage: 'stats [--questionnaire id] [--from date] [--to date] [--json]',
+    help: 'Aggregate score statistics per questionnaire: responses, average, lowest and highest score, and the share of each band.',
+    run: stats
+  },
+  migrate: {
+    usage: 'migrate [status]',
+    help: 'Applies pending schema migrations from migrations/, each in its own transaction, creating the database if needed.\nThe server does the same on startup. "migrate status" lists applied and pending migrations without changing anything.',
+    run: migrateCommand,
+    writes: true
+  },
+  'rotate-keys': {
+    usage: 'rotate-keys [--dry-run]',
+    help: 'Re-encrypts personal fields that use an older key with the first key in DATA_ENCRYPTION_KEYS, and recomputes email hashes after a DATA_HASH_KEY change.\nTo rotate, put the new key first and keep the old ones after it until this has run.\n  --dry-run               count the rows that would change without changing them',
+    run: rotateKeys,
+    writes: true
+  },
+  'generate-key': {
+    usage: 'generate-key [keyId]',
+    help: 'Prints a new random DATA_ENCRYPTION_KEYS entry (key id defaults to today\'s date) and a DATA_HASH_KEY. Does not touch the database.',
+    run: generateKeyCommand,
+    offline: true
+  },
+  help: {
+    usage: 'help [command]',
+    help: 'Shows all commands, or the details of one.',
+    run: null
+  }
+};
+
+const FLAGS = ['json', 'yes', 'force', 'dry-run', 'help'];
+
+function printHelp(name) {
+  if (name && COMMANDS[name]) {
+    console.log(`Usage: node scripts/view_db.js ${COMMANDS[name].usage}\n\n${COMMANDS[name].help}`);
+    return;
+  }
+  console.log('Usage: node scripts/view_db.js <command> [arguments] [options]\n\nCommands:');
+  Object.keys(COMMANDS).forEach(cmd => console.log(`  ${COMMANDS[cmd].usage}`));
+  console.log(`\nTables: ${Object.keys(ADMIN_TABLES).join(', ')}`);
+  console.log('Run "node scripts/view_db.js help <command>" for details.');
+}
+
 (async () => {
+  let name = 'summary';
   try {
-    const regCountRow = await allAsync('SELECT COUNT(*) AS count FROM registrations');
-    const contactCountRow = await allAsync('SELECT COUNT(*) AS count FROM contacts');
-    const scoreCountRow = await allAsync('SELECT COUNT(*) AS count FROM scores');
-    const mailCountRow = await allAsync('SELECT COUNT(*) AS count FROM mails');
-
-    console.log('Database:', dbPath);
-    console.log('Counts:');
-    console.log('  registrations:', regCountRow[0] ? regCountRow[0].count : 0);
-    console.log('  contacts:     ', contactCountRow[0] ? contactCountRow[0].count : 0);
-    console.log('  scores:       ', scoreCountRow[0] ? scoreCountRow[0].count : 0);
-    console.log('  mails:        ', mailCountRow[0] ? mailCountRow[0].count : 0);
-    console.log('\nRecent registrations (latest 10):');
-    const regs = await allAsync('SELECT id, name, email, contact, receivedAt FROM registrations ORDER BY receivedAt DESC LIMIT 10');
-    console.table(regs);
-
-    console.log('\nRecent contacts (latest 10):');
-    const contacts = await allAsync('SELECT id, name, email, substr(message,1,120) AS message_preview, receivedAt FROM contacts ORDER BY receivedAt DESC LIMIT 10');
-    console.table(contacts);
-
-    console.log('\nRecent scores (latest 10):');
-    const scores = await allAsync('SELECT id, score, details, receivedAt FROM scores ORDER BY receivedAt DESC LIMIT 10');
-    console.table(scores);
-
-    console.log('\nRecent mails (latest 10):');
-    // Inspect columns in mails table and adapt the SELECT accordingly
-    const mailColsInfo = await allAsync("PRAGMA table_info('mails')");
-    const mailCols = mailColsInfo.map(r => r.name);
-    const selectCols = ['id', 'recipients', 'subject', 'status'];
-    if (mailCols.includes('sentAt')) selectCols.push('sentAt');
-    if (mailCols.includes('receivedAt')) selectCols.push('receivedAt');
-    if (mailCols.includes('error')) selectCols.push('error');
-    const orderBy = mailCols.includes('receivedAt') ? 'receivedAt' : 'id';
-    const sqlMails = `SELECT ${selectCols.join(', ')} FROM mails ORDER BY ${orderBy} DESC LIMIT 10`;
-    const mails = await allAsync(sqlMails);
-    console.table(mails);
+    const argv = process.argv.slice(2).map(arg => (arg === '-h' ? '--help' : arg));
+    const { args, options } = parseArgs(argv, FLAGS);
+    // Kept from the original export mode: --export <table> works like "export <table>"
+    if (options.export) {
+      args.unshift('export', options.export);
+    }
+    // --help without a command lists every command rather than the default one's help
+    const given = args.shift();
+    name = given || 'summary';
+    if (name === 'help' || options.help) {
+      printHelp(name === 'help' ? args[0] : given);
+      return;
+    }
+    const command = COMMANDS[name];
+    if (!command) throw new UsageError(`Unknown command "${name}".`);
+    if (command.offline) {
+      await command.run(args, options);
+      return;
+    }
 
+    const migrating = name === 'migrate';
+    await openDb(Boolean(command.writes) && !(migrating && args[0] === 'status'), migrating && args[0] !== 'status');
+    if (!migrating) {
+      const { pending } = await migrationStatus(db);
+      if (pending.length) console.error(`Warning: ${pending.length} pending migration(s); run "node scripts/view_db.js migrate" or start the server.`);
+    }
+    await command.run(args, options);
   } catch (err) {
-    console.error('Query error:', err.message || err);
+    if (err instanceof UsageError) {
+      console.error(`Error: ${err.message}\n`);
+      printHelp(COMMANDS[name] ? name : null);
+      process.exitCode = 2;
+    } else {
+      console.error('Error:', err.message || err);
+      process.exitCode = 1;
+    }
   } finally {
-    db.close();
+    if (db) db.close();
   }
 })();
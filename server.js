@@ -1,15 +1,186 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const sqlite3 = require('sqlite3').verbose();
 const nodemailer = require('nodemailer');
+const {
+  CONTACT_STATUSES,
+  ARTICLE_STATUSES,
+  ADMIN_ROLES,
+  ADMIN_TABLES,
+  adminDateBound,
+  buildAdminWhere,
+  searchHint,
+  stripHidden,
+  decodeHtml,
+  decryptRecord,
+  exportRecord,
+  anonymisedValues,
+  toCsv,
+  exportColumns
+} = require('./lib/admin_data');
+const {
+  DEFAULT_ADMIN_PASS,
+  DUMMY_PASSWORD_HASH,
+  hashPassword,
+  verifyPassword,
+  validateAdminUser
+} = require('./lib/admin_accounts');
+const { migrate } = require('./lib/migrations');
+const { getKeyring, encryptField, emailHash, mailEmailHashes } = require('./lib/field_crypto');
+const { honeypotFilled, checkFormPolicy, createFormGuard, recipientsAllowed } = require('./lib/form_protection');
+const { PERIODS: ANALYTICS_PERIODS, periodRange, aggregateScores } = require('./lib/score_analytics');
+const { requestId, createLogger, createMetrics } = require('./lib/observability');
+const { loadExercises } = require('./lib/exercises');
+const {
+  APPOINTMENT_STATUSES,
+  ACTIVE_APPOINTMENT_STATUSES,
+  WEEKDAYS,
+  parseTime,
+  slotsOverlap,
+  canTransition,
+  slotOccurrences,
+  buildIcs
+} = require('./lib/appointments');
+const { renderMarkdown, markdownText } = require('./lib/markdown');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy every request comes from the proxy, so rate limits and
+// the audit log would all see one address. TRUST_PROXY tells Express which
+// proxies to believe for X-Forwarded-For: a hop count, "true", or a
+// comma-separated list of addresses, subnets or names such as "loopback".
+function trustProxySetting(value) {
+  const setting = (value || '').trim();
+  if (!setting || setting === 'false') return false;
+  if (setting === 'true') return true;
+  if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+  return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
+// Express 4 ignores promises returned by handlers, so an error thrown in an async
+// route outside its try/catch would be an unhandled rejection that stops the
+// process. Routes that validate the request before their try/catch are wrapped
+// in this, which passes the rejection to the error handler at the end of this file.
+function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+// Structured JSON logs and Prometheus metrics (lib/observability.js); GET /metrics
+// and GET /healthz are defined near the end of this file.
+const log = createLogger();
+const metrics = createMetrics();
+metrics.counter('http_requests_total', 'HTTP requests by method, route pattern and status code.');
+metrics.histogram('http_request_duration_seconds', 'Time to send the response, by method and route pattern.');
+metrics.counter('form_submissions_total', 'Public form submissions by endpoint and outcome (accepted, invalid, rejected, error).');
+metrics.counter('form_rejections_total', 'Form submissions turned away by abuse protection, by endpoint and reason.');
+metrics.counter('mail_deliveries_total', 'Mail delivery attempts by result (sent, mocked, retry, failed).');
+
+// ---------- Request log ----------
+// Every request gets an id (a sane incoming X-Request-Id is kept), echoed in the
+// response header and in its log line. Routes are logged as patterns, never as
+// raw paths, since some paths carry tokens or history codes.
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  req.id = requestId(req.get('X-Request-Id'));
+  res.setHeader('X-Request-Id', req.id);
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? req.baseUrl + req.route.path : (res.statusCode < 400 ? '(static)' : '(unmatched)');
+    metrics.inc('http_requests_total', { method: req.method, route, status: res.statusCode });
+    metrics.observe('http_request_duration_seconds', { method: req.method, route }, seconds);
+    log.info('request', { req, method: req.method, route, status: res.statusCode, durationMs: Math.round(seconds * 1e5) / 100 });
+  });
+  next();
+});
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Server-side folders live next to the pages but must never be served as files
+// (data/ holds the SQLite database, including admin password hashes)
+const PRIVATE_DIRS = ['data', 'views', 'scripts', 'lib', 'migrations', 'test', 'node_modules'];
+app.use((req, res, next) => {
+  let firstSegment;
+  try {
+    firstSegment = path.posix.normalize(decodeURIComponent(req.path)).split('/').filter(Boolean)[0];
+  } catch (e) {
+    return res.status(400).send('Bad request');
+  }
+  if (PRIVATE_DIRS.includes(firstSegment)) return res.status(404).send('Not found');
+  next();
+});
+
+// ---------- Audit trail ----------
+// Every admin page or API request, and every request that changes data, adds a
+// row to audit_log once its response is sent: the admin user (or "anonymous"),
+// the matched route as action, the target table/id and the response status.
+// Only route patterns and query parameter names are kept, never tokens, codes
+// or search terms. IP addresses are recorded for admin routes only, so public
+// submissions such as anonymous assessments cannot be traced to a network.
+const AUDIT_SKIPPED_ROUTES = ['/admin/login', '/admin/admin.js'];
+// Public routes that change data although they are GET requests (links in mails)
+const AUDITED_GET_ROUTES = ['/api/register/cancel/:token', '/api/appointments/:token/cancel'];
+// First path segments of public routes, and the table they write to
+const AUDIT_ROUTE_TABLES = {
+  register: 'registrations',
+  registrations: 'registrations',
+  contact: 'contacts',
+  score: 'scores',
+  'safety-events': 'safety_events',
+  'send-mail': 'mails',
+  mails: 'mails',
+  seminars: 'seminars',
+  journal: 'journal_entries'
+};
+
+function auditTarget(req, responseBody) {
+  const segments = req.path.split('/').filter(Boolean);
+  const name = segments[0] === 'api' && segments[1] === 'admin' ? segments[2] : segments[1];
+  const targetTable = Object.prototype.hasOwnProperty.call(ADMIN_TABLES, name) ? name : (AUDIT_ROUTE_TABLES[name] || null);
+  // Unmatched requests have no req.params, and journal ids are hex rather than row ids
+  let targetId = req.params && /^\d+$/.test(req.params.id) ? Number(req.params.id) : NaN;
+  if (!(targetId > 0) && responseBody && Number.isInteger(responseBody.id)) targetId = responseBody.id;
+  return { targetTable, targetId: targetId > 0 ? targetId : null };
+}
+
+function auditTrail(req, res, next) {
+  const isAdmin = /^\/(?:api\/)?admin(?:\/|$)/.test(req.path);
+  const changes = !['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+  const cancelLink = req.path.startsWith('/api/register/cancel/') || /^\/api\/appointments\/[^/]+\/cancel$/.test(req.path);
+  if (AUDIT_SKIPPED_ROUTES.includes(req.path) || !(isAdmin || (changes && req.path.startsWith('/api/')) || cancelLink)) {
+    return next();
+  }
+
+  // Created records are identified by the id in the JSON response
+  let responseBody = null;
+  const json = res.json.bind(res);
+  res.json = body => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const route = req.route ? req.route.path : req.path;
+    if (!changes && !isAdmin && !AUDITED_GET_ROUTES.includes(route)) return;
+    const query = Object.keys(req.query || {});
+    recordAudit(Object.assign({
+      actor: req.adminUser ? req.adminUser.username : 'anonymous',
+      action: `${req.method} ${req.route ? route : '(unmatched)'}`,
+      details: Object.assign({ status: res.statusCode }, query.length ? { query } : {}),
+      ip: isAdmin ? req.ip : null
+    }, auditTarget(req, responseBody))).catch(err => log.error('DB Error writing audit log', { req, err }));
+  });
+  next();
+}
+
+app.use(auditTrail);
+
 // Serve static files (the existing HTML/CSS/JS)
 app.use(express.static(path.join(__dirname)));
 
@@ -23,42 +194,8 @@ if (!fs.existsSync(dataDir)) {
 const dbPath = path.join(dataDir, 'app.db');
 const db = new sqlite3.Database(dbPath);
 
-// Initialize DB tables
-db.serialize(() => {
-  db.run(`CREATE TABLE IF NOT EXISTS registrations (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    email TEXT NOT NULL,
-    address TEXT,
-    contact TEXT NOT NULL,
-    receivedAt TEXT NOT NULL
-  )`);
-
-  db.run(`CREATE TABLE IF NOT EXISTS contacts (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    email TEXT NOT NULL,
-    message TEXT NOT NULL,
-    receivedAt TEXT NOT NULL
-  )`);
-
-  db.run(`CREATE TABLE IF NOT EXISTS scores (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    score REAL NOT NULL,
-    details TEXT,
-    receivedAt TEXT NOT NULL
-  )`);
-
-  db.run(`CREATE TABLE IF NOT EXISTS mails (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    recipients TEXT,
-    subject TEXT,
-    body TEXT,
-    status TEXT,
-    sentAt TEXT,
-    error TEXT
-  )`);
-});
+// The schema is managed by migrations/ (see lib/migrations.js); pending ones run
+// before the server starts listening.
 
 // ============== VALIDATION FUNCTIONS ==============
 
@@ -99,12 +236,19 @@ function sanitizeHtml(str) {
     .replace(/'/g, '&#x27;');
 }
 
+
 /**
- * Validates registration form input
+ * Validates registration form input. Resolves with status 409 when the email
+ * already holds an active (confirmed or waitlisted) place on the same seminar.
  */
-function validateRegistration(data) {
+async function validateRegistration(data) {
   const errors = [];
 
+  // Bots fill in the hidden honeypot field; people never see it
+  if (honeypotFilled(data)) {
+    return { valid: false, rejected: 'honeypot', errors: ['Submission rejected.'] };
+  }
+
   // Validate name
   const nameValidation = validateStringField(data.name, 'Name', 1, 100);
   if (!nameValidation.valid) errors.push(nameValidation.error);
@@ -123,21 +267,101 @@ function validateRegistration(data) {
   if (!contactValidation.valid) errors.push(contactValidation.error);
 
   // Validate address (optional)
-  if (data.address && typeof data.address === 'string' && data.address.trim().length > 500) {
+  if (data.address && typeof data.address !== 'string') {
+    errors.push('Address must be a string.');
+  } else if (data.address && data.address.trim().length > 500) {
     errors.push('Address exceeds maximum length of 500 characters.');
   }
 
+  // Validate seminar reference (forms post it as a string)
+  const seminarId = Number(data.seminarId);
+  if (typeof data.seminarId === 'undefined' || data.seminarId === null || data.seminarId === '') {
+    errors.push('Seminar is required.');
+  } else if (!Number.isInteger(seminarId) || seminarId < 1) {
+    errors.push('Seminar id is invalid.');
+  }
+
   if (errors.length > 0) {
     return { valid: false, errors };
   }
 
+  const email = data.email.trim();
+  const existing = await queryGet(
+    `SELECT id FROM registrations WHERE seminarId = ? AND emailHash = ? AND status IN ('confirmed','waitlisted')`,
+    [seminarId, emailHash(email)]
+  );
+  if (existing) {
+    return { valid: false, status: 409, errors: ['This email is already registered for this seminar.'] };
+  }
+
   return {
     valid: true,
     data: {
       name: nameValidation.value,
-      email: data.email.trim(),
+      email,
       address: data.address ? data.address.trim() : '',
-      contact: contactValidation.value
+      contact: contactValidation.value,
+      seminarId
+    }
+  };
+}
+
+/**
+ * Parses an ISO-8601 date/time string, returning null when it is not a valid date
+ */
+function parseDateTime(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validates seminar create/update input
+ */
+function validateSeminar(data) {
+  const errors = [];
+
+  // Validate title
+  const titleValidation = validateStringField(data.title, 'Title', 1, 200);
+  if (!titleValidation.valid) errors.push(titleValidation.error);
+
+  // Validate description (optional)
+  if (data.description && (typeof data.description !== 'string' || data.description.trim().length > 2000)) {
+    errors.push('Description must be a string of at most 2000 characters.');
+  }
+
+  // Validate start/end times
+  const startsAt = parseDateTime(data.startsAt);
+  const endsAt = parseDateTime(data.endsAt);
+  if (!startsAt) errors.push('Start time must be a valid date/time.');
+  if (!endsAt) errors.push('End time must be a valid date/time.');
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    errors.push('End time must be after start time.');
+  }
+
+  // Validate location
+  const locationValidation = validateStringField(data.location, 'Location', 1, 255);
+  if (!locationValidation.valid) errors.push(locationValidation.error);
+
+  // Validate capacity
+  const capacity = Number(data.capacity);
+  if (!Number.isInteger(capacity) || capacity < 1 || capacity > 10000) {
+    errors.push('Capacity must be a whole number between 1 and 10000.');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    data: {
+      title: titleValidation.value,
+      description: data.description ? data.description.trim() : '',
+      startsAt: startsAt.toISOString(),
+      endsAt: endsAt.toISOString(),
+      location: locationValidation.value,
+      capacity
     }
   };
 }
@@ -148,6 +372,11 @@ function validateRegistration(data) {
 function validateContact(data) {
   const errors = [];
 
+  // Bots fill in the hidden honeypot field; people never see it
+  if (honeypotFilled(data)) {
+    return { valid: false, rejected: 'honeypot', errors: ['Submission rejected.'] };
+  }
+
   // Validate name
   const nameValidation = validateStringField(data.name, 'Name', 1, 100);
   if (!nameValidation.valid) errors.push(nameValidation.error);
@@ -179,25 +408,296 @@ function validateContact(data) {
   };
 }
 
+
+/**
+ * Validates a triage update to a contact inquiry (status and/or assignee)
+ */
+function validateContactUpdate(data) {
+  const errors = [];
+  const update = {};
+
+  if (typeof data.status !== 'undefined') {
+    if (!CONTACT_STATUSES.includes(data.status)) {
+      errors.push(`Status must be one of ${CONTACT_STATUSES.join(', ')}.`);
+    } else {
+      update.status = data.status;
+    }
+  }
+
+  // An empty or null assignee unassigns the inquiry
+  if (typeof data.assignedTo !== 'undefined') {
+    if (data.assignedTo === null || data.assignedTo === '') {
+      update.assignedTo = null;
+    } else {
+      const assigneeValidation = validateStringField(data.assignedTo, 'Assignee', 1, 100);
+      if (!assigneeValidation.valid) errors.push(assigneeValidation.error);
+      else update.assignedTo = assigneeValidation.value;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(update).length === 0) {
+    errors.push('Nothing to update; send status and/or assignedTo.');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return { valid: true, data: update };
+}
+
+/**
+ * Validates a staff reply to a contact inquiry
+ */
+function validateContactReply(data) {
+  const errors = [];
+
+  let subject = 'Re: your message to Mental Health Companion';
+  if (data.subject) {
+    const subjectValidation = validateStringField(data.subject, 'Subject', 1, 255);
+    if (!subjectValidation.valid) errors.push(subjectValidation.error);
+    else subject = subjectValidation.value;
+  }
+
+  const bodyValidation = validateStringField(data.body, 'Reply', 1, 10000);
+  if (!bodyValidation.valid) errors.push(bodyValidation.error);
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return { valid: true, data: { subject, body: bodyValidation.value } };
+}
+
+// ============== QUESTIONNAIRES ==============
+// Each questionnaires/<id>.json describes an instrument: questions (q1..qN) with
+// option values (shared `options` or per-question), optional `reverse` items,
+// `scoring.method` ('sum' or 'average', optionally times `scoring.multiplier`)
+// and severity `bands`. The band with the highest `min` not above the score applies.
+// `riskItems` lists answers that trigger the crisis panel and a staff safety alert.
+const questionnairesDir = path.join(__dirname, 'questionnaires');
+const DEFAULT_QUESTIONNAIRE = 'wellbeing-check';
+const BAND_LEVELS = ['healthy', 'mild', 'moderate', 'severe'];
+
+function questionOptions(questionnaire, question) {
+  return question.options || questionnaire.options;
+}
+
+/**
+ * Checks a questionnaire definition, returning a list of problems (empty when valid)
+ */
+function checkQuestionnaireDefinition(def) {
+  const problems = [];
+  if (!def.id || !/^[a-z0-9-]+$/.test(def.id)) problems.push('id must be lowercase letters, digits and dashes');
+  if (!def.title) problems.push('title is required');
+  if (!Array.isArray(def.questions) || def.questions.length === 0) {
+    problems.push('questions must be a non-empty array');
+  } else {
+    def.questions.forEach((q, i) => {
+      if (q.id !== 'q' + (i + 1)) problems.push(`question ${i + 1} must have id "q${i + 1}"`);
+      if (!q.text) problems.push(`${q.id} has no text`);
+      const options = questionOptions(def, q);
+      if (!Array.isArray(options) || options.length < 2 || !options.every(o => Number.isInteger(o.value) && o.label)) {
+        problems.push(`${q.id} needs at least two options with integer values and labels`);
+      }
+    });
+  }
+  if (!def.scoring || !['sum', 'average'].includes(def.scoring.method)) problems.push('scoring.method must be "sum" or "average"');
+  if (!Array.isArray(def.bands) || !def.bands.some(b => b.min === 0)) {
+    problems.push('bands must include one with min 0');
+  } else if (!def.bands.every(b => typeof b.min === 'number' && b.key && b.label && b.advice && BAND_LEVELS.includes(b.level))) {
+    problems.push(`every band needs min, key, label, advice and a level of ${BAND_LEVELS.join('/')}`);
+  }
+  (def.riskItems || []).forEach(item => {
+    const question = (def.questions || []).find(q => q.id === item.id);
+    if (!question) {
+      problems.push(`riskItems refers to unknown question ${item.id}`);
+    } else if (!Array.isArray(item.values) || item.values.length === 0 || !item.reason) {
+      problems.push(`riskItems entry for ${item.id} needs values and a reason`);
+    }
+  });
+  return problems;
+}
+
+// Loaded once at startup; a broken definition stops the server rather than mis-scoring
+function loadQuestionnaires() {
+  const questionnaires = new Map();
+  fs.readdirSync(questionnairesDir).filter(f => f.endsWith('.json')).sort().forEach(file => {
+    const def = JSON.parse(fs.readFileSync(path.join(questionnairesDir, file), 'utf8'));
+    const problems = checkQuestionnaireDefinition(def);
+    if (problems.length > 0 || file !== `${def.id}.json`) {
+      throw new Error(`Invalid questionnaire ${file}: ${problems.join('; ') || 'file name must match id'}`);
+    }
+    def.bands = def.bands.slice().sort((x, y) => y.min - x.min);
+    questionnaires.set(def.id, def);
+  });
+  if (!questionnaires.has(DEFAULT_QUESTIONNAIRE)) {
+    throw new Error(`Default questionnaire ${DEFAULT_QUESTIONNAIRE}.json is missing`);
+  }
+  return questionnaires;
+}
+
+const questionnaires = loadQuestionnaires();
+
+/**
+ * Scores validated answers against a questionnaire and picks the matching band
+ */
+function scoreQuestionnaire(questionnaire, answers) {
+  const values = questionnaire.questions.map(q => {
+    const value = answers[q.id];
+    if (!q.reverse) return value;
+    const optionValues = questionOptions(questionnaire, q).map(o => o.value);
+    return Math.min(...optionValues) + Math.max(...optionValues) - value;
+  });
+  let score = values.reduce((sum, v) => sum + v, 0);
+  if (questionnaire.scoring.method === 'average') score /= values.length;
+  if (questionnaire.scoring.multiplier) score *= questionnaire.scoring.multiplier;
+  score = Math.round(score * 100) / 100;
+  const band = questionnaire.bands.find(b => score >= b.min);
+  return { score, band };
+}
+
+// ---------- Anonymous history codes ----------
+// People who opt in get a random code such as "K7QM-4XPA-9TRD-2HWB" that links
+// their score rows. Only a SHA-256 of the code is stored.
+const HISTORY_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const HISTORY_CODE_PATTERN = /^[23456789A-HJ-NP-Z]{4}(-[23456789A-HJ-NP-Z]{4}){3}$/;
+
+function generateHistoryCode() {
+  const chars = Array.from(crypto.randomBytes(16), b => HISTORY_CODE_ALPHABET[b % HISTORY_CODE_ALPHABET.length]);
+  return [0, 4, 8, 12].map(i => chars.slice(i, i + 4).join('')).join('-');
+}
+
+/**
+ * Uppercases and trims a user-entered code; returns null when it is not a valid code
+ */
+function normalizeHistoryCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase().replace(/\s+/g, '');
+  return HISTORY_CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+function historyKey(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Journals are addressed by an id the browser derives from its journal code;
+// the code itself never reaches the server. Only a SHA-256 of the id is stored.
+const JOURNAL_ID_PATTERN = /^[0-9a-f]{64}$/;
+
+function journalKey(id) {
+  return crypto.createHash('sha256').update('journal:' + id).digest('hex');
+}
+
+/**
+ * Returns the riskItems matched by the answers (empty when nothing is flagged)
+ */
+function detectRisk(questionnaire, answers) {
+  return (questionnaire.riskItems || []).filter(item => item.values.includes(answers[item.id]));
+}
+
 /**
- * Validates assessment score input
+ * Validates assessment answers against the chosen questionnaire's questions and options
  */
 function validateScore(data) {
   const errors = [];
+  const answers = {};
+
+  // Bots fill in the hidden honeypot field; people never see it
+  if (honeypotFilled(data)) {
+    return { valid: false, rejected: 'honeypot', errors: ['Submission rejected.'] };
+  }
 
-  if (typeof data.score === 'undefined' || data.score === null) {
-    errors.push('Score is required.');
-  } else if (typeof data.score !== 'number') {
-    errors.push('Score must be a number.');
-  } else if (data.score < 0 || data.score > 4) {
-    errors.push('Score must be between 0 and 4.');
+  const questionnaireId = data.questionnaire || DEFAULT_QUESTIONNAIRE;
+  const questionnaire = questionnaires.get(questionnaireId);
+  if (!questionnaire) {
+    return { valid: false, errors: ['Unknown questionnaire.'] };
   }
 
+  questionnaire.questions.forEach((question, i) => {
+    const raw = data[question.id];
+    // Form posts send the values as strings
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    const allowed = questionOptions(questionnaire, question).map(o => o.value);
+    if (typeof value === 'undefined' || value === null || value === '') {
+      errors.push(`Question ${i + 1} is required.`);
+    } else if (!allowed.includes(value)) {
+      errors.push(`Question ${i + 1} must be one of ${allowed.join(', ')}.`);
+    } else {
+      answers[question.id] = value;
+    }
+  });
+
   // Validate optional details field
-  if (data.details && typeof data.details === 'string' && data.details.trim().length > 1000) {
+  if (data.details && typeof data.details !== 'string') {
+    errors.push('Details must be a string.');
+  } else if (data.details && data.details.trim().length > 1000) {
     errors.push('Details exceed maximum length of 1000 characters.');
   }
 
+  // Validate optional history code
+  const historyCode = data.historyCode ? normalizeHistoryCode(data.historyCode) : null;
+  if (data.historyCode && !historyCode) {
+    errors.push('History code is invalid.');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    data: {
+      questionnaire,
+      answers,
+      details: data.details ? data.details.trim() : null,
+      historyCode
+    }
+  };
+}
+
+// ============== CRISIS SUPPORT ==============
+// Regional helplines shown in the crisis panel. Point HELPLINES_FILE at another
+// JSON file with the same shape to change them without editing the repo copy.
+const helplinesPath = process.env.HELPLINES_FILE || path.join(__dirname, 'config', 'helplines.json');
+const helplines = JSON.parse(fs.readFileSync(helplinesPath, 'utf8'));
+if (!helplines.regions || !helplines.regions[helplines.defaultRegion]) {
+  throw new Error(`Invalid helplines file ${helplinesPath}: defaultRegion must name one of its regions`);
+}
+
+/**
+ * Validates the opt-in contact request sent from the crisis panel
+ */
+function validateCrisisContact(data) {
+  const errors = [];
+
+  if (data.consent !== true) {
+    errors.push('Consent is required before we can store your contact details.');
+  }
+
+  // Name is optional; people may prefer to give only a phone number
+  let name = '';
+  if (data.name) {
+    const nameValidation = validateStringField(data.name, 'Name', 1, 100);
+    if (!nameValidation.valid) errors.push(nameValidation.error);
+    else name = nameValidation.value;
+  }
+
+  const email = typeof data.email === 'string' ? data.email.trim() : '';
+  const phone = typeof data.phone === 'string' ? data.phone.trim() : '';
+  if (!email && !phone) {
+    errors.push('Please give an email address or a phone number.');
+  }
+  if (email && (!isValidEmail(email) || email.length > 255)) {
+    errors.push('Email format is invalid.');
+  }
+  if (phone.length > 20) {
+    errors.push('Phone exceeds maximum length of 20 characters.');
+  }
+  if (data.preferredTime && (typeof data.preferredTime !== 'string' || data.preferredTime.trim().length > 100)) {
+    errors.push('Preferred time must be at most 100 characters.');
+  }
+
   if (errors.length > 0) {
     return { valid: false, errors };
   }
@@ -205,8 +705,10 @@ function validateScore(data) {
   return {
     valid: true,
     data: {
-      score: data.score,
-      details: data.details ? data.details.trim() : null
+      name,
+      email,
+      phone,
+      preferredTime: data.preferredTime ? data.preferredTime.trim() : ''
     }
   };
 }
@@ -217,12 +719,19 @@ function validateScore(data) {
 function validateMail(data) {
   const errors = [];
 
+  // Bots fill in the hidden honeypot field; people never see it
+  if (honeypotFilled(data)) {
+    return { valid: false, rejected: 'honeypot', errors: ['Submission rejected.'] };
+  }
+
   // Validate recipient
-  if (!data.to) {
+  if (!data.to || (Array.isArray(data.to) && data.to.length === 0)) {
     errors.push('Recipient email is required.');
   } else if (Array.isArray(data.to)) {
     for (let email of data.to) {
-      if (!isValidEmail(email.trim())) {
+      if (typeof email !== 'string') {
+        errors.push('Recipient must be a string or array of strings.');
+      } else if (!isValidEmail(email.trim())) {
         errors.push(`Invalid email format: ${email}`);
       }
     }
@@ -256,256 +765,2965 @@ function validateMail(data) {
   };
 }
 
-function insertRegistration(entry) {
-  return new Promise((resolve, reject) => {
-    const stmt = `INSERT INTO registrations (name,email,address,contact,receivedAt) VALUES (?,?,?,?,?)`;
-    db.run(stmt, [entry.name, entry.email, entry.address || '', entry.contact, entry.receivedAt], function(err) {
-      if (err) return reject(err);
-      resolve(this.lastID);
-    });
-  });
+/**
+ * Validates a /api/send-mail allowlist entry: a whole address or a domain
+ */
+function validateAllowlistEntry(data) {
+  const entry = typeof data.entry === 'string' ? data.entry.trim().toLowerCase() : '';
+  const isDomain = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/.test(entry);
+  if (!isDomain && !(isValidEmail(entry) && entry.length <= 255)) {
+    return { valid: false, errors: ['Entry must be an email address or a domain such as example.org.'] };
+  }
+  return { valid: true, data: { entry } };
 }
 
-function insertContact(entry) {
-  return new Promise((resolve, reject) => {
-    const stmt = `INSERT INTO contacts (name,email,message,receivedAt) VALUES (?,?,?,?)`;
-    db.run(stmt, [entry.name, entry.email, entry.message, entry.receivedAt], function(err) {
-      if (err) return reject(err);
-      resolve(this.lastID);
-    });
+// A list field of the directory given as an array or a comma-separated string;
+// duplicates (ignoring case) and empty items are dropped
+function parseListField(value, fieldName, errors) {
+  const items = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : null);
+  if (!items || !items.every(item => typeof item === 'string')) {
+    errors.push(`${fieldName} must be a list or a comma-separated string.`);
+    return [];
+  }
+  const list = [];
+  // Stored joined with commas, so an item cannot hold one itself
+  items.join(',').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+    if (!list.some(existing => existing.toLowerCase() === item.toLowerCase())) list.push(item);
   });
+  if (list.length === 0) errors.push(`${fieldName} needs at least one entry.`);
+  if (list.length > 20 || list.some(item => item.length > 60)) {
+    errors.push(`${fieldName} may have at most 20 entries of up to 60 characters.`);
+  }
+  return list;
 }
 
-function insertScore(entry) {
-  return new Promise((resolve, reject) => {
-    const stmt = `INSERT INTO scores (score,details,receivedAt) VALUES (?,?,?)`;
-    db.run(stmt, [entry.score, entry.details || null, entry.receivedAt], function(err) {
-      if (err) return reject(err);
-      resolve(this.lastID);
-    });
-  });
-}
+/**
+ * Validates a weekly availability slot: { weekday: 1-7 (Monday first), startTime, endTime: "HH:MM" }
+ */
+function validateAvailabilitySlot(data) {
+  const errors = [];
 
-function insertMail(record) {
-  return new Promise((resolve, reject) => {
-    const stmt = `INSERT INTO mails (recipients,subject,body,status,sentAt,error) VALUES (?,?,?,?,?,?)`;
-    db.run(stmt, [record.recipients, record.subject, record.body, record.status, record.sentAt || null, record.error || null], function(err) {
-      if (err) return reject(err);
-      resolve(this.lastID);
-    });
-  });
-}
+  const weekday = Number(data.weekday);
+  if (!Number.isInteger(weekday) || weekday < 1 || weekday > 7) {
+    errors.push('Weekday must be a whole number from 1 (Monday) to 7 (Sunday).');
+  }
+  const start = parseTime(data.startTime);
+  const end = parseTime(data.endTime);
+  if (start === null || end === null) {
+    errors.push('Start and end times must be given as HH:MM.');
+  } else if (end - start < 15) {
+    errors.push('A slot must end at least 15 minutes after it starts.');
+  }
 
-// Generic query helper
-function queryAll(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) return reject(err);
-      resolve(rows);
-    });
-  });
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return { valid: true, data: { weekday, startTime: data.startTime.trim(), endTime: data.endTime.trim() } };
 }
 
-app.post('/api/register', async (req, res) => {
-  const validation = validateRegistration(req.body);
-  if (!validation.valid) {
-    return res.status(400).json({ success: false, errors: validation.errors });
+/**
+ * Validates an appointment request from Contact.html
+ */
+function validateAppointmentRequest(data) {
+  const errors = [];
+
+  // Bots fill in the hidden honeypot field; people never see it
+  if (honeypotFilled(data)) {
+    return { valid: false, rejected: 'honeypot', errors: ['Submission rejected.'] };
   }
 
-  const { name, email, address, contact } = validation.data;
-  const entry = {
-    name: sanitizeHtml(name),
-    email,
-    address: sanitizeHtml(address),
-    contact,
-    receivedAt: new Date().toISOString()
-  };
-  try {
-    const id = await insertRegistration(entry);
-    res.json({ success: true, id, message: 'Registration successful.' });
-  } catch (err) {
-    console.error('DB Error saving registration', err);
-    res.status(500).json({ success: false, message: 'Could not save registration.' });
+  const professionalId = Number(data.professionalId);
+  const slotId = Number(data.slotId);
+  if (!Number.isInteger(professionalId) || professionalId < 1 || !Number.isInteger(slotId) || slotId < 1) {
+    errors.push('Please choose a professional and a time.');
   }
-});
+  const startsAt = parseDateTime(data.startsAt);
+  if (!startsAt) errors.push('Start time must be a valid date/time.');
 
-app.post('/api/contact', async (req, res) => {
-  const validation = validateContact(req.body);
-  if (!validation.valid) {
-    return res.status(400).json({ success: false, errors: validation.errors });
+  const nameValidation = validateStringField(data.name, 'Name', 1, 100);
+  if (!nameValidation.valid) errors.push(nameValidation.error);
+
+  const email = typeof data.email === 'string' ? data.email.trim() : '';
+  if (!email) {
+    errors.push('Email is required.');
+  } else if (!isValidEmail(email) || email.length > 255) {
+    errors.push('Email format is invalid.');
   }
 
-  const { name, email, message } = validation.data;
-  const entry = {
-    name: sanitizeHtml(name),
-    email,
-    message: sanitizeHtml(message),
-    receivedAt: new Date().toISOString()
-  };
-  try {
-    const id = await insertContact(entry);
-    res.json({ success: true, id, message: 'Contact form submitted successfully.' });
-  } catch (err) {
-    console.error('DB Error saving contact', err);
-    res.status(500).json({ success: false, message: 'Could not save contact.' });
+  const phone = typeof data.phone === 'string' ? data.phone.trim() : '';
+  if (phone.length > 20) {
+    errors.push('Phone exceeds maximum length of 20 characters.');
+  }
+  if (data.message && (typeof data.message !== 'string' || data.message.trim().length > 1000)) {
+    errors.push('Message must be at most 1000 characters.');
+  }
+  if (typeof data.online !== 'undefined' && typeof data.online !== 'boolean') {
+    errors.push('Online must be true or false.');
   }
-});
 
-app.post('/api/score', async (req, res) => {
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    data: {
+      professionalId,
+      slotId,
+      startsAt: startsAt.toISOString(),
+      name: nameValidation.value,
+      email,
+      phone,
+      message: data.message ? data.message.trim() : '',
+      online: data.online === true
+    }
+  };
+}
+
+/**
+ * Validates a professional in the Contact.html directory
+ */
+function validateProfessional(data) {
+  const errors = [];
+
+  const nameValidation = validateStringField(data.name, 'Name', 1, 200);
+  if (!nameValidation.valid) errors.push(nameValidation.error);
+
+  const cityValidation = validateStringField(data.city, 'City', 1, 100);
+  if (!cityValidation.valid) errors.push(cityValidation.error);
+
+  const specialisations = parseListField(data.specialisations, 'Specialisations', errors);
+  const languages = parseListField(data.languages, 'Languages', errors);
+
+  // Optional free-text fields, e.g. fees "₹1500 per session, sliding scale available"
+  const optional = {};
+  [['fees', 'Fees', 200], ['phone', 'Phone', 20], ['email', 'Email', 255], ['website', 'Website', 255], ['address', 'Address', 255]]
+    .forEach(([key, label, max]) => {
+      const value = data[key] === undefined || data[key] === null ? '' : data[key];
+      if (typeof value !== 'string' || value.trim().length > max) {
+        errors.push(`${label} must be a string of at most ${max} characters.`);
+      }
+      optional[key] = typeof value === 'string' ? value.trim() : '';
+    });
+  if (!optional.phone && !optional.email && !optional.website) {
+    errors.push('Please give a phone number, an email address or a website.');
+  }
+  if (optional.email && !isValidEmail(optional.email)) {
+    errors.push('Email format is invalid.');
+  }
+  if (optional.website && !/^https?:\/\/[^\s]+$/i.test(optional.website)) {
+    errors.push('Website must be an http:// or https:// address.');
+  }
+
+  if (typeof data.onlineSessions !== 'undefined' && typeof data.onlineSessions !== 'boolean') {
+    errors.push('Online sessions must be true or false.');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    data: Object.assign({
+      name: nameValidation.value,
+      city: cityValidation.value,
+      specialisations,
+      languages,
+      onlineSessions: data.onlineSessions === true
+    }, optional)
+  };
+}
+
+const ARTICLE_SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// "PTSD: Taking Control" -> "ptsd-taking-control"
+function slugify(text) {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 100).replace(/-+$/, '');
+}
+
+/**
+ * Validates an awareness article. `content` is Markdown (lib/markdown.js); the
+ * slug defaults to one made from the title.
+ */
+function validateArticle(data) {
+  const errors = [];
+
+  const titleValidation = validateStringField(data.title, 'Title', 1, 200);
+  if (!titleValidation.valid) errors.push(titleValidation.error);
+
+  let slug = typeof data.slug === 'string' ? data.slug.trim() : '';
+  if (!slug && titleValidation.valid) slug = slugify(titleValidation.value);
+  if (!ARTICLE_SLUG.test(slug) || slug.length > 100) {
+    errors.push('Slug must be up to 100 lowercase letters, digits and single hyphens, e.g. coping-with-exam-stress.');
+  }
+
+  if (data.summary && (typeof data.summary !== 'string' || data.summary.trim().length > 300)) {
+    errors.push('Summary must be a string of at most 300 characters.');
+  }
+
+  const contentValidation = validateStringField(data.content, 'Content', 1, 50000);
+  if (!contentValidation.valid) errors.push(contentValidation.error);
+
+  const categoryValidation = validateStringField(data.category, 'Category', 1, 60);
+  if (!categoryValidation.valid) errors.push(categoryValidation.error);
+
+  const authorValidation = validateStringField(data.author, 'Author', 1, 100);
+  if (!authorValidation.valid) errors.push(authorValidation.error);
+
+  // Tags are optional, unlike the lists of a professional
+  const noTags = data.tags === undefined || data.tags === null || (Array.isArray(data.tags) ? data.tags.length === 0 : typeof data.tags === 'string' && data.tags.trim() === '');
+  const tags = noTags ? [] : parseListField(data.tags, 'Tags', errors);
+
+  // The date the content was last checked by a professional, YYYY-MM-DD
+  const reviewedAt = typeof data.reviewedAt === 'string' ? data.reviewedAt.trim() : '';
+  if (data.reviewedAt && (!/^\d{4}-\d{2}-\d{2}$/.test(reviewedAt) || !parseDateTime(reviewedAt))) {
+    errors.push('Reviewed date must be a date in YYYY-MM-DD format.');
+  } else if (reviewedAt && reviewedAt > new Date().toISOString().slice(0, 10)) {
+    errors.push('Reviewed date cannot be in the future.');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    data: {
+      slug,
+      title: titleValidation.value,
+      summary: data.summary ? data.summary.trim() : '',
+      content: contentValidation.value,
+      category: categoryValidation.value,
+      tags,
+      author: authorValidation.value,
+      reviewedAt: reviewedAt || null
+    }
+  };
+}
+
+// Synced journal entries are ciphertext from the browser: AES-GCM with a 12-byte
+// IV, both base64, under an opaque 64-hex-digit entry id
+const JOURNAL_MAX_BATCH = 400;
+const JOURNAL_MAX_ENTRIES = 5000;
+const JOURNAL_MAX_CIPHERTEXT = 16384;
+
+/**
+ * Validates a PUT /api/journal/:id body: { entries: [{ entryId, iv, ciphertext, updatedAt }] }
+ */
+function validateJournalEntries(data) {
+  const errors = [];
+  const entries = Array.isArray(data.entries) ? data.entries : null;
+  if (!entries || entries.length === 0 || entries.length > JOURNAL_MAX_BATCH) {
+    return { valid: false, errors: [`entries must be a list of 1 to ${JOURNAL_MAX_BATCH} entries.`] };
+  }
+  const seen = new Set();
+  entries.forEach((entry, i) => {
+    const where = `Entry ${i + 1}`;
+    if (!entry || typeof entry.entryId !== 'string' || !/^[0-9a-f]{64}$/.test(entry.entryId)) {
+      errors.push(`${where} needs an entryId of 64 hex digits.`);
+      return;
+    }
+    if (seen.has(entry.entryId)) errors.push(`${where} repeats an entryId.`);
+    seen.add(entry.entryId);
+    if (typeof entry.iv !== 'string' || !/^[A-Za-z0-9+/]{16}$/.test(entry.iv)) errors.push(`${where} needs a base64 iv of 12 bytes.`);
+    if (typeof entry.ciphertext !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(entry.ciphertext) || entry.ciphertext.length > JOURNAL_MAX_CIPHERTEXT) {
+      errors.push(`${where} needs base64 ciphertext of at most ${JOURNAL_MAX_CIPHERTEXT} characters.`);
+    }
+    if (typeof entry.updatedAt !== 'string' || isNaN(Date.parse(entry.updatedAt))) errors.push(`${where} needs an updatedAt date.`);
+  });
+  if (errors.length > 0) return { valid: false, errors };
+  return {
+    valid: true,
+    data: entries.map(entry => ({
+      entryId: entry.entryId,
+      iv: entry.iv,
+      ciphertext: entry.ciphertext,
+      updatedAt: new Date(entry.updatedAt).toISOString()
+    }))
+  };
+}
+
+// ============== FORM PROTECTION ==============
+// Public form endpoints are rate limited per IP and per email, and scored for
+// spam (see lib/form_protection.js); the validators reject a filled-in
+// honeypot. The policy is config/form_protection.json, or FORM_PROTECTION_FILE.
+// Every rejection is stored in form_rejections for the dashboard.
+const formPolicyPath = process.env.FORM_PROTECTION_FILE || path.join(__dirname, 'config', 'form_protection.json');
+const formPolicy = JSON.parse(fs.readFileSync(formPolicyPath, 'utf8'));
+const formPolicyProblems = checkFormPolicy(formPolicy);
+if (formPolicyProblems.length > 0) {
+  throw new Error(`Invalid form protection policy ${formPolicyPath}: ${formPolicyProblems.join('; ')}`);
+}
+const formGuard = createFormGuard(formPolicy);
+
+const REJECTION_MESSAGES = {
+  rate_limit_ip: 'Too many submissions from your network. Please try again later.',
+  rate_limit_email: 'Too many submissions for this email address. Please try again later.',
+  honeypot: 'Submission rejected.',
+  spam: 'Your submission looks like spam and was not accepted. Please remove links and try again.',
+  recipient_not_allowed: 'Mail may only be sent to allowlisted recipients.'
+};
+const REJECTION_STATUS = { rate_limit_ip: 429, rate_limit_email: 429, recipient_not_allowed: 403 };
+
+/**
+ * Records a turned-away submission and answers it. `extra` may carry the spam
+ * score, details for the dashboard and retryAfter (seconds) for rate limits.
+ */
+function rejectSubmission(req, res, endpoint, reason, extra = {}) {
+  queryRun('INSERT INTO form_rejections (endpoint,reason,score,details,ip,createdAt) VALUES (?,?,?,?,?,?)',
+    [endpoint, reason, typeof extra.score === 'number' ? extra.score : null, extra.details ? JSON.stringify(extra.details) : null,
+      req.ip, new Date().toISOString()])
+    .catch(err => log.error('DB Error recording form rejection', { req, err }));
+  metrics.inc('form_rejections_total', { endpoint, reason });
+  res.locals.formRejection = reason;
+  if (extra.retryAfter) res.setHeader('Retry-After', String(extra.retryAfter));
+  res.status(REJECTION_STATUS[reason] || 400).json({ success: false, message: REJECTION_MESSAGES[reason] });
+}
+
+// Outcome of a form submission for the form_submissions_total metric
+function formOutcome(res) {
+  if (res.locals.formRejection) return 'rejected';
+  if (res.statusCode >= 500) return 'error';
+  return res.statusCode >= 400 ? 'invalid' : 'accepted';
+}
+
+/**
+ * Middleware factory for a public form endpoint: rate limits, then spam score.
+ * `emailsOf(body)` lists the addresses counted against the per-email limit.
+ */
+function protectForm(endpoint, emailsOf = () => []) {
+  return (req, res, next) => {
+    res.on('finish', () => metrics.inc('form_submissions_total', { endpoint, outcome: formOutcome(res) }));
+    const body = req.body || {};
+    const emails = emailsOf(body).filter(email => typeof email === 'string' && email.trim() !== '');
+    const rate = formGuard.checkRate(endpoint, req.ip, emails);
+    if (!rate.allowed) {
+      return rejectSubmission(req, res, endpoint, rate.reason, { retryAfter: rate.retryAfter });
+    }
+    // Endpoints without text fields (encrypted journal sync) are only rate limited
+    const spam = ((formPolicy.endpoints[endpoint] || {}).text || []).length ? formGuard.spamScore(endpoint, body) : { rejected: false };
+    if (spam.rejected) {
+      return rejectSubmission(req, res, endpoint, 'spam', { score: spam.score, details: spam.reasons });
+    }
+    next();
+  };
+}
+
+// Capacity check and insert happen in one statement so concurrent sign-ups cannot overbook.
+// Personal columns are encrypted (lib/field_crypto.js); emailHash serves lookups.
+function insertRegistration(entry) {
+  return new Promise((resolve, reject) => {
+    const stmt = `INSERT INTO registrations (name,email,emailHash,address,contact,seminarId,status,cancelToken,receivedAt)
+      VALUES (?,?,?,?,?,?,
+        CASE WHEN (SELECT COUNT(*) FROM registrations WHERE seminarId = ? AND status = 'confirmed')
+          < (SELECT capacity FROM seminars WHERE id = ?) THEN 'confirmed' ELSE 'waitlisted' END,
+        ?,?)`;
+    const params = [encryptField(entry.name, 'registrations', 'name'), encryptField(entry.email, 'registrations', 'email'),
+      emailHash(entry.email), encryptField(entry.address || '', 'registrations', 'address'),
+      encryptField(entry.contact, 'registrations', 'contact'), entry.seminarId,
+      entry.seminarId, entry.seminarId, entry.cancelToken, entry.receivedAt];
+    db.run(stmt, params, function(err) {
+      if (err) return reject(err);
+      resolve(this.lastID);
+    });
+  });
+}
+
+function insertContact(entry) {
+  return new Promise((resolve, reject) => {
+    const stmt = `INSERT INTO contacts (name,email,emailHash,message,receivedAt) VALUES (?,?,?,?,?)`;
+    const params = [encryptField(entry.name, 'contacts', 'name'), encryptField(entry.email, 'contacts', 'email'),
+      emailHash(entry.email), encryptField(entry.message, 'contacts', 'message'), entry.receivedAt];
+    db.run(stmt, params, function(err) {
+      if (err) return reject(err);
+      resolve(this.lastID);
+    });
+  });
+}
+
+function insertScore(entry) {
+  return new Promise((resolve, reject) => {
+    const stmt = `INSERT INTO scores (score,questionnaire,band,answers,details,historyKey,receivedAt) VALUES (?,?,?,?,?,?,?)`;
+    const params = [entry.score, entry.questionnaire, entry.band, JSON.stringify(entry.answers), entry.details || null,
+      entry.historyKey || null, entry.receivedAt];
+    db.run(stmt, params, function(err) {
+      if (err) return reject(err);
+      resolve(this.lastID);
+    });
+  });
+}
+
+// Mails repeat names, addresses and messages, so their content is encrypted like
+// the records they come from; emailHashes lists the addresses for subject access
+const MAIL_INSERT_COLUMNS = 'recipients,subject,body,html,template,contactId,attachments,emailHashes,status,sentAt,error,createdAt';
+
+// Values for MAIL_INSERT_COLUMNS, with the personal columns encrypted
+function mailInsertParams(record) {
+  const attachments = record.attachments && record.attachments.length ? JSON.stringify(record.attachments) : null;
+  return [encryptField(record.recipients, 'mails', 'recipients'), encryptField(record.subject, 'mails', 'subject'),
+    encryptField(record.body, 'mails', 'body'), encryptField(record.html || null, 'mails', 'html'), record.template || null,
+    record.contactId || null, encryptField(attachments, 'mails', 'attachments'), mailEmailHashes(record),
+    record.status, record.sentAt || null, record.error || null, new Date().toISOString()];
+}
+
+function insertMail(record) {
+  return new Promise((resolve, reject) => {
+    const stmt = `INSERT INTO mails (${MAIL_INSERT_COLUMNS}) VALUES (?,?,?,?,?,?,?,?,?,?,?,?)`;
+    db.run(stmt, mailInsertParams(record), function(err) {
+      if (err) return reject(err);
+      resolve(this.lastID);
+    });
+  });
+}
+
+// ============== MAIL ==============
+
+// Mail is queued in the `mails` table and delivered by a background worker:
+//   pending -> sending -> sent | pending (retry with backoff) | failed (retries exhausted)
+// Without SMTP_HOST the worker marks mails 'mocked' instead of sending them.
+const MAIL_WORKER_INTERVAL_MS = parseInt(process.env.MAIL_WORKER_INTERVAL_MS || '5000', 10);
+const MAIL_MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS || '5', 10);
+const MAIL_RETRY_BASE_MS = parseInt(process.env.MAIL_RETRY_BASE_MS || '30000', 10);
+const MAIL_RETRY_MAX_MS = 60 * 60 * 1000;
+const MAIL_BATCH_SIZE = 10;
+
+let transporter = null;
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+}
+
+// The row for a mail waiting for the worker
+function pendingMail({ to, subject, body, html, template, contactId, attachments }) {
+  return {
+    recipients: Array.isArray(to) ? to.join(',') : to,
+    subject,
+    body,
+    html,
+    template,
+    contactId,
+    attachments,
+    status: 'pending',
+    sentAt: null,
+    error: null
+  };
+}
+
+/**
+ * Adds a mail to the outbound queue. Resolves to the new `mails` row id;
+ * delivery happens later in the mail worker. `attachments` are
+ * [{ filename, contentType, content }] with text content.
+ */
+function queueMail(mail) {
+  return insertMail(pendingMail(mail));
+}
+
+// ---------- Mail templates ----------
+// Each template is a directory under mail_templates/ holding subject.txt, body.txt,
+// body.html and sample.json (preview data). {{name}} placeholders are filled in,
+// HTML-escaped in the HTML part; {{{name}}} inserts a value unescaped.
+// body.html is wrapped in mail_templates/layout.html.
+const mailTemplatesDir = path.join(__dirname, 'mail_templates');
+const MAIL_TEMPLATE_NAME = /^[a-z0-9-]+$/;
+
+function fillPlaceholders(template, vars, escape) {
+  return template.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, rawName, name) => {
+    const value = vars[rawName || name];
+    const str = value === null || typeof value === 'undefined' ? '' : String(value);
+    return escape && !rawName ? htmlEscape(str) : str;
+  });
+}
+
+async function listMailTemplates() {
+  const entries = await fs.promises.readdir(mailTemplatesDir, { withFileTypes: true });
+  return entries.filter(e => e.isDirectory() && MAIL_TEMPLATE_NAME.test(e.name)).map(e => e.name).sort();
+}
+
+/**
+ * Reads a template from disk. Resolves to null when no template has that name.
+ */
+async function loadMailTemplate(name) {
+  if (!MAIL_TEMPLATE_NAME.test(name)) return null;
+  const dir = path.join(mailTemplatesDir, name);
+  const read = file => fs.promises.readFile(path.join(dir, file), 'utf8');
+  try {
+    const [subject, text, html, layout] = await Promise.all([
+      read('subject.txt'), read('body.txt'), read('body.html'),
+      fs.promises.readFile(path.join(mailTemplatesDir, 'layout.html'), 'utf8')
+    ]);
+    const sample = await read('sample.json').then(JSON.parse).catch(() => ({}));
+    return { name, subject, text, html, layout, sample };
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Renders a template to { subject, text, html }. Rejects if the template does not exist.
+ */
+async function renderMailTemplate(name, vars) {
+  const template = await loadMailTemplate(name);
+  if (!template) throw new Error(`Unknown mail template: ${name}`);
+  const subject = fillPlaceholders(template.subject, vars, false).replace(/\s+/g, ' ').trim();
+  const content = fillPlaceholders(template.html, vars, true);
+  return {
+    subject,
+    text: fillPlaceholders(template.text, vars, false),
+    html: fillPlaceholders(template.layout, { subject, content }, true)
+  };
+}
+
+// `extra` ties the mail to a record, e.g. { contactId } for replies to an inquiry,
+// or adds { attachments }
+async function queueTemplateMail(name, to, vars, extra = {}) {
+  const rendered = await renderMailTemplate(name, vars);
+  return queueMail(Object.assign({ to, subject: rendered.subject, body: rendered.text, html: rendered.html, template: name }, extra));
+}
+
+// Staff alerts go to STAFF_ALERT_EMAIL (comma-separated); none are sent when it is unset
+function staffAlertRecipients() {
+  return (process.env.STAFF_ALERT_EMAIL || '').split(',').map(e => e.trim()).filter(e => isValidEmail(e));
+}
+
+function queueStaffAlert(name, vars) {
+  const to = staffAlertRecipients();
+  if (to.length === 0) return Promise.resolve(null);
+  return queueTemplateMail(name, to, vars);
+}
+
+// Delay before the next attempt after `attempts` failures: base * 2^(attempts-1), capped
+function mailRetryDelay(attempts) {
+  return Math.min(MAIL_RETRY_BASE_MS * Math.pow(2, attempts - 1), MAIL_RETRY_MAX_MS);
+}
+
+async function deliverMail(row) {
+  const mail = decryptRecord('mails', row);
+  // Claim the row first so a slow send is never picked up twice
+  const claim = await queryRun(`UPDATE mails SET status = 'sending' WHERE id = ? AND status = 'pending'`, [mail.id]);
+  if (claim.changes === 0) return;
+
+  if (!process.env.SMTP_HOST) {
+    await queryRun(`UPDATE mails SET status = 'mocked' WHERE id = ?`, [mail.id]);
+    metrics.inc('mail_deliveries_total', { result: 'mocked' });
+    return;
+  }
+
+  const attempts = mail.attempts + 1;
+  try {
+    await getTransporter().sendMail({
+      from: process.env.SMTP_FROM || 'noreply@example.com',
+      to: mail.recipients,
+      subject: mail.subject,
+      text: mail.body,
+      html: mail.html || undefined,
+      attachments: mail.attachments ? JSON.parse(mail.attachments) : undefined
+    });
+    await queryRun(`UPDATE mails SET status = 'sent', sentAt = ?, attempts = ?, nextAttemptAt = NULL, error = NULL WHERE id = ?`,
+      [new Date().toISOString(), attempts, mail.id]);
+    metrics.inc('mail_deliveries_total', { result: 'sent' });
+  } catch (sendErr) {
+    log.warn('Mail send error', { mailId: mail.id, attempt: attempts, maxAttempts: MAIL_MAX_ATTEMPTS, err: sendErr });
+    const exhausted = attempts >= MAIL_MAX_ATTEMPTS;
+    const nextAttemptAt = exhausted ? null : new Date(Date.now() + mailRetryDelay(attempts)).toISOString();
+    await queryRun(`UPDATE mails SET status = ?, attempts = ?, nextAttemptAt = ?, error = ? WHERE id = ?`,
+      [exhausted ? 'failed' : 'pending', attempts, nextAttemptAt, String(sendErr.message || sendErr), mail.id]);
+    metrics.inc('mail_deliveries_total', { result: exhausted ? 'failed' : 'retry' });
+  }
+}
+
+let mailWorkerBusy = false;
+// When the worker last started a pass over the queue; GET /healthz checks it is still running
+let mailWorkerLastRunAt = null;
+async function drainMailQueue() {
+  if (mailWorkerBusy) return;
+  mailWorkerBusy = true;
+  mailWorkerLastRunAt = Date.now();
+  try {
+    const due = await queryAll(`SELECT * FROM mails WHERE status = 'pending' AND (nextAttemptAt IS NULL OR nextAttemptAt <= ?)
+      ORDER BY id LIMIT ?`, [new Date().toISOString(), MAIL_BATCH_SIZE]);
+    for (const mail of due) {
+      await deliverMail(mail);
+    }
+  } catch (err) {
+    log.error('Mail worker error', { err });
+  } finally {
+    mailWorkerBusy = false;
+  }
+}
+
+/**
+ * Puts failed mails back in the queue with a fresh retry budget.
+ * Resolves to the number of mails requeued.
+ */
+function requeueFailedMails(id) {
+  const where = id ? ' AND id = ?' : '';
+  return queryRun(`UPDATE mails SET status = 'pending', attempts = 0, nextAttemptAt = NULL WHERE status = 'failed'${where}`,
+    id ? [id] : []).then(result => result.changes);
+}
+
+function startMailWorker() {
+  // Anything left 'sending' was interrupted by a restart; try it again
+  queryRun(`UPDATE mails SET status = 'pending' WHERE status = 'sending'`)
+    .catch(err => log.error('Mail worker error', { err }))
+    .then(() => {
+      drainMailQueue();
+      setInterval(drainMailQueue, MAIL_WORKER_INTERVAL_MS);
+    });
+}
+
+// Absolute base URL for links in outgoing mail and calendar files. It never comes
+// from the request's Host header, which a client can forge to put its own domain
+// into the links; without PUBLIC_URL only dev mode starts, using the local address.
+function publicBaseUrl() {
+  return (process.env.PUBLIC_URL || `http://${HOST}:${PORT}`).replace(/\/$/, '');
+}
+
+function formatSeminarWhen(seminar) {
+  const start = new Date(seminar.startsAt);
+  const end = new Date(seminar.endsAt);
+  return `${start.toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' })} - ${end.toLocaleTimeString('en-US', { timeStyle: 'short' })}`;
+}
+
+// Generic query helpers
+function queryAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+}
+
+function queryGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) return reject(err);
+      resolve(row);
+    });
+  });
+}
+
+function queryRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+/**
+ * Runs `statements` ([sql, params] pairs) in one transaction and resolves to
+ * their { lastID, changes }. They are queued together in serialized mode, so no
+ * other query on the shared connection can run between BEGIN and COMMIT.
+ */
+function queryTransaction(statements) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    let failed = null;
+    db.serialize(() => {
+      db.run('BEGIN IMMEDIATE');
+      statements.forEach(([sql, params], i) => db.run(sql, params, function(err) {
+        if (err) failed = failed || err;
+        else results[i] = { lastID: this.lastID, changes: this.changes };
+      }));
+      db.run('COMMIT', err => (failed || err ? reject(failed || err) : resolve(results)));
+    });
+  });
+}
+
+// ============== SEMINARS ==============
+
+const SEMINAR_SELECT = `SELECT s.*,
+    (SELECT COUNT(*) FROM registrations r WHERE r.seminarId = s.id AND r.status = 'confirmed') AS confirmedCount,
+    (SELECT COUNT(*) FROM registrations r WHERE r.seminarId = s.id AND r.status = 'waitlisted') AS waitlistCount
+  FROM seminars s`;
+
+function withAvailability(seminar) {
+  return Object.assign({}, seminar, { spotsLeft: Math.max(0, seminar.capacity - seminar.confirmedCount) });
+}
+
+function getSeminar(id) {
+  return queryGet(`${SEMINAR_SELECT} WHERE s.id = ?`, [id]).then(row => row ? withAvailability(row) : null);
+}
+
+// Placeholders for the registration-confirmed and -waitlisted mails and the staff alert
+function registrationMailVars(registration, seminar, baseUrl) {
+  return {
+    name: registration.name,
+    email: registration.email,
+    contact: registration.contact,
+    status: registration.status,
+    seminarTitle: decodeHtml(seminar.title),
+    seminarWhen: formatSeminarWhen(seminar),
+    seminarLocation: decodeHtml(seminar.location),
+    cancelUrl: `${baseUrl}/api/register/cancel/${registration.cancelToken}`,
+    adminUrl: `${baseUrl}/admin`
+  };
+}
+
+/**
+ * Moves the oldest waitlisted sign-ups into any confirmed places that are free
+ * and queues their registration-confirmed mail. Each promotion re-checks the
+ * capacity in its UPDATE, so it cannot race with new registrations, and its
+ * mail is only inserted when that UPDATE changed the row, in the same
+ * transaction. Resolves to the number of people promoted.
+ */
+async function promoteWaitlist(seminarId, baseUrl) {
+  const seminar = await getSeminar(seminarId);
+  if (!seminar || seminar.spotsLeft === 0) return 0;
+  const waiting = await queryAll(`SELECT * FROM registrations WHERE seminarId = ? AND status = 'waitlisted' ORDER BY id LIMIT ?`,
+    [seminarId, seminar.spotsLeft]);
+
+  const statements = [];
+  for (const row of waiting) {
+    const registration = Object.assign(decryptRecord('registrations', row), { status: 'confirmed' });
+    registration.name = decodeHtml(registration.name);
+    const rendered = await renderMailTemplate('registration-confirmed', registrationMailVars(registration, seminar, baseUrl));
+    const mail = pendingMail({ to: registration.email, subject: rendered.subject, body: rendered.text, html: rendered.html, template: 'registration-confirmed' });
+    statements.push([`UPDATE registrations SET status = 'confirmed' WHERE id = ? AND status = 'waitlisted'
+      AND (SELECT COUNT(*) FROM registrations WHERE seminarId = ? AND status = 'confirmed') < (SELECT capacity FROM seminars WHERE id = ?)`,
+    [row.id, seminarId, seminarId]]);
+    statements.push([`INSERT INTO mails (${MAIL_INSERT_COLUMNS}) SELECT ?,?,?,?,?,?,?,?,?,?,?,? WHERE changes() = 1`, mailInsertParams(mail)]);
+  }
+  if (statements.length === 0) return 0;
+  const results = await queryTransaction(statements);
+  return results.filter((result, i) => i % 2 === 0 && result.changes > 0).length;
+}
+
+/**
+ * Cancels an active registration and fills the freed place from the waitlist.
+ * `baseUrl` is used for the links in the promoted people's mails. Resolves to
+ * the updated registration row, or null if none was active.
+ */
+async function cancelRegistration(id, baseUrl) {
+  const result = await queryRun(`UPDATE registrations SET status = 'cancelled', cancelledAt = ?
+    WHERE id = ? AND status IN ('confirmed','waitlisted')`, [new Date().toISOString(), id]);
+  if (result.changes === 0) return null;
+  const registration = await queryGet('SELECT * FROM registrations WHERE id = ?', [id]);
+  if (registration.seminarId) await promoteWaitlist(registration.seminarId, baseUrl);
+  return registration;
+}
+
+app.get('/api/seminars', async (req, res) => {
+  const includePast = req.query.includePast === 'true';
+  try {
+    const where = includePast ? '' : ' WHERE s.endsAt >= ?';
+    const params = includePast ? [] : [new Date().toISOString()];
+    const rows = await queryAll(`${SEMINAR_SELECT}${where} ORDER BY s.startsAt ASC`, params);
+    res.json({ success: true, seminars: rows.map(withAvailability) });
+  } catch (err) {
+    log.error('DB Error listing seminars', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load seminars.' });
+  }
+});
+
+app.get('/api/seminars/:id', async (req, res) => {
+  try {
+    const seminar = await getSeminar(req.params.id);
+    if (!seminar) {
+      return res.status(404).json({ success: false, message: 'Seminar not found.' });
+    }
+    res.json({ success: true, seminar });
+  } catch (err) {
+    log.error('DB Error loading seminar', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load seminar.' });
+  }
+});
+
+app.post('/api/seminars', requireRole('counsellor'), asyncHandler(async (req, res) => {
+  const validation = validateSeminar(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  const { title, description, startsAt, endsAt, location, capacity } = validation.data;
+  try {
+    const result = await queryRun(
+      `INSERT INTO seminars (title,description,startsAt,endsAt,location,capacity,createdAt) VALUES (?,?,?,?,?,?,?)`,
+      [sanitizeHtml(title), sanitizeHtml(description), startsAt, endsAt, sanitizeHtml(location), capacity, new Date().toISOString()]
+    );
+    const seminar = await getSeminar(result.lastID);
+    res.status(201).json({ success: true, seminar, message: 'Seminar created.' });
+  } catch (err) {
+    log.error('DB Error creating seminar', { req, err });
+    res.status(500).json({ success: false, message: 'Could not create seminar.' });
+  }
+}));
+
+app.put('/api/seminars/:id', requireRole('counsellor'), asyncHandler(async (req, res) => {
+  const validation = validateSeminar(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  const { title, description, startsAt, endsAt, location, capacity } = validation.data;
+  try {
+    const result = await queryRun(
+      `UPDATE seminars SET title = ?, description = ?, startsAt = ?, endsAt = ?, location = ?, capacity = ? WHERE id = ?`,
+      [sanitizeHtml(title), sanitizeHtml(description), startsAt, endsAt, sanitizeHtml(location), capacity, req.params.id]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: 'Seminar not found.' });
+    }
+    // A raised capacity frees places for people on the waitlist
+    await promoteWaitlist(req.params.id, publicBaseUrl());
+    const seminar = await getSeminar(req.params.id);
+    res.json({ success: true, seminar, message: 'Seminar updated.' });
+  } catch (err) {
+    log.error('DB Error updating seminar', { req, err });
+    res.status(500).json({ success: false, message: 'Could not update seminar.' });
+  }
+}));
+
+app.delete('/api/seminars/:id', requireRole('administrator'), async (req, res) => {
+  try {
+    const seminar = await getSeminar(req.params.id);
+    if (!seminar) {
+      return res.status(404).json({ success: false, message: 'Seminar not found.' });
+    }
+    if (seminar.confirmedCount + seminar.waitlistCount > 0) {
+      return res.status(409).json({ success: false, message: 'Seminar still has active registrations; cancel them first.' });
+    }
+    await queryRun('DELETE FROM seminars WHERE id = ?', [req.params.id]);
+    res.json({ success: true, message: 'Seminar deleted.' });
+  } catch (err) {
+    log.error('DB Error deleting seminar', { req, err });
+    res.status(500).json({ success: false, message: 'Could not delete seminar.' });
+  }
+});
+
+app.post('/api/registrations/:id/cancel', requireRole('counsellor'), async (req, res) => {
+  try {
+    const registration = await cancelRegistration(req.params.id, publicBaseUrl());
+    if (!registration) {
+      return res.status(404).json({ success: false, message: 'No active registration with that id.' });
+    }
+    res.json({ success: true, id: registration.id, message: 'Registration cancelled.' });
+  } catch (err) {
+    log.error('DB Error cancelling registration', { req, err });
+    res.status(500).json({ success: false, message: 'Could not cancel registration.' });
+  }
+});
+
+app.post('/api/register', protectForm('register', body => [body.email]), async (req, res) => {
+  let validation;
+  try {
+    validation = await validateRegistration(req.body);
+  } catch (err) {
+    log.error('DB Error validating registration', { req, err });
+    return res.status(500).json({ success: false, message: 'Could not save registration.' });
+  }
+  if (validation.rejected) {
+    return rejectSubmission(req, res, 'register', validation.rejected);
+  }
+  if (!validation.valid) {
+    return res.status(validation.status || 400).json({ success: false, errors: validation.errors });
+  }
+
+  const { name, email, address, contact, seminarId } = validation.data;
+  const entry = {
+    name: sanitizeHtml(name),
+    email,
+    address: sanitizeHtml(address),
+    contact,
+    seminarId,
+    cancelToken: crypto.randomBytes(24).toString('hex'),
+    receivedAt: new Date().toISOString()
+  };
+  try {
+    const seminar = await getSeminar(seminarId);
+    if (!seminar) {
+      return res.status(404).json({ success: false, message: 'Seminar not found.' });
+    }
+    if (new Date(seminar.endsAt) < new Date()) {
+      return res.status(400).json({ success: false, message: 'This seminar has already taken place.' });
+    }
+    const id = await insertRegistration(entry);
+    const { status } = await queryGet('SELECT status FROM registrations WHERE id = ?', [id]);
+    const message = status === 'waitlisted'
+      ? 'The seminar is full; you have been added to the waitlist.'
+      : 'Registration successful.';
+    res.json({ success: true, id, status, message });
+
+    const mailVars = registrationMailVars(Object.assign({}, entry, { name, status }), seminar, publicBaseUrl());
+    queueTemplateMail(status === 'waitlisted' ? 'registration-waitlisted' : 'registration-confirmed', email, mailVars)
+      .then(() => queueStaffAlert('staff-registration-alert', mailVars))
+      .catch(err => log.error('Error queueing registration mails', { req, err }));
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ success: false, errors: ['This email is already registered for this seminar.'] });
+    }
+    log.error('DB Error saving registration', { req, err });
+    res.status(500).json({ success: false, message: 'Could not save registration.' });
+  }
+});
+
+// Linked from the confirmation email, so it answers browsers with a small HTML page
+app.get('/api/register/cancel/:token', async (req, res) => {
+  const reply = (status, success, message) => {
+    res.status(status);
+    if (req.accepts(['html', 'json']) === 'json') return res.json({ success, message });
+    res.send(`<!doctype html><html><head><meta charset="utf-8"><title>Registration</title><link rel="stylesheet" href="/style.css"></head><body><main class="container"><h2>${htmlEscape(message)}</h2><p style="text-align:center"><a href="/Mental Health Seminar.html">Back to seminars</a></p></main></body></html>`);
+  };
+
+  try {
+    const registration = await queryGet('SELECT id, status FROM registrations WHERE cancelToken = ?', [req.params.token]);
+    if (!registration) {
+      return reply(404, false, 'This cancellation link is not valid.');
+    }
+    if (registration.status === 'cancelled') {
+      return reply(200, true, 'This registration was already cancelled.');
+    }
+    await cancelRegistration(registration.id, publicBaseUrl());
+    reply(200, true, 'Your registration has been cancelled.');
+  } catch (err) {
+    log.error('DB Error cancelling registration', { req, err });
+    reply(500, false, 'Could not cancel registration.');
+  }
+});
+
+app.post('/api/contact', protectForm('contact', body => [body.email]), asyncHandler(async (req, res) => {
+  const validation = validateContact(req.body);
+  if (validation.rejected) {
+    return rejectSubmission(req, res, 'contact', validation.rejected);
+  }
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  const { name, email, message } = validation.data;
+  const entry = {
+    name: sanitizeHtml(name),
+    email,
+    message: sanitizeHtml(message),
+    receivedAt: new Date().toISOString()
+  };
+  try {
+    const id = await insertContact(entry);
+    res.json({ success: true, id, message: 'Contact form submitted successfully.' });
+
+    const mailVars = { name, email, message, adminUrl: `${publicBaseUrl()}/admin` };
+    queueTemplateMail('contact-acknowledgement', email, mailVars)
+      .then(() => queueStaffAlert('staff-contact-alert', mailVars))
+      .catch(err => log.error('Error queueing contact mails', { req, err }));
+  } catch (err) {
+    log.error('DB Error saving contact', { req, err });
+    res.status(500).json({ success: false, message: 'Could not save contact.' });
+  }
+}));
+
+app.get('/api/questionnaires', (req, res) => {
+  const list = Array.from(questionnaires.values()).map(q => ({
+    id: q.id,
+    title: q.title,
+    description: q.description || '',
+    questionCount: q.questions.length
+  }));
+  res.json({ success: true, defaultId: DEFAULT_QUESTIONNAIRE, questionnaires: list });
+});
+
+app.get('/api/questionnaires/:id', (req, res) => {
+  const questionnaire = questionnaires.get(req.params.id);
+  if (!questionnaire) {
+    return res.status(404).json({ success: false, message: 'Questionnaire not found.' });
+  }
+  res.json({ success: true, questionnaire });
+});
+
+// Guided exercises for the stress-busting page (see lib/exercises.js)
+const exercises = loadExercises(path.join(__dirname, 'exercises'));
+
+app.get('/api/exercises', (req, res) => {
+  res.json({ success: true, exercises });
+});
+
+app.post('/api/score', protectForm('score'), asyncHandler(async (req, res) => {
   const validation = validateScore(req.body);
+  if (validation.rejected) {
+    return rejectSubmission(req, res, 'score', validation.rejected);
+  }
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  const { questionnaire, answers, details, historyCode } = validation.data;
+  const { score, band } = scoreQuestionnaire(questionnaire, answers);
+  const risks = detectRisk(questionnaire, answers);
+  const entry = {
+    score,
+    questionnaire: questionnaire.id,
+    band: band.key,
+    answers,
+    details,
+    historyKey: historyCode ? historyKey(historyCode) : null,
+    receivedAt: new Date().toISOString()
+  };
+  // The crisis panel must be shown even if recording the event fails
+  const crisis = risks.length > 0 ? { flagged: true } : null;
+  try {
+    const id = await insertScore(entry);
+    if (crisis) {
+      Object.assign(crisis, await recordSafetyEvent(req, id, questionnaire, band, score, risks));
+    }
+    res.json({
+      success: true,
+      id,
+      questionnaire: questionnaire.id,
+      score,
+      band: band.key,
+      level: band.level,
+      result: band.label,
+      advice: band.advice,
+      crisis,
+      message: 'Score recorded successfully.'
+    });
+  } catch (err) {
+    log.error('DB Error saving score', { req, err });
+    res.status(500).json({ success: false, crisis, message: 'Could not save score.' });
+  }
+}));
+
+// Issue a new anonymous history code; nothing is stored until a score uses it
+app.post('/api/score/history', (req, res) => {
+  res.status(201).json({ success: true, code: generateHistoryCode() });
+});
+
+app.get('/api/score/history/:code', async (req, res) => {
+  const code = normalizeHistoryCode(req.params.code);
+  if (!code) {
+    return res.status(400).json({ success: false, message: 'History code is invalid.' });
+  }
+
+  try {
+    const rows = await queryAll('SELECT id,questionnaire,score,band,receivedAt FROM scores WHERE historyKey = ? ORDER BY receivedAt ASC', [historyKey(code)]);
+    const results = rows.map(row => {
+      const questionnaire = questionnaires.get(row.questionnaire);
+      const band = questionnaire && questionnaire.bands.find(b => b.key === row.band);
+      return Object.assign(row, { result: band ? band.label : row.band, level: band ? band.level : null });
+    });
+    res.json({ success: true, results });
+  } catch (err) {
+    log.error('DB Error loading score history', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load history.' });
+  }
+});
+
+app.delete('/api/score/history/:code', async (req, res) => {
+  const code = normalizeHistoryCode(req.params.code);
+  if (!code) {
+    return res.status(400).json({ success: false, message: 'History code is invalid.' });
+  }
+
+  try {
+    const key = historyKey(code);
+    // Safety events stay for staff follow-up but lose their link to the deleted scores
+    await queryRun('UPDATE safety_events SET scoreId = NULL WHERE scoreId IN (SELECT id FROM scores WHERE historyKey = ?)', [key]);
+    const result = await queryRun('DELETE FROM scores WHERE historyKey = ?', [key]);
+    res.json({ success: true, deleted: result.changes, message: `${result.changes} result(s) deleted.` });
+  } catch (err) {
+    log.error('DB Error deleting score history', { req, err });
+    res.status(500).json({ success: false, message: 'Could not delete history.' });
+  }
+});
+
+// ---------- Mood journal sync ----------
+// journal.html keeps entries in the browser and, when sync is turned on, stores
+// them here encrypted, under an id derived from a journal code that only the
+// browser knows. Newer updatedAt wins on conflicts.
+
+app.get('/api/journal/:id', async (req, res) => {
+  const id = req.params.id;
+  if (!JOURNAL_ID_PATTERN.test(id)) {
+    return res.status(400).json({ success: false, message: 'Journal id is invalid.' });
+  }
+
+  try {
+    const entries = await queryAll('SELECT entryId, iv, ciphertext, updatedAt FROM journal_entries WHERE journalKey = ? ORDER BY id', [journalKey(id)]);
+    res.json({ success: true, entries });
+  } catch (err) {
+    log.error('DB Error loading journal', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load your journal.' });
+  }
+});
+
+app.put('/api/journal/:id', protectForm('journal'), asyncHandler(async (req, res) => {
+  const id = req.params.id;
+  if (!JOURNAL_ID_PATTERN.test(id)) {
+    return res.status(400).json({ success: false, message: 'Journal id is invalid.' });
+  }
+  const validation = validateJournalEntries(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  try {
+    const key = journalKey(id);
+    const existing = await queryAll('SELECT entryId FROM journal_entries WHERE journalKey = ?', [key]);
+    const known = new Set(existing.map(row => row.entryId));
+    if (known.size + validation.data.filter(entry => !known.has(entry.entryId)).length > JOURNAL_MAX_ENTRIES) {
+      return res.status(400).json({ success: false, errors: [`A journal can hold at most ${JOURNAL_MAX_ENTRIES} entries.`] });
+    }
+    const syncedAt = new Date().toISOString();
+    let stored = 0;
+    // Each upsert stands alone, so a sync cut short can simply be sent again
+    for (const entry of validation.data) {
+      const result = await queryRun(`INSERT INTO journal_entries (journalKey,entryId,iv,ciphertext,updatedAt,syncedAt) VALUES (?,?,?,?,?,?)
+        ON CONFLICT (journalKey, entryId) DO UPDATE SET iv = excluded.iv, ciphertext = excluded.ciphertext,
+          updatedAt = excluded.updatedAt, syncedAt = excluded.syncedAt
+        WHERE excluded.updatedAt > journal_entries.updatedAt`,
+      [key, entry.entryId, entry.iv, entry.ciphertext, entry.updatedAt, syncedAt]);
+      stored += result.changes;
+    }
+    res.json({ success: true, stored, message: `${stored} entr${stored === 1 ? 'y' : 'ies'} synced.` });
+  } catch (err) {
+    log.error('DB Error saving journal', { req, err });
+    res.status(500).json({ success: false, message: 'Could not sync your journal.' });
+  }
+}));
+
+app.delete('/api/journal/:id', async (req, res) => {
+  const id = req.params.id;
+  if (!JOURNAL_ID_PATTERN.test(id)) {
+    return res.status(400).json({ success: false, message: 'Journal id is invalid.' });
+  }
+
+  try {
+    const result = await queryRun('DELETE FROM journal_entries WHERE journalKey = ?', [journalKey(id)]);
+    res.json({ success: true, deleted: result.changes, message: `${result.changes} synced entr${result.changes === 1 ? 'y' : 'ies'} deleted.` });
+  } catch (err) {
+    log.error('DB Error deleting journal', { req, err });
+    res.status(500).json({ success: false, message: 'Could not delete your synced journal.' });
+  }
+});
+
+async function recordSafetyEvent(req, scoreId, questionnaire, band, score, risks) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const { lastID: eventId } = await queryRun(
+    `INSERT INTO safety_events (scoreId,questionnaire,triggers,token,createdAt) VALUES (?,?,?,?,?)`,
+    [scoreId, questionnaire.id, JSON.stringify(risks.map(r => r.id)), token, new Date().toISOString()]
+  );
+  queueStaffAlert('staff-crisis-alert', {
+    eventId,
+    questionnaireTitle: questionnaire.title,
+    result: band.label,
+    score,
+    reasons: risks.map(r => r.reason).join('; '),
+    adminUrl: `${publicBaseUrl()}/admin`
+  }).catch(err => log.error('Error queueing safety alert', { req, err }));
+  return { eventId, token };
+}
+
+app.get('/api/helplines', (req, res) => {
+  res.json({ success: true, defaultRegion: helplines.defaultRegion, regions: helplines.regions });
+});
+
+// Opt-in from the crisis panel: the person asks staff to reach out to them
+app.post('/api/safety-events/:id/contact', asyncHandler(async (req, res) => {
+  const validation = validateCrisisContact(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  try {
+    const event = await queryGet('SELECT * FROM safety_events WHERE id = ?', [req.params.id]);
+    const token = typeof req.body.token === 'string' ? Buffer.from(req.body.token) : Buffer.alloc(0);
+    if (!event || token.length !== event.token.length || !crypto.timingSafeEqual(token, Buffer.from(event.token))) {
+      return res.status(404).json({ success: false, message: 'Safety event not found.' });
+    }
+
+    const { name, email, phone, preferredTime } = validation.data;
+    await queryRun(`UPDATE safety_events SET contactName = ?, contactEmail = ?, contactEmailHash = ?, contactPhone = ?, contactPreferredTime = ?,
+      contactRequestedAt = ? WHERE id = ?`, [
+      encryptField(sanitizeHtml(name), 'safety_events', 'contactName'),
+      encryptField(email, 'safety_events', 'contactEmail'),
+      email ? emailHash(email) : null,
+      encryptField(sanitizeHtml(phone), 'safety_events', 'contactPhone'),
+      encryptField(sanitizeHtml(preferredTime), 'safety_events', 'contactPreferredTime'),
+      new Date().toISOString(),
+      event.id
+    ]);
+    res.json({ success: true, message: 'Thank you. Someone from our team will contact you as soon as possible.' });
+
+    const questionnaire = questionnaires.get(event.questionnaire);
+    const triggers = JSON.parse(event.triggers);
+    queueStaffAlert('staff-crisis-contact-request', {
+      eventId: event.id,
+      name: name || '(not given)',
+      email: email || '(not given)',
+      phone: phone || '(not given)',
+      preferredTime: preferredTime || '(not given)',
+      questionnaireTitle: questionnaire ? questionnaire.title : event.questionnaire,
+      reasons: questionnaire ? (questionnaire.riskItems || []).filter(r => triggers.includes(r.id)).map(r => r.reason).join('; ') : triggers.join(', '),
+      adminUrl: `${publicBaseUrl()}/admin`
+    }).catch(err => log.error('Error queueing contact request alert', { req, err }));
+  } catch (err) {
+    log.error('DB Error saving contact request', { req, err });
+    res.status(500).json({ success: false, message: 'Could not save your request. Please call one of the helplines.' });
+  }
+}));
+
+// Mail sending endpoint: queues the mail; the mail worker delivers it.
+// Recipients must be on the mail_allowlist managed from the dashboard.
+app.post('/api/send-mail', protectForm('send-mail', body => [].concat(body.to || [])), asyncHandler(async (req, res) => {
+  const validation = validateMail(req.body);
+  if (validation.rejected) {
+    return rejectSubmission(req, res, 'send-mail', validation.rejected);
+  }
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  const { to, subject, body } = validation.data;
+  try {
+    const allowlist = await queryAll('SELECT entry FROM mail_allowlist');
+    if (!recipientsAllowed(to, allowlist.map(row => row.entry))) {
+      return rejectSubmission(req, res, 'send-mail', 'recipient_not_allowed', { details: { recipients: to.length } });
+    }
+    const id = await queueMail({ to, subject, body });
+    res.status(202).json({ success: true, id, status: 'pending', message: 'Mail queued for delivery.' });
+  } catch (err) {
+    log.error('DB Error saving mail', { req, err });
+    res.status(500).json({ success: false, message: 'Could not record mail.' });
+  }
+}));
+
+// Requeue one failed mail, or every failed mail when no id is given.
+// The /admin page posts here from a form, so browsers are redirected back.
+async function handleRequeue(req, res) {
+  try {
+    const count = await requeueFailedMails(req.params.id);
+    if (req.params.id && count === 0) {
+      return res.status(404).json({ success: false, message: 'No failed mail with that id.' });
+    }
+    drainMailQueue();
+    if (req.accepts(['json', 'html']) === 'html') return res.redirect(303, '/admin');
+    res.json({ success: true, requeued: count, message: `${count} mail(s) requeued.` });
+  } catch (err) {
+    log.error('DB Error requeueing mail', { req, err });
+    res.status(500).json({ success: false, message: 'Could not requeue mail.' });
+  }
+}
+
+app.post('/api/mails/requeue', requireRole('counsellor'), handleRequeue);
+app.post('/api/mails/:id/requeue', requireRole('counsellor'), handleRequeue);
+
+// ============== PROFESSIONALS DIRECTORY ==============
+// Contact.html lists the professionals maintained from the admin dashboard.
+// Text is stored HTML-escaped, so filters are compared in escaped form too.
+// Professionals with weekly availability slots can be asked for an appointment.
+
+function toPublicProfessional(row) {
+  const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+  return {
+    id: row.id,
+    name: row.name,
+    city: row.city,
+    specialisations: list(row.specialisations),
+    languages: list(row.languages),
+    fees: row.fees || '',
+    phone: row.phone || '',
+    email: row.email || '',
+    website: row.website || '',
+    address: row.address || '',
+    onlineSessions: row.onlineSessions === 1,
+    acceptsAppointments: row.slotCount > 0
+  };
+}
+
+// Filters match whole values, ignoring case: ?city=pune&specialty=anxiety&language=marathi
+app.get('/api/professionals', async (req, res) => {
+  const wanted = key => (typeof req.query[key] === 'string' && req.query[key].trim() !== ''
+    ? sanitizeHtml(req.query[key].trim()).toLowerCase() : null);
+  const city = wanted('city');
+  const specialty = wanted('specialty');
+  const language = wanted('language');
+  const has = (items, value) => !value || items.some(item => item.toLowerCase() === value);
+
+  try {
+    const rows = await queryAll(`SELECT p.*, (SELECT COUNT(*) FROM availability_slots a WHERE a.professionalId = p.id) AS slotCount
+      FROM professionals p ORDER BY p.city COLLATE NOCASE, p.name COLLATE NOCASE`);
+    const professionals = rows.map(toPublicProfessional).filter(p =>
+      (!city || p.city.toLowerCase() === city) && has(p.specialisations, specialty) && has(p.languages, language));
+    res.json({ success: true, professionals });
+  } catch (err) {
+    log.error('DB Error listing professionals', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load professionals.' });
+  }
+});
+
+// Column values for a validated professional, in PROFESSIONAL_COLUMNS order
+const PROFESSIONAL_COLUMNS = ['name', 'city', 'specialisations', 'languages', 'fees', 'phone', 'email', 'website', 'address', 'onlineSessions'];
+
+function professionalValues(data) {
+  return PROFESSIONAL_COLUMNS.map(col => {
+    if (col === 'onlineSessions') return data.onlineSessions ? 1 : 0;
+    const value = Array.isArray(data[col]) ? data[col].join(', ') : data[col];
+    return sanitizeHtml(value);
+  });
+}
+
+app.post('/api/admin/professionals', requireRole('counsellor'), asyncHandler(async (req, res) => {
+  const validation = validateProfessional(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  try {
+    const { lastID } = await queryRun(
+      `INSERT INTO professionals (${PROFESSIONAL_COLUMNS.join(',')},createdAt) VALUES (${PROFESSIONAL_COLUMNS.map(() => '?').join(',')},?)`,
+      professionalValues(validation.data).concat(new Date().toISOString())
+    );
+    res.status(201).json({ success: true, id: lastID, message: 'Professional added.' });
+  } catch (err) {
+    log.error('DB Error adding professional', { req, err });
+    res.status(500).json({ success: false, message: 'Could not add professional.' });
+  }
+}));
+
+app.put('/api/admin/professionals/:id', requireRole('counsellor'), asyncHandler(async (req, res) => {
+  const validation = validateProfessional(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  try {
+    const result = await queryRun(
+      `UPDATE professionals SET ${PROFESSIONAL_COLUMNS.map(col => `${col} = ?`).join(', ')}, updatedAt = ? WHERE id = ?`,
+      professionalValues(validation.data).concat(new Date().toISOString(), req.params.id)
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: 'Professional not found.' });
+    }
+    res.json({ success: true, message: 'Professional updated.' });
+  } catch (err) {
+    log.error('DB Error updating professional', { req, err });
+    res.status(500).json({ success: false, message: 'Could not update professional.' });
+  }
+}));
+
+// Past appointments stay on record; upcoming ones must be declined or cancelled first
+app.delete('/api/admin/professionals/:id', requireRole('administrator'), async (req, res) => {
+  try {
+    const professional = await queryGet('SELECT * FROM professionals WHERE id = ?', [req.params.id]);
+    if (!professional) {
+      return res.status(404).json({ success: false, message: 'Professional not found.' });
+    }
+    if (await upcomingAppointmentCount('professionalId', professional.id) > 0) {
+      return res.status(409).json({ success: false, message: 'This professional still has upcoming appointments; decline or cancel them first.' });
+    }
+    await deleteRecord('professionals', professional);
+    res.json({ success: true, message: 'Professional removed.' });
+  } catch (err) {
+    log.error('DB Error removing professional', { req, err });
+    res.status(500).json({ success: false, message: 'Could not remove professional.' });
+  }
+});
+
+// ---------- Appointments ----------
+// Visitors request one dated occurrence of a professional's weekly slot
+// (lib/appointments.js) and staff confirm or decline it from the dashboard. A
+// requested or confirmed appointment holds its time: a request is inserted only
+// if no active appointment of the professional overlaps it, and a unique index
+// backs that up. Slot times are wall-clock times in APPOINTMENT_TIME_ZONE.
+const APPOINTMENT_TIME_ZONE = process.env.APPOINTMENT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const APPOINTMENT_BOOKING_DAYS = 28;
+const APPOINTMENT_MIN_NOTICE_HOURS = parseInt(process.env.APPOINTMENT_MIN_NOTICE_HOURS || '12', 10);
+const APPOINTMENT_REMINDER_HOURS = parseInt(process.env.APPOINTMENT_REMINDER_HOURS || '24', 10);
+const APPOINTMENT_REMINDER_INTERVAL_MS = 10 * 60 * 1000;
+try {
+  new Intl.DateTimeFormat('en-US', { timeZone: APPOINTMENT_TIME_ZONE });
+} catch (err) {
+  throw new Error(`APPOINTMENT_TIME_ZONE "${APPOINTMENT_TIME_ZONE}" is not a known time zone, e.g. Asia/Kolkata`);
+}
+
+const ACTIVE_APPOINTMENT_SQL = `status IN (${ACTIVE_APPOINTMENT_STATUSES.map(s => `'${s}'`).join(',')})`;
+
+function getProfessional(id) {
+  return queryGet('SELECT * FROM professionals WHERE id = ?', [id]);
+}
+
+function getAppointment(where, value) {
+  return queryGet(`SELECT * FROM appointments WHERE ${where} = ?`, [value]).then(row => row ? decryptRecord('appointments', row) : null);
+}
+
+// Requested or confirmed appointments still ahead, for a professional or a slot
+async function upcomingAppointmentCount(column, id) {
+  const { count } = await queryGet(`SELECT COUNT(*) AS count FROM appointments WHERE ${column} = ? AND ${ACTIVE_APPOINTMENT_SQL} AND endsAt > ?`,
+    [id, new Date().toISOString()]);
+  return count;
+}
+
+// Bookable times: slot occurrences after the minimum notice that no active appointment overlaps
+async function openSlotTimes(professionalId) {
+  const from = new Date(Date.now() + APPOINTMENT_MIN_NOTICE_HOURS * 3600 * 1000);
+  const slots = await queryAll('SELECT * FROM availability_slots WHERE professionalId = ?', [professionalId]);
+  const booked = await queryAll(`SELECT startsAt, endsAt FROM appointments WHERE professionalId = ? AND ${ACTIVE_APPOINTMENT_SQL} AND endsAt > ?`,
+    [professionalId, from.toISOString()]);
+  return slotOccurrences(slots, { from, days: APPOINTMENT_BOOKING_DAYS, timeZone: APPOINTMENT_TIME_ZONE })
+    .filter(time => !booked.some(b => b.startsAt < time.endsAt && b.endsAt > time.startsAt));
+}
+
+function insertAppointment(entry) {
+  const columns = ['professionalId', 'slotId', 'startsAt', 'endsAt', 'name', 'email', 'emailHash', 'phone', 'message', 'online', 'token', 'requestedAt'];
+  const values = [entry.professionalId, entry.slotId, entry.startsAt, entry.endsAt,
+    encryptField(entry.name, 'appointments', 'name'), encryptField(entry.email, 'appointments', 'email'), emailHash(entry.email),
+    encryptField(entry.phone, 'appointments', 'phone'), encryptField(entry.message, 'appointments', 'message'),
+    entry.online ? 1 : 0, entry.token, entry.requestedAt];
+  // Checking and inserting in one statement leaves no gap for a competing request
+  return queryRun(`INSERT INTO appointments (${columns.join(',')}) SELECT ${columns.map(() => '?').join(',')}
+    WHERE NOT EXISTS (SELECT 1 FROM appointments WHERE professionalId = ? AND ${ACTIVE_APPOINTMENT_SQL} AND startsAt < ? AND endsAt > ?)`,
+  values.concat([entry.professionalId, entry.endsAt, entry.startsAt]));
+}
+
+function formatAppointmentWhen(appointment) {
+  const options = { timeZone: APPOINTMENT_TIME_ZONE };
+  const start = new Date(appointment.startsAt).toLocaleString('en-US', Object.assign({ dateStyle: 'full', timeStyle: 'short' }, options));
+  const end = new Date(appointment.endsAt).toLocaleTimeString('en-US', Object.assign({ timeStyle: 'short' }, options));
+  return `${start} - ${end} (${APPOINTMENT_TIME_ZONE})`;
+}
+
+function appointmentLocation(appointment, professional) {
+  if (appointment.online) return 'Online session (the professional will send you the link)';
+  return decodeHtml(professional.address || professional.city);
+}
+
+// Absolute links for appointment mails
+function appointmentMailVars(appointment, professional, baseUrl) {
+  return {
+    name: decodeHtml(appointment.name),
+    email: appointment.email,
+    phone: decodeHtml(appointment.phone || ''),
+    message: decodeHtml(appointment.message || ''),
+    status: appointment.status,
+    professionalName: decodeHtml(professional.name),
+    appointmentWhen: formatAppointmentWhen(appointment),
+    appointmentLocation: appointmentLocation(appointment, professional),
+    cancelUrl: `${baseUrl}/api/appointments/${appointment.token}/cancel`,
+    calendarUrl: `${baseUrl}/api/appointments/${appointment.token}/calendar.ics`,
+    adminUrl: `${baseUrl}/admin#appointments/${appointment.id}`
+  };
+}
+
+function appointmentIcs(appointment, professional, baseUrl) {
+  return buildIcs({
+    uid: `appointment-${appointment.id}@mental-health-companion`,
+    startsAt: appointment.startsAt,
+    endsAt: appointment.endsAt,
+    summary: `Appointment with ${decodeHtml(professional.name)}`,
+    description: `To cancel: ${baseUrl}/api/appointments/${appointment.token}/cancel`,
+    location: appointmentLocation(appointment, professional),
+    cancelled: appointment.status === 'cancelled'
+  });
+}
+
+function icsAttachment(appointment, professional, baseUrl) {
+  return [{ filename: 'appointment.ics', contentType: 'text/calendar; charset=utf-8', content: appointmentIcs(appointment, professional, baseUrl) }];
+}
+
+// Mail to the visitor after a status change; confirmations and cancellations of confirmed appointments carry an .ics
+async function queueAppointmentStatusMail(appointment, professional, baseUrl, wasConfirmed) {
+  const vars = appointmentMailVars(appointment, professional, baseUrl);
+  const withCalendar = appointment.status === 'confirmed' || (appointment.status === 'cancelled' && wasConfirmed);
+  await queueTemplateMail(`appointment-${appointment.status}`, appointment.email, vars,
+    withCalendar ? { attachments: icsAttachment(appointment, professional, baseUrl) } : {});
+}
+
+// ?days= is not supported: visitors can book up to APPOINTMENT_BOOKING_DAYS ahead
+app.get('/api/professionals/:id/slots', async (req, res) => {
+  try {
+    const professional = await getProfessional(req.params.id);
+    if (!professional) {
+      return res.status(404).json({ success: false, message: 'Professional not found.' });
+    }
+    res.json({ success: true, timeZone: APPOINTMENT_TIME_ZONE, slots: await openSlotTimes(professional.id) });
+  } catch (err) {
+    log.error('DB Error listing appointment slots', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load available times.' });
+  }
+});
+
+app.post('/api/appointments', protectForm('appointment', body => [body.email]), asyncHandler(async (req, res) => {
+  const validation = validateAppointmentRequest(req.body);
+  if (validation.rejected) {
+    return rejectSubmission(req, res, 'appointment', validation.rejected);
+  }
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  const { professionalId, slotId, startsAt, name, email, phone, message, online } = validation.data;
+  try {
+    const professional = await getProfessional(professionalId);
+    if (!professional) {
+      return res.status(404).json({ success: false, message: 'Professional not found.' });
+    }
+    if (online && !professional.onlineSessions) {
+      return res.status(400).json({ success: false, errors: ['This professional does not offer online sessions.'] });
+    }
+    const time = (await openSlotTimes(professionalId)).find(t => t.slotId === slotId && t.startsAt === startsAt);
+    if (!time) {
+      return res.status(409).json({ success: false, message: 'That time is no longer available. Please choose another.' });
+    }
+
+    const entry = {
+      professionalId,
+      slotId,
+      startsAt: time.startsAt,
+      endsAt: time.endsAt,
+      name: sanitizeHtml(name),
+      email,
+      phone: sanitizeHtml(phone),
+      message: sanitizeHtml(message),
+      online,
+      token: crypto.randomBytes(24).toString('hex'),
+      requestedAt: new Date().toISOString()
+    };
+    let result;
+    try {
+      result = await insertAppointment(entry);
+    } catch (err) {
+      if (err.code !== 'SQLITE_CONSTRAINT') throw err;
+      result = { changes: 0 };
+    }
+    if (result.changes === 0) {
+      return res.status(409).json({ success: false, message: 'That time has just been taken. Please choose another.' });
+    }
+    res.status(201).json({ success: true, id: result.lastID, status: 'requested', message: 'Appointment requested. We will email you once it is confirmed.' });
+
+    const appointment = Object.assign({ id: result.lastID, status: 'requested' }, entry);
+    const mailVars = appointmentMailVars(appointment, professional, publicBaseUrl());
+    queueTemplateMail('appointment-requested', email, mailVars)
+      .then(() => queueStaffAlert('staff-appointment-alert', mailVars))
+      .catch(err => log.error('Error queueing appointment mails', { req, err }));
+  } catch (err) {
+    log.error('DB Error saving appointment', { req, err });
+    res.status(500).json({ success: false, message: 'Could not save appointment request.' });
+  }
+}));
+
+// Linked from appointment mails, so it answers browsers with a small HTML page
+app.get('/api/appointments/:token/cancel', async (req, res) => {
+  const reply = (status, success, message) => {
+    res.status(status);
+    if (req.accepts(['html', 'json']) === 'json') return res.json({ success, message });
+    res.send(`<!doctype html><html><head><meta charset="utf-8"><title>Appointment</title><link rel="stylesheet" href="/style.css"></head><body><main class="container"><h2>${htmlEscape(message)}</h2><p style="text-align:center"><a href="/Contact.html">Back to the directory</a></p></main></body></html>`);
+  };
+
+  let appointment;
+  try {
+    appointment = await getAppointment('token', req.params.token);
+    if (!appointment) {
+      return reply(404, false, 'This cancellation link is not valid.');
+    }
+    if (!canTransition(appointment.status, 'cancelled')) {
+      return reply(200, true, `This appointment was already ${appointment.status}.`);
+    }
+    if (new Date(appointment.endsAt) < new Date()) {
+      return reply(409, false, 'This appointment has already taken place.');
+    }
+    const result = await queryRun(`UPDATE appointments SET status = 'cancelled', updatedAt = ? WHERE id = ? AND status = ?`,
+      [new Date().toISOString(), appointment.id, appointment.status]);
+    if (result.changes === 0) {
+      return reply(409, false, 'This appointment was changed in the meantime; please try the link again.');
+    }
+  } catch (err) {
+    log.error('DB Error cancelling appointment', { req, err });
+    return reply(500, false, 'Could not cancel appointment.');
+  }
+  reply(200, true, 'Your appointment has been cancelled.');
+
+  // The cancellation is stored; mails that fail from here on are only logged
+  const wasConfirmed = appointment.status === 'confirmed';
+  const cancelled = Object.assign({}, appointment, { status: 'cancelled' });
+  getProfessional(appointment.professionalId)
+    .then(professional => queueAppointmentStatusMail(cancelled, professional, publicBaseUrl(), wasConfirmed)
+      .then(() => queueStaffAlert('staff-appointment-alert', appointmentMailVars(cancelled, professional, publicBaseUrl()))))
+    .catch(err => log.error('Error queueing appointment mails', { req, err }));
+});
+
+app.get('/api/appointments/:token/calendar.ics', async (req, res) => {
+  try {
+    const appointment = await getAppointment('token', req.params.token);
+    if (!appointment || appointment.status !== 'confirmed') {
+      return res.status(404).json({ success: false, message: 'No confirmed appointment for this link.' });
+    }
+    const professional = await getProfessional(appointment.professionalId);
+    res.setHeader('Content-Disposition', 'attachment; filename="appointment.ics"');
+    res.type('text/calendar; charset=utf-8').send(appointmentIcs(appointment, professional, publicBaseUrl()));
+  } catch (err) {
+    log.error('DB Error building appointment calendar', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load appointment.' });
+  }
+});
+
+// { status: confirmed | declined | cancelled }, following the transitions in lib/appointments.js
+app.patch('/api/admin/appointments/:id', requireRole('counsellor'), async (req, res) => {
+  const status = req.body.status;
+  if (!APPOINTMENT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, errors: [`Status must be one of ${APPOINTMENT_STATUSES.join(', ')}.`] });
+  }
+
+  let appointment;
+  try {
+    appointment = await getAppointment('id', req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ success: false, message: 'Appointment not found.' });
+    }
+    if (!canTransition(appointment.status, status)) {
+      return res.status(409).json({ success: false, message: `A ${appointment.status} appointment cannot be ${status}.` });
+    }
+    const now = new Date();
+    if (status === 'confirmed' && new Date(appointment.startsAt) <= now) {
+      return res.status(409).json({ success: false, message: 'This appointment has already started.' });
+    }
+    // A confirmation sent within the reminder window stands in for the reminder
+    const reminderDue = new Date(appointment.startsAt) - now <= APPOINTMENT_REMINDER_HOURS * 3600 * 1000;
+    const result = await queryRun(`UPDATE appointments SET status = ?, updatedAt = ?,
+      reminderQueuedAt = CASE WHEN ? THEN COALESCE(reminderQueuedAt, ?) ELSE reminderQueuedAt END
+      WHERE id = ? AND status = ?`,
+    [status, now.toISOString(), status === 'confirmed' && reminderDue ? 1 : 0, now.toISOString(), appointment.id, appointment.status]);
+    if (result.changes === 0) {
+      return res.status(409).json({ success: false, message: 'The appointment was changed in the meantime; reload and try again.' });
+    }
+  } catch (err) {
+    log.error('DB Error updating appointment', { req, err });
+    return res.status(500).json({ success: false, message: 'Could not update appointment.' });
+  }
+  res.json({ success: true, status, message: `Appointment ${status}.` });
+
+  // The new status is stored; a failed mail is logged rather than reported as a failed update
+  const updated = Object.assign({}, appointment, { status });
+  getProfessional(appointment.professionalId)
+    .then(professional => queueAppointmentStatusMail(updated, professional, publicBaseUrl(), appointment.status === 'confirmed'))
+    .catch(err => log.error('Error queueing appointment mail', { req, err }));
+});
+
+app.post('/api/admin/professionals/:id/slots', requireRole('counsellor'), asyncHandler(async (req, res) => {
+  const validation = validateAvailabilitySlot(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  try {
+    const professional = await getProfessional(req.params.id);
+    if (!professional) {
+      return res.status(404).json({ success: false, message: 'Professional not found.' });
+    }
+    const slot = validation.data;
+    const existing = await queryAll('SELECT * FROM availability_slots WHERE professionalId = ?', [professional.id]);
+    const clash = existing.find(other => slotsOverlap(slot, other));
+    if (clash) {
+      return res.status(409).json({ success: false, message: `This overlaps the ${WEEKDAYS[clash.weekday - 1]} ${clash.startTime}-${clash.endTime} slot.` });
+    }
+    const { lastID } = await queryRun('INSERT INTO availability_slots (professionalId,weekday,startTime,endTime,createdAt) VALUES (?,?,?,?,?)',
+      [professional.id, slot.weekday, slot.startTime, slot.endTime, new Date().toISOString()]);
+    res.status(201).json({ success: true, id: lastID, message: 'Availability slot added.' });
+  } catch (err) {
+    log.error('DB Error adding availability slot', { req, err });
+    res.status(500).json({ success: false, message: 'Could not add availability slot.' });
+  }
+}));
+
+app.delete('/api/admin/availability_slots/:id', requireRole('counsellor'), async (req, res) => {
+  try {
+    const slot = await queryGet('SELECT * FROM availability_slots WHERE id = ?', [req.params.id]);
+    if (!slot) {
+      return res.status(404).json({ success: false, message: 'Availability slot not found.' });
+    }
+    if (await upcomingAppointmentCount('slotId', slot.id) > 0) {
+      return res.status(409).json({ success: false, message: 'This slot still has upcoming appointments; decline or cancel them first.' });
+    }
+    await queryRun('DELETE FROM availability_slots WHERE id = ?', [slot.id]);
+    res.json({ success: true, message: 'Availability slot removed.' });
+  } catch (err) {
+    log.error('DB Error removing availability slot', { req, err });
+    res.status(500).json({ success: false, message: 'Could not remove availability slot.' });
+  }
+});
+
+/**
+ * Queues a reminder for confirmed appointments starting within
+ * APPOINTMENT_REMINDER_HOURS. Each appointment is claimed first, so a reminder
+ * goes out once even if two runs overlap.
+ */
+async function queueAppointmentReminders() {
+  const now = new Date();
+  const until = new Date(now.getTime() + APPOINTMENT_REMINDER_HOURS * 3600 * 1000);
+  const due = await queryAll(`SELECT id FROM appointments WHERE status = 'confirmed' AND reminderQueuedAt IS NULL
+    AND startsAt > ? AND startsAt <= ? ORDER BY startsAt`, [now.toISOString(), until.toISOString()]);
+  const baseUrl = publicBaseUrl();
+  for (const { id } of due) {
+    const claim = await queryRun('UPDATE appointments SET reminderQueuedAt = ? WHERE id = ? AND reminderQueuedAt IS NULL', [now.toISOString(), id]);
+    if (claim.changes === 0) continue;
+    const appointment = await getAppointment('id', id);
+    const professional = await getProfessional(appointment.professionalId);
+    await queueTemplateMail('appointment-reminder', appointment.email, appointmentMailVars(appointment, professional, baseUrl));
+  }
+  return due.length;
+}
+
+function startAppointmentReminders() {
+  const run = () => queueAppointmentReminders().catch(err => log.error('Appointment reminder error', { err }));
+  run();
+  setInterval(run, APPOINTMENT_REMINDER_INTERVAL_MS);
+}
+
+// ============== AWARENESS ARTICLES ==============
+// Topic pages are articles in the `articles` table, written in Markdown from the
+// admin dashboard and rendered here into views/layout.html, which holds the site
+// header, navigation and footer. Articles start as drafts; only published ones
+// are listed at /articles and shown at /articles/:slug. Title, summary and other
+// text are stored as written and escaped when a page is rendered.
+const layoutFile = path.join(__dirname, 'views', 'layout.html');
+
+/**
+ * Sends `content` (HTML) inside views/layout.html. `title`, `heading` and
+ * `description` are plain text.
+ */
+async function sendPage(res, status, { title, heading, description, content }) {
+  const layout = await fs.promises.readFile(layoutFile, 'utf8');
+  res.status(status).setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.send(fillPlaceholders(layout, { title, heading: heading || title, description: description || '', content }, true));
+}
+
+function articleTags(article) {
+  return article.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// "2026-10-19" or an ISO timestamp -> "19 October 2026"
+function formatArticleDate(value) {
+  return new Date(value.slice(0, 10)).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function articleLink(query, text) {
+  const [key, value] = Object.entries(query)[0];
+  return `<a href="/articles?${key}=${encodeURIComponent(value)}">${htmlEscape(text)}</a>`;
+}
+
+function articlePage(article, preview) {
+  const meta = [articleLink({ category: article.category }, article.category), `By ${htmlEscape(article.author)}`];
+  if (article.publishedAt) meta.push(`Published ${formatArticleDate(article.publishedAt)}`);
+  if (article.reviewedAt) meta.push(`Last reviewed ${formatArticleDate(article.reviewedAt)}`);
+  const tags = articleTags(article);
+
+  let content = '';
+  if (preview) {
+    content += `<p class="article-preview">Preview. This article is ${htmlEscape(article.status)}${article.status === 'published'
+      ? ` at <a href="/articles/${article.slug}">/articles/${article.slug}</a>` : ' and not visible to visitors'}.</p>`;
+  }
+  content += `<p class="article-meta">${meta.join(' · ')}</p>`;
+  content += `<article class="article-body">${renderMarkdown(article.content)}</article>`;
+  if (tags.length) content += `<p class="article-tags">Tags: ${tags.map(tag => articleLink({ tag }, tag)).join(' ')}</p>`;
+  content += '<p><a href="/articles">&larr; All articles</a></p>';
+  return { title: article.title, description: article.summary || markdownText(article.content).slice(0, 160), content };
+}
+
+// Published articles by category, optionally only one ?category= or ?tag= (ignoring case)
+app.get('/articles', async (req, res) => {
+  const wanted = key => (typeof req.query[key] === 'string' && req.query[key].trim() !== '' ? req.query[key].trim() : null);
+  const category = wanted('category');
+  const tag = wanted('tag');
+
+  try {
+    const rows = await queryAll(`SELECT slug, title, summary, category, tags FROM articles WHERE status = 'published'
+      ORDER BY category COLLATE NOCASE, title COLLATE NOCASE`);
+    const articles = rows.filter(article =>
+      (!category || article.category.toLowerCase() === category.toLowerCase())
+      && (!tag || articleTags(article).some(t => t.toLowerCase() === tag.toLowerCase())));
+
+    let content = '';
+    if (category || tag) {
+      content += `<p>${category ? `Category: ${htmlEscape(category)}` : `Tagged: ${htmlEscape(tag)}`} · <a href="/articles">Show all articles</a></p>`;
+    }
+    if (articles.length === 0) content += '<p>No articles found.</p>';
+    const categories = [...new Set(articles.map(article => article.category))];
+    categories.forEach(name => {
+      content += `<h2>${htmlEscape(name)}</h2><ul class="article-list">`;
+      articles.filter(article => article.category === name).forEach(article => {
+        content += `<li><a href="/articles/${article.slug}">${htmlEscape(article.title)}</a>`;
+        if (article.summary) content += `<p>${htmlEscape(article.summary)}</p>`;
+        content += '</li>';
+      });
+      content += '</ul>';
+    });
+    await sendPage(res, 200, {
+      title: 'Articles',
+      heading: 'Mental Health Awareness Articles',
+      description: 'Articles on mental health, social media, treatment and healthy habits.',
+      content
+    });
+  } catch (err) {
+    log.error('DB Error listing articles', { req, err });
+    res.status(500).send('Could not load articles');
+  }
+});
+
+app.get('/articles/:slug', async (req, res) => {
+  try {
+    const article = await queryGet("SELECT * FROM articles WHERE slug = ? AND status = 'published'", [req.params.slug]);
+    if (!article) {
+      return sendPage(res, 404, {
+        title: 'Article not found',
+        content: '<p>This article does not exist or is no longer published.</p><p><a href="/articles">&larr; All articles</a></p>'
+      });
+    }
+    await sendPage(res, 200, articlePage(article, false));
+  } catch (err) {
+    log.error('DB Error loading article', { req, err });
+    res.status(500).send('Could not load article');
+  }
+});
+
+// The hand-written topic pages that articles replaced keep working at their old
+// addresses (articles.legacyPath, compared ignoring case)
+app.get(/\.html$/i, async (req, res, next) => {
+  let pagePath;
+  try {
+    pagePath = decodeURIComponent(req.path);
+  } catch (err) {
+    return next();
+  }
+  try {
+    const article = await queryGet('SELECT slug FROM articles WHERE legacyPath = ?', [pagePath]);
+    if (!article) return next();
+    res.redirect(301, `/articles/${article.slug}`);
+  } catch (err) {
+    log.error('DB Error looking up a moved page', { req, err });
+    res.status(500).send('Could not load page');
+  }
+});
+
+// Drafts are checked here before they are published
+app.get('/admin/articles/:id/preview', requireRole('viewer'), async (req, res) => {
+  try {
+    const article = await queryGet('SELECT * FROM articles WHERE id = ?', [req.params.id]);
+    if (!article) return res.status(404).send('Article not found');
+    await sendPage(res, 200, articlePage(article, true));
+  } catch (err) {
+    log.error('DB Error previewing article', { req, err });
+    res.status(500).send('Could not render article');
+  }
+});
+
+// Column values for a validated article, in ARTICLE_COLUMNS order
+const ARTICLE_COLUMNS = ['slug', 'title', 'summary', 'content', 'category', 'tags', 'author', 'reviewedAt'];
+
+function articleValues(data) {
+  return ARTICLE_COLUMNS.map(col => (col === 'tags' ? data.tags.join(', ') : data[col]));
+}
+
+function slugTaken(res, slug) {
+  return res.status(409).json({ success: false, message: `Another article already uses the address /articles/${slug}.` });
+}
+
+// New articles are drafts until published with PATCH
+app.post('/api/admin/articles', requireRole('counsellor'), asyncHandler(async (req, res) => {
+  const validation = validateArticle(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  try {
+    const { lastID } = await queryRun(
+      `INSERT INTO articles (${ARTICLE_COLUMNS.join(',')},status,createdAt) VALUES (${ARTICLE_COLUMNS.map(() => '?').join(',')},'draft',?)`,
+      articleValues(validation.data).concat(new Date().toISOString())
+    );
+    res.status(201).json({ success: true, id: lastID, message: 'Draft article created.' });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT') return slugTaken(res, validation.data.slug);
+    log.error('DB Error creating article', { req, err });
+    res.status(500).json({ success: false, message: 'Could not create article.' });
+  }
+}));
+
+// Changing the slug of a published article moves it; links to the old address stop working
+app.put('/api/admin/articles/:id', requireRole('counsellor'), asyncHandler(async (req, res) => {
+  const validation = validateArticle(req.body);
   if (!validation.valid) {
     return res.status(400).json({ success: false, errors: validation.errors });
   }
 
-  const { score, details } = validation.data;
-  const entry = {
-    score,
-    details,
-    receivedAt: new Date().toISOString()
-  };
   try {
-    const id = await insertScore(entry);
-    res.json({ success: true, id, message: 'Score recorded successfully.' });
+    const result = await queryRun(
+      `UPDATE articles SET ${ARTICLE_COLUMNS.map(col => `${col} = ?`).join(', ')}, updatedAt = ? WHERE id = ?`,
+      articleValues(validation.data).concat(new Date().toISOString(), req.params.id)
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: 'Article not found.' });
+    }
+    res.json({ success: true, message: 'Article updated.' });
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT') return slugTaken(res, validation.data.slug);
+    log.error('DB Error updating article', { req, err });
+    res.status(500).json({ success: false, message: 'Could not update article.' });
+  }
+}));
+
+// Publishes ({ status: 'published' }) or withdraws ({ status: 'draft' }) an article.
+// publishedAt keeps the date of the first publication.
+app.patch('/api/admin/articles/:id', requireRole('counsellor'), async (req, res) => {
+  const status = req.body.status;
+  if (!ARTICLE_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, errors: [`Status must be one of: ${ARTICLE_STATUSES.join(', ')}.`] });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const result = await queryRun(`UPDATE articles SET status = ?, updatedAt = ?,
+      publishedAt = CASE WHEN ? = 'published' THEN COALESCE(publishedAt, ?) ELSE publishedAt END WHERE id = ?`,
+    [status, now, status, now, req.params.id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: 'Article not found.' });
+    }
+    res.json({ success: true, status, message: status === 'published' ? 'Article published.' : 'Article moved back to drafts.' });
+  } catch (err) {
+    log.error('DB Error changing article status', { req, err });
+    res.status(500).json({ success: false, message: 'Could not change article status.' });
+  }
+});
+
+app.delete('/api/admin/articles/:id', requireRole('administrator'), async (req, res) => {
+  try {
+    const article = await queryGet('SELECT * FROM articles WHERE id = ?', [req.params.id]);
+    if (!article) {
+      return res.status(404).json({ success: false, message: 'Article not found.' });
+    }
+    await deleteRecord('articles', article);
+    res.json({ success: true, message: 'Article deleted.' });
+  } catch (err) {
+    log.error('DB Error deleting article', { req, err });
+    res.status(500).json({ success: false, message: 'Could not delete article.' });
+  }
+});
+
+// Serve main page at root for convenience
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'Project_home.html'));
+});
+
+// ---------------- Admin accounts and sessions ----------------
+// Staff sign in at /admin/login with an account from admin_users. A successful
+// login creates a row in admin_sessions; the browser only holds the random
+// session token in an HttpOnly cookie, the database only its SHA-256. Every
+// session carries its own CSRF token, which must accompany any request that
+// changes data (X-CSRF-Token header or a _csrf form field).
+//
+// Roles are ordered: each one can do everything the previous one can.
+//   viewer        - dashboard and statistics, no contact details or messages
+//   counsellor    - contact messages, safety events and mails; can reply, triage and requeue,
+//                   and create and edit seminars, professionals and articles
+//   administrator - manages admin accounts and can delete data, seminars included
+const ADMIN_SESSION_COOKIE = 'mhc_admin';
+const ADMIN_LOGIN_CSRF_COOKIE = 'mhc_login_csrf';
+const ADMIN_SESSION_HOURS = parseFloat(process.env.ADMIN_SESSION_HOURS) || 8;
+// Only NODE_ENV=development may run with the default password
+const ADMIN_DEV_MODE = process.env.NODE_ENV === 'development';
+
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function tokensEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ADMIN_ROLES.indexOf(user.role) >= ADMIN_ROLES.indexOf(role);
+}
+
+async function createAdminUser({ username, password, role }) {
+  const { lastID } = await queryRun('INSERT INTO admin_users (username,passwordHash,role,createdAt) VALUES (?,?,?,?)',
+    [username, await hashPassword(password), role, new Date().toISOString()]);
+  return lastID;
+}
+
+/**
+ * Runs before the server listens. Creates the first administrator from
+ * ADMIN_USER/ADMIN_PASS when admin_users is empty, and refuses to start while
+ * any account still uses the default password outside dev mode.
+ */
+async function ensureAdminUsers() {
+  const { count } = await queryGet('SELECT COUNT(*) AS count FROM admin_users');
+  if (count === 0) {
+    const username = (process.env.ADMIN_USER || 'admin').trim().toLowerCase();
+    const password = process.env.ADMIN_PASS || (ADMIN_DEV_MODE ? DEFAULT_ADMIN_PASS : '');
+    if (!password) {
+      throw new Error('No admin accounts exist. Set ADMIN_USER and ADMIN_PASS to create the first administrator (or NODE_ENV=development to use admin/admin123).');
+    }
+    if (!ADMIN_DEV_MODE) {
+      const validation = validateAdminUser({ username, password, role: 'administrator' });
+      if (!validation.valid) throw new Error('ADMIN_USER/ADMIN_PASS rejected: ' + validation.errors.join(' '));
+    }
+    await createAdminUser({ username, password, role: 'administrator' });
+    log.info('Created administrator account', { username });
+  }
+
+  if (ADMIN_DEV_MODE) return;
+  const users = await queryAll('SELECT username, passwordHash FROM admin_users');
+  for (const user of users) {
+    if (await verifyPassword(DEFAULT_ADMIN_PASS, user.passwordHash)) {
+      throw new Error(`Admin account "${user.username}" still uses the default password. Change it, or run with NODE_ENV=development.`);
+    }
+  }
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(part => {
+    const idx = part.indexOf('=');
+    if (idx === -1) return;
+    try {
+      cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (e) { /* ignore malformed cookies */ }
+  });
+  return cookies;
+}
+
+function setCookie(req, res, name, value, maxAgeSeconds) {
+  const attributes = [`${name}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${maxAgeSeconds}`];
+  if (req.secure) attributes.push('Secure');
+  res.append('Set-Cookie', attributes.join('; '));
+}
+
+async function createAdminSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ADMIN_SESSION_HOURS * 3600 * 1000);
+  await queryRun('DELETE FROM admin_sessions WHERE expiresAt < ?', [now.toISOString()]);
+  await queryRun('INSERT INTO admin_sessions (tokenHash,userId,csrfToken,createdAt,expiresAt) VALUES (?,?,?,?,?)',
+    [tokenHash(token), userId, crypto.randomBytes(32).toString('hex'), now.toISOString(), expiresAt.toISOString()]);
+  return { token, maxAge: Math.round(ADMIN_SESSION_HOURS * 3600) };
+}
+
+function loadAdminSession(req) {
+  const token = parseCookies(req)[ADMIN_SESSION_COOKIE];
+  if (!token) return Promise.resolve(null);
+  return queryGet(`SELECT s.id AS sessionId, s.csrfToken, u.id, u.username, u.role
+    FROM admin_sessions s JOIN admin_users u ON u.id = s.userId
+    WHERE s.tokenHash = ? AND s.expiresAt > ?`, [tokenHash(token), new Date().toISOString()]);
+}
+
+/**
+ * Middleware factory: the request needs a signed-in admin with at least `role`.
+ * Sets req.adminUser ({ id, username, role, csrfToken }) and enforces the CSRF
+ * token on anything but GET/HEAD.
+ */
+function requireRole(role) {
+  return async (req, res, next) => {
+    let session;
+    try {
+      session = await loadAdminSession(req);
+    } catch (err) {
+      log.error('DB Error loading admin session', { req, err });
+      return res.status(500).json({ success: false, message: 'Could not check session.' });
+    }
+
+    if (!session) {
+      if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+        return res.redirect('/admin/login?next=' + encodeURIComponent(req.originalUrl));
+      }
+      return res.status(401).json({ success: false, message: 'Authentication required.' });
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      const sent = req.get('X-CSRF-Token') || (req.body && req.body._csrf);
+      if (!tokensEqual(sent, session.csrfToken)) {
+        return res.status(403).json({ success: false, message: 'Missing or invalid CSRF token.' });
+      }
+    }
+    if (!hasRole(session, role)) {
+      return res.status(403).json({ success: false, message: `This requires the ${role} role.` });
+    }
+    req.adminUser = session;
+    next();
+  };
+}
+
+function htmlEscape(s) {
+  if (s === null || typeof s === 'undefined') return '';
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#x27;');
+}
+
+// Only same-site admin paths are allowed as the post-login destination
+function safeAdminRedirect(next) {
+  return typeof next === 'string' && /^\/admin(?:[/?#]|$)/.test(next) ? next : '/admin';
+}
+
+// The login form uses a double-submit token: the same random value in a cookie and a hidden field
+function renderLoginPage(req, res, status, error) {
+  const csrf = crypto.randomBytes(32).toString('hex');
+  setCookie(req, res, ADMIN_LOGIN_CSRF_COOKIE, csrf, 3600);
+  const next = safeAdminRedirect(req.query.next || (req.body && req.body.next));
+  let html = `<!doctype html><html><head><meta charset="utf-8"><title>Admin - Sign in</title><style>body{font-family:Arial,Helvetica,sans-serif;padding:20px}form{display:flex;flex-direction:column;gap:12px;max-width:320px}input{padding:8px;font-size:14px}.error{color:#b00020}</style></head><body>`;
+  html += '<h1>Admin sign in</h1>';
+  if (error) html += `<p class="error">${htmlEscape(error)}</p>`;
+  html += `<form method="post" action="/admin/login">
+    <input type="hidden" name="_csrf" value="${csrf}">
+    <input type="hidden" name="next" value="${htmlEscape(next)}">
+    <label>Username<br><input type="text" name="username" autocomplete="username" required autofocus></label>
+    <label>Password<br><input type="password" name="password" autocomplete="current-password" required></label>
+    <button type="submit">Sign in</button>
+  </form></body></html>`;
+  res.status(status).setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.send(html);
+}
+
+app.get('/admin/login', (req, res) => {
+  renderLoginPage(req, res, 200);
+});
+
+app.post('/admin/login', asyncHandler(async (req, res) => {
+  const wantsJson = req.is('application/json');
+  const fail = (status, message) => wantsJson
+    ? res.status(status).json({ success: false, message })
+    : renderLoginPage(req, res, status, message);
+
+  if (!tokensEqual(req.body._csrf, parseCookies(req)[ADMIN_LOGIN_CSRF_COOKIE])) {
+    return fail(403, 'Your sign-in form expired. Please try again.');
+  }
+
+  try {
+    const username = typeof req.body.username === 'string' ? req.body.username.trim().toLowerCase() : '';
+    const user = await queryGet('SELECT * FROM admin_users WHERE username = ?', [username]);
+    const passwordOk = await verifyPassword(req.body.password || '', user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || !passwordOk) {
+      log.warn('Failed admin login', { req, username, ip: req.ip });
+      await recordAudit({ actor: 'anonymous', action: 'admin.login_failed', targetTable: 'admin_users', details: { username }, ip: req.ip });
+      return fail(401, 'Invalid username or password.');
+    }
+
+    const session = await createAdminSession(user.id);
+    await queryRun('UPDATE admin_users SET lastLoginAt = ? WHERE id = ?', [new Date().toISOString(), user.id]);
+    await recordAudit({ actor: user.username, action: 'admin.login', targetTable: 'admin_users', targetId: user.id, ip: req.ip });
+    setCookie(req, res, ADMIN_SESSION_COOKIE, session.token, session.maxAge);
+    setCookie(req, res, ADMIN_LOGIN_CSRF_COOKIE, '', 0);
+    if (wantsJson) {
+      return res.json({ success: true, username: user.username, role: user.role, message: 'Signed in.' });
+    }
+    res.redirect(303, safeAdminRedirect(req.body.next));
+  } catch (err) {
+    log.error('DB Error during admin login', { req, err });
+    fail(500, 'Could not sign in.');
+  }
+}));
+
+app.post('/admin/logout', requireRole('viewer'), async (req, res) => {
+  try {
+    await queryRun('DELETE FROM admin_sessions WHERE id = ?', [req.adminUser.sessionId]);
   } catch (err) {
-    console.error('DB Error saving score', err);
-    res.status(500).json({ success: false, message: 'Could not save score.' });
+    log.error('DB Error during admin logout', { req, err });
   }
+  setCookie(req, res, ADMIN_SESSION_COOKIE, '', 0);
+  if (req.accepts(['json', 'html']) === 'html') return res.redirect(303, '/admin/login');
+  res.json({ success: true, message: 'Signed out.' });
 });
 
-// Mail sending endpoint: logs mail to DB and attempts to send via SMTP if configured
-app.post('/api/send-mail', async (req, res) => {
-  const validation = validateMail(req.body);
-  if (!validation.valid) {
-    return res.status(400).json({ success: false, errors: validation.errors });
+// Who is signed in, plus the CSRF token the dashboard sends with every change
+app.get('/api/admin/session', requireRole('viewer'), (req, res) => {
+  const { username, role, csrfToken } = req.adminUser;
+  res.json({ success: true, username, role, roles: ADMIN_ROLES, csrfToken });
+});
+
+// ============== DATA RETENTION & SUBJECT ACCESS ==============
+// Personal data is kept only as long as config/retention.json allows (override
+// with RETENTION_FILE). A job in this process anonymises or deletes rows whose
+// date column is older than the table's `days`, using the anonymise/onDelete
+// rules in ADMIN_TABLES. Subject access gathers everything stored about one
+// email address and can then erase it. Both write to audit_log.
+const retentionPath = process.env.RETENTION_FILE || path.join(__dirname, 'config', 'retention.json');
+const retentionPolicy = JSON.parse(fs.readFileSync(retentionPath, 'utf8'));
+Object.keys(retentionPolicy.tables || {}).forEach(table => {
+  const rule = retentionPolicy.tables[table];
+  const config = ADMIN_TABLES[table];
+  if (!config || !(rule.days > 0) || !['anonymise', 'delete'].includes(rule.action) || (rule.action === 'anonymise' && !config.anonymise)) {
+    throw new Error(`Invalid retention rule for "${table}" in ${retentionPath}: needs days > 0 and action anonymise (where supported) or delete`);
+  }
+});
+const RETENTION_BATCH_SIZE = 500;
+
+// Extra conditions so retention never touches rows that are still in use
+const RETENTION_GUARDS = {
+  // Keep registrations until their seminar is over
+  registrations: { sql: 'AND (seminarId IS NULL OR seminarId IN (SELECT id FROM seminars WHERE endsAt < ?))', now: true },
+  mails: { sql: "AND status NOT IN ('pending','sending')", now: false }
+};
+
+function recordAudit({ actor, action, targetTable = null, targetId = null, details = null, ip = null }) {
+  return queryRun('INSERT INTO audit_log (actor,action,targetTable,targetId,details,ip,createdAt) VALUES (?,?,?,?,?,?,?)',
+    [actor, action, targetTable, targetId, details ? JSON.stringify(details) : null, ip, new Date().toISOString()]);
+}
+
+async function anonymiseRecord(table, row) {
+  const config = ADMIN_TABLES[table];
+  const values = anonymisedValues(config, row);
+  const columns = Object.keys(values);
+  for (const sql of config.anonymise.related) await queryRun(sql, [row.id]);
+  await queryRun(`UPDATE ${table} SET ${columns.map(col => `${col} = ?`).join(', ')} WHERE id = ?`,
+    columns.map(col => values[col]).concat([row.id]));
+}
+
+async function deleteRecord(table, row) {
+  for (const sql of ADMIN_TABLES[table].onDelete) await queryRun(sql, [row.id]);
+  await queryRun(`DELETE FROM ${table} WHERE id = ?`, [row.id]);
+}
+
+/**
+ * Applies every retention rule once. Returns { table: count } of the rows changed.
+ */
+async function runRetention(actor) {
+  const now = new Date();
+  const results = {};
+  for (const table of Object.keys(retentionPolicy.tables || {})) {
+    const rule = retentionPolicy.tables[table];
+    const config = ADMIN_TABLES[table];
+    const cutoff = new Date(now.getTime() - rule.days * 24 * 3600 * 1000).toISOString();
+    const guard = RETENTION_GUARDS[table];
+    const where = `${config.dateColumn} < ?${rule.action === 'anonymise' ? ' AND anonymisedAt IS NULL' : ''} ${guard ? guard.sql : ''}`;
+    const params = [cutoff].concat(guard && guard.now ? [now.toISOString()] : []);
+
+    let count = 0;
+    let batch;
+    do {
+      batch = await queryAll(`SELECT * FROM ${table} WHERE ${where} ORDER BY id LIMIT ?`, params.concat([RETENTION_BATCH_SIZE]));
+      for (const row of batch) {
+        if (rule.action === 'anonymise') await anonymiseRecord(table, row);
+        else await deleteRecord(table, row);
+      }
+      count += batch.length;
+    } while (batch.length === RETENTION_BATCH_SIZE);
+
+    results[table] = count;
+    if (count > 0) {
+      await recordAudit({ actor, action: `retention.${rule.action}`, targetTable: table, details: { count, olderThan: cutoff } });
+    }
   }
+  return results;
+}
 
-  const { to, subject, body } = validation.data;
-  const recipients = to.join(',');
-  const record = {
-    recipients,
-    subject: sanitizeHtml(subject),
-    body: sanitizeHtml(body),
-    status: 'pending',
-    sentAt: null,
-    error: null
+function startRetentionJob() {
+  const run = () => runRetention('system:retention')
+    .then(results => {
+      if (Object.keys(results).some(table => results[table] > 0)) log.info('Retention applied', { results });
+    })
+    .catch(err => log.error('Retention job error', { err }));
+  run();
+  setInterval(run, (retentionPolicy.intervalHours || 24) * 3600 * 1000);
+}
+
+/**
+ * Everything stored about an email address: registrations, contact inquiries
+ * (with their notes and status history), appointment requests, mails sent to
+ * or mentioning it, and crisis contact requests. Secrets such as tokens are left out.
+ */
+async function subjectAccessBundle(email) {
+  const address = email.trim().toLowerCase();
+  const hash = emailHash(address);
+  const registrations = await queryAll('SELECT * FROM registrations WHERE emailHash = ? ORDER BY id', [hash]);
+  const contacts = await queryAll('SELECT * FROM contacts WHERE emailHash = ? ORDER BY id', [hash]);
+  const appointments = await queryAll('SELECT * FROM appointments WHERE emailHash = ? ORDER BY id', [hash]);
+  for (const contact of contacts) {
+    contact.notes = await queryAll('SELECT author, note, createdAt FROM contact_notes WHERE contactId = ? ORDER BY id', [contact.id]);
+    contact.statusHistory = await queryAll('SELECT fromStatus, toStatus, changedBy, changedAt FROM contact_status_history WHERE contactId = ? ORDER BY id', [contact.id]);
+  }
+  // Mails sent to the address, and staff alerts that mention it
+  const mails = await queryAll('SELECT * FROM mails WHERE instr(emailHashes, ?) > 0 ORDER BY id', [`,${hash},`]);
+  const safetyEvents = await queryAll('SELECT * FROM safety_events WHERE contactEmailHash = ? ORDER BY id', [hash]);
+
+  return {
+    email: address,
+    generatedAt: new Date().toISOString(),
+    registrations: registrations.map(row => exportRecord('registrations', row)),
+    contacts: contacts.map(row => Object.assign(exportRecord('contacts', row), {
+      notes: row.notes.map(note => Object.assign(note, { note: decodeHtml(note.note) })),
+      statusHistory: row.statusHistory
+    })),
+    appointments: appointments.map(row => exportRecord('appointments', row)),
+    mails: mails.map(row => exportRecord('mails', row)),
+    safety_events: safetyEvents.map(row => exportRecord('safety_events', row))
+  };
+}
+
+/**
+ * Erases what subjectAccessBundle found: registrations, inquiries, appointments
+ * and mails are deleted; safety events keep their anonymous part. Freed seminar places go to
+ * the waitlist.
+ */
+async function eraseSubject(bundle, baseUrl) {
+  const seminarIds = new Set();
+  for (const registration of bundle.registrations) {
+    await deleteRecord('registrations', registration);
+    if (registration.seminarId && registration.status === 'confirmed') seminarIds.add(registration.seminarId);
+  }
+  for (const contact of bundle.contacts) await deleteRecord('contacts', contact);
+  for (const appointment of bundle.appointments) await deleteRecord('appointments', appointment);
+  for (const mail of bundle.mails) await deleteRecord('mails', mail);
+  for (const event of bundle.safety_events) await anonymiseRecord('safety_events', event);
+  for (const seminarId of seminarIds) await promoteWaitlist(seminarId, baseUrl);
+  return {
+    registrations: bundle.registrations.length,
+    contacts: bundle.contacts.length,
+    appointments: bundle.appointments.length,
+    mails: bundle.mails.length,
+    safety_events: bundle.safety_events.length
   };
+}
+
+function bundleCounts(bundle) {
+  return ['registrations', 'contacts', 'appointments', 'mails', 'safety_events'].reduce((counts, key) => {
+    counts[key] = bundle[key].length;
+    return counts;
+  }, {});
+}
+
+function subjectEmail(value) {
+  return typeof value === 'string' && isValidEmail(value.trim()) ? value.trim() : null;
+}
 
+app.get('/api/admin/retention', requireRole('administrator'), async (req, res) => {
   try {
-    const mailId = await insertMail(record);
+    const runs = await queryAll("SELECT actor, action, targetTable, details, createdAt FROM audit_log WHERE action LIKE 'retention.%' ORDER BY id DESC LIMIT 20");
+    res.json({ success: true, policy: retentionPolicy, recentRuns: runs });
+  } catch (err) {
+    log.error('DB Error loading retention runs', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load retention status.' });
+  }
+});
 
-    // If SMTP config provided, try to send
-    const smtpHost = process.env.SMTP_HOST;
-    if (smtpHost) {
-      const transporter = nodemailer.createTransport({
-        host: smtpHost,
-        port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : 587,
-        secure: process.env.SMTP_SECURE === 'true',
-        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
-      });
+app.post('/api/admin/retention/run', requireRole('administrator'), async (req, res) => {
+  try {
+    const results = await runRetention(req.adminUser.username);
+    res.json({ success: true, results, message: 'Retention rules applied.' });
+  } catch (err) {
+    log.error('DB Error running retention', { req, err });
+    res.status(500).json({ success: false, message: 'Could not apply retention rules.' });
+  }
+});
 
-      try {
-        await transporter.sendMail({ from: process.env.SMTP_FROM || 'noreply@example.com', to: recipients, subject, text: body });
-        const now = new Date().toISOString();
-        db.run(`UPDATE mails SET status = ?, sentAt = ? WHERE id = ?`, ['sent', now, mailId]);
-        return res.json({ success: true, id: mailId, sent: true, message: 'Email sent successfully.' });
-      } catch (sendErr) {
-        console.error('Mail send error', sendErr);
-        db.run(`UPDATE mails SET status = ?, error = ? WHERE id = ?`, ['failed', String(sendErr.message || sendErr), mailId]);
-        return res.status(500).json({ success: false, id: mailId, sent: false, message: 'Mail send failed, logged.' });
-      }
+// ?email=...; add &download=1 to get the bundle as a file
+app.get('/api/admin/subject-access', requireRole('administrator'), asyncHandler(async (req, res) => {
+  const email = subjectEmail(req.query.email);
+  if (!email) {
+    return res.status(400).json({ success: false, errors: ['A valid email address is required.'] });
+  }
+
+  try {
+    const bundle = await subjectAccessBundle(email);
+    await recordAudit({ actor: req.adminUser.username, action: 'subject.access', details: { email: emailHash(email), found: bundleCounts(bundle) }, ip: req.ip });
+    if (req.query.download) {
+      res.setHeader('Content-Disposition', `attachment; filename="subject-access-${new Date().toISOString().slice(0, 10)}.json"`);
+      return res.json(bundle);
     }
+    res.json({ success: true, bundle });
+  } catch (err) {
+    log.error('DB Error building subject access bundle', { req, err });
+    res.status(500).json({ success: false, message: 'Could not gather the data for this email.' });
+  }
+}));
+
+// Returns the bundle one last time, then erases it. { email, confirm } must match.
+app.post('/api/admin/subject-access/erase', requireRole('administrator'), asyncHandler(async (req, res) => {
+  const email = subjectEmail(req.body.email);
+  if (!email || typeof req.body.confirm !== 'string' || req.body.confirm.trim().toLowerCase() !== email.toLowerCase()) {
+    return res.status(400).json({ success: false, errors: ['Send the email address in both "email" and "confirm".'] });
+  }
 
-    // No SMTP configured — we keep the record as 'mocked'
-    db.run(`UPDATE mails SET status = ? WHERE id = ?`, ['mocked', mailId]);
-    res.json({ success: true, id: mailId, sent: false, message: 'No SMTP configured; mail recorded.' });
+  try {
+    const bundle = await subjectAccessBundle(email);
+    const erased = await eraseSubject(bundle, publicBaseUrl());
+    await recordAudit({ actor: req.adminUser.username, action: 'subject.erase', details: { email: emailHash(email), erased }, ip: req.ip });
+    res.json({ success: true, erased, bundle, message: 'All data for this email has been erased.' });
   } catch (err) {
-    console.error('DB Error saving mail', err);
-    res.status(500).json({ success: false, message: 'Could not record mail.' });
+    log.error('DB Error erasing subject data', { req, err });
+    res.status(500).json({ success: false, message: 'Could not erase the data for this email.' });
+  }
+}));
+
+// ============== SCORE ANALYTICS ==============
+// Anonymous aggregates over the scores table for the admin Analytics page. Only
+// grouped figures leave the server, and any group of fewer than
+// ANALYTICS_MIN_GROUP_SIZE responses (default 5) is suppressed.
+const ANALYTICS_MIN_GROUP_SIZE = Math.max(1, parseInt(process.env.ANALYTICS_MIN_GROUP_SIZE || '5', 10) || 5);
+
+// ?questionnaire=&period=week|month&from=&to=; from and to are widened to whole periods
+app.get('/api/admin/analytics', requireRole('viewer'), async (req, res) => {
+  const questionnaireId = typeof req.query.questionnaire === 'string' && req.query.questionnaire ? req.query.questionnaire : DEFAULT_QUESTIONNAIRE;
+  const questionnaire = questionnaires.get(questionnaireId);
+  if (!questionnaire) {
+    return res.status(400).json({ success: false, errors: ['Unknown questionnaire.'] });
+  }
+  const period = req.query.period || 'week';
+  if (!ANALYTICS_PERIODS.includes(period)) {
+    return res.status(400).json({ success: false, errors: [`period must be one of ${ANALYTICS_PERIODS.join(', ')}.`] });
+  }
+
+  try {
+    const range = periodRange(adminDateBound(req.query.from, false), adminDateBound(req.query.to, true), period);
+    const { where, params } = buildAdminWhere(ADMIN_TABLES.scores, { from: range.from, to: range.to, questionnaire: questionnaireId });
+    const rows = await queryAll(`SELECT score, band, answers, receivedAt FROM scores${where} ORDER BY receivedAt ASC`, params);
+    res.json(Object.assign({
+      success: true,
+      questionnaire: { id: questionnaire.id, title: questionnaire.title },
+      period,
+      from: range.from,
+      to: range.to,
+      minGroupSize: ANALYTICS_MIN_GROUP_SIZE,
+      bands: questionnaire.bands.slice().reverse().map(({ key, label, level }) => ({ key, label, level })),
+      questionnaires: Array.from(questionnaires.values()).map(q => ({ id: q.id, title: q.title }))
+    }, aggregateScores(rows, questionnaire, { period, minGroupSize: ANALYTICS_MIN_GROUP_SIZE })));
+  } catch (err) {
+    log.error('DB Error building score analytics', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load analytics.' });
   }
 });
 
-// Serve main page at root for convenience
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'Project_home.html'));
+// ============== ADMIN DASHBOARD ==============
+// /admin serves a single-page UI (views/admin.html + views/admin.js) that reads
+// everything through the JSON routes below. Which tables and columns are exposed
+// is defined by ADMIN_TABLES in lib/admin_data.js.
+const ADMIN_PAGE_SIZE = 25;
+const ADMIN_MAX_PAGE_SIZE = 100;
+
+// Records linked to the one shown on an admin detail page
+async function adminRelated(table, record) {
+  if (table === 'registrations' && record.seminarId) {
+    return { seminars: await queryAll('SELECT id,title,startsAt,location FROM seminars WHERE id = ?', [record.seminarId]) };
+  }
+  if (table === 'seminars') {
+    const registrations = await queryAll('SELECT id,name,email,status,receivedAt FROM registrations WHERE seminarId = ? ORDER BY id', [record.id]);
+    return { registrations: registrations.map(row => decryptRecord('registrations', row)) };
+  }
+  if (table === 'contacts') {
+    return {
+      contact_notes: await queryAll('SELECT id,author,note,createdAt FROM contact_notes WHERE contactId = ? ORDER BY id', [record.id]),
+      contact_status_history: await queryAll('SELECT id,fromStatus,toStatus,changedBy,changedAt FROM contact_status_history WHERE contactId = ? ORDER BY id', [record.id]),
+      mails: (await queryAll('SELECT id,subject,status,createdAt,sentAt FROM mails WHERE contactId = ? ORDER BY id', [record.id]))
+        .map(row => decryptRecord('mails', row))
+    };
+  }
+  if (table === 'scores') {
+    return { safety_events: await queryAll('SELECT id,triggers,contactRequestedAt,createdAt FROM safety_events WHERE scoreId = ?', [record.id]) };
+  }
+  if (table === 'professionals') {
+    const appointments = await queryAll('SELECT id,name,startsAt,status FROM appointments WHERE professionalId = ? ORDER BY startsAt DESC', [record.id]);
+    return {
+      availability_slots: await queryAll('SELECT id,weekday,startTime,endTime FROM availability_slots WHERE professionalId = ? ORDER BY weekday, startTime', [record.id]),
+      appointments: appointments.map(row => decryptRecord('appointments', row))
+    };
+  }
+  if (table === 'appointments' || table === 'availability_slots') {
+    return { professionals: await queryAll('SELECT id,name,city FROM professionals WHERE id = ?', [record.professionalId]) };
+  }
+  if (table === 'safety_events' && record.scoreId) {
+    return { scores: await queryAll('SELECT id,questionnaire,score,band,receivedAt FROM scores WHERE id = ?', [record.scoreId]) };
+  }
+  return {};
+}
+
+app.get('/admin', requireRole('viewer'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'admin.html'));
+});
+
+app.get('/admin/admin.js', requireRole('viewer'), (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'admin.js'));
+});
+
+app.get('/api/admin/tables', requireRole('viewer'), async (req, res) => {
+  try {
+    const tables = {};
+    for (const name of Object.keys(ADMIN_TABLES)) {
+      const config = ADMIN_TABLES[name];
+      if (!hasRole(req.adminUser, config.role)) continue;
+      const { count } = await queryGet(`SELECT COUNT(*) AS count FROM ${name}`);
+      tables[name] = {
+        label: config.label,
+        columns: config.columns,
+        sortable: config.sortable,
+        dateColumn: config.dateColumn,
+        filters: config.filters,
+        searchHint: searchHint(config),
+        count
+      };
+    }
+    res.json({ success: true, tables });
+  } catch (err) {
+    log.error('DB Error loading admin tables', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load tables.' });
+  }
+});
+
+// ?page=&pageSize=&q=&from=&to=&sort=<column> or -<column> (descending) plus the table's filters
+app.get('/api/admin/:table', requireRole('viewer'), async (req, res) => {
+  const table = req.params.table;
+  const config = Object.prototype.hasOwnProperty.call(ADMIN_TABLES, table) ? ADMIN_TABLES[table] : null;
+  if (!config) {
+    return res.status(404).json({ success: false, message: 'Unknown table.' });
+  }
+  if (!hasRole(req.adminUser, config.role)) {
+    return res.status(403).json({ success: false, message: `This requires the ${config.role} role.` });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(ADMIN_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || ADMIN_PAGE_SIZE));
+  const sortParam = typeof req.query.sort === 'string' && req.query.sort ? req.query.sort : '-' + config.dateColumn;
+  const sortColumn = sortParam.replace(/^-/, '');
+  if (!config.sortable.includes(sortColumn)) {
+    return res.status(400).json({ success: false, message: `Cannot sort by ${sortColumn}.` });
+  }
+  const direction = sortParam.startsWith('-') ? 'DESC' : 'ASC';
+
+  try {
+    const { where, params } = buildAdminWhere(config, req.query);
+    const { total } = await queryGet(`SELECT COUNT(*) AS total FROM ${table}${where}`, params);
+    const rows = await queryAll(
+      `SELECT ${config.columns.join(',')} FROM ${table}${where} ORDER BY ${sortColumn} ${direction}, id ${direction} LIMIT ? OFFSET ?`,
+      params.concat([pageSize, (page - 1) * pageSize])
+    );
+    res.json({
+      success: true,
+      table,
+      page,
+      pageSize,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / pageSize)),
+      sort: sortParam,
+      rows: rows.map(row => decryptRecord(table, row))
+    });
+  } catch (err) {
+    log.error('DB Error listing admin table', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load records.' });
+  }
+});
+
+// Whole-table download with the same q/from/to/filter parameters as the list view.
+// ?format=csv (default) or json; every column except the hidden ones.
+app.get('/api/admin/:table/export', requireRole('viewer'), async (req, res) => {
+  const table = req.params.table;
+  const config = Object.prototype.hasOwnProperty.call(ADMIN_TABLES, table) ? ADMIN_TABLES[table] : null;
+  if (!config) {
+    return res.status(404).json({ success: false, message: 'Unknown table.' });
+  }
+  if (!hasRole(req.adminUser, config.role)) {
+    return res.status(403).json({ success: false, message: `This requires the ${config.role} role.` });
+  }
+  const format = req.query.format || 'csv';
+  if (format !== 'csv' && format !== 'json') {
+    return res.status(400).json({ success: false, message: 'Format must be csv or json.' });
+  }
+
+  try {
+    const { where, params } = buildAdminWhere(config, req.query);
+    const columns = await exportColumns(queryAll, table);
+    const rows = (await queryAll(`SELECT ${columns.join(',')} FROM ${table}${where} ORDER BY id`, params))
+      .map(row => exportRecord(table, row));
+    const filename = `${table}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.json(rows);
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(toCsv(columns, rows));
+  } catch (err) {
+    log.error('DB Error exporting admin table', { req, err });
+    res.status(500).json({ success: false, message: 'Could not export records.' });
+  }
+});
+
+app.get('/api/admin/:table/:id', requireRole('viewer'), async (req, res) => {
+  const table = req.params.table;
+  const config = Object.prototype.hasOwnProperty.call(ADMIN_TABLES, table) ? ADMIN_TABLES[table] : null;
+  if (!config) {
+    return res.status(404).json({ success: false, message: 'Unknown table.' });
+  }
+  if (!hasRole(req.adminUser, config.role)) {
+    return res.status(403).json({ success: false, message: `This requires the ${config.role} role.` });
+  }
+
+  try {
+    const record = await queryGet(`SELECT * FROM ${table} WHERE id = ?`, [req.params.id]);
+    if (!record) {
+      return res.status(404).json({ success: false, message: 'Record not found.' });
+    }
+    const related = await adminRelated(table, record);
+    // Linked records from tables the user may not read are left out
+    Object.keys(related).forEach(name => {
+      if (ADMIN_TABLES[name] && !hasRole(req.adminUser, ADMIN_TABLES[name].role)) delete related[name];
+    });
+    res.json({ success: true, table, record: stripHidden(config, decryptRecord(table, record)), related });
+  } catch (err) {
+    log.error('DB Error loading admin record', { req, err });
+    res.status(500).json({ success: false, message: 'Could not load record.' });
+  }
 });
 
-// ---------------- Admin (Basic HTTP Auth) ----------------
-// Simple password-protected admin page to view recent submissions.
-function parseBasicAuth(req) {
-  const h = req.headers.authorization;
-  if (!h || !h.startsWith('Basic ')) return null;
-  const parts = Buffer.from(h.split(' ')[1], 'base64').toString().split(':');
-  return { user: parts[0] || '', pass: parts.slice(1).join(':') || '' };
+// ---------- Admin accounts ----------
+
+// Keeps at least one administrator so nobody locks the team out of account management
+async function isLastAdministrator(user) {
+  if (user.role !== 'administrator') return false;
+  const { count } = await queryGet("SELECT COUNT(*) AS count FROM admin_users WHERE role = 'administrator'");
+  return count <= 1;
 }
 
-function requireAdmin(req, res, next) {
-  const adminUser = process.env.ADMIN_USER || 'admin';
-  const adminPass = process.env.ADMIN_PASS || 'admin123';
-  const creds = parseBasicAuth(req);
-  if (!creds) {
-    res.setHeader('WWW-Authenticate', 'Basic realm="Admin Area"');
-    return res.status(401).send('Authentication required');
+app.post('/api/admin/admin_users', requireRole('administrator'), asyncHandler(async (req, res) => {
+  const validation = validateAdminUser(req.body, false);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  try {
+    if (await queryGet('SELECT id FROM admin_users WHERE username = ?', [validation.data.username])) {
+      return res.status(409).json({ success: false, message: 'That username is already taken.' });
+    }
+    const id = await createAdminUser(validation.data);
+    res.status(201).json({ success: true, id, message: 'Admin user created.' });
+  } catch (err) {
+    log.error('DB Error creating admin user', { req, err });
+    res.status(500).json({ success: false, message: 'Could not create admin user.' });
   }
-  if (creds.user === adminUser && creds.pass === adminPass) {
-    return next();
+}));
+
+// Changes role and/or password; a new password signs the user out everywhere
+app.patch('/api/admin/admin_users/:id', requireRole('administrator'), asyncHandler(async (req, res) => {
+  const validation = validateAdminUser(req.body, true);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  try {
+    const user = await queryGet('SELECT * FROM admin_users WHERE id = ?', [req.params.id]);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Admin user not found.' });
+    }
+    const { role, password } = validation.data;
+    if (role && role !== 'administrator' && await isLastAdministrator(user)) {
+      return res.status(409).json({ success: false, message: 'Cannot demote the last administrator.' });
+    }
+    if (role) {
+      await queryRun('UPDATE admin_users SET role = ? WHERE id = ?', [role, user.id]);
+    }
+    if (password) {
+      await queryRun('UPDATE admin_users SET passwordHash = ? WHERE id = ?', [await hashPassword(password), user.id]);
+      await queryRun('DELETE FROM admin_sessions WHERE userId = ?', [user.id]);
+    }
+    res.json({ success: true, message: 'Admin user updated.' });
+  } catch (err) {
+    log.error('DB Error updating admin user', { req, err });
+    res.status(500).json({ success: false, message: 'Could not update admin user.' });
+  }
+}));
+
+app.delete('/api/admin/admin_users/:id', requireRole('administrator'), async (req, res) => {
+  try {
+    const user = await queryGet('SELECT * FROM admin_users WHERE id = ?', [req.params.id]);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Admin user not found.' });
+    }
+    if (user.id === req.adminUser.id || await isLastAdministrator(user)) {
+      return res.status(409).json({ success: false, message: 'Cannot delete your own account or the last administrator.' });
+    }
+    await queryRun('DELETE FROM admin_sessions WHERE userId = ?', [user.id]);
+    await queryRun('DELETE FROM admin_users WHERE id = ?', [user.id]);
+    res.json({ success: true, message: 'Admin user deleted.' });
+  } catch (err) {
+    log.error('DB Error deleting admin user', { req, err });
+    res.status(500).json({ success: false, message: 'Could not delete admin user.' });
+  }
+});
+
+// ---------- Mail allowlist ----------
+
+app.post('/api/admin/mail_allowlist', requireRole('administrator'), asyncHandler(async (req, res) => {
+  const validation = validateAllowlistEntry(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  try {
+    const { entry } = validation.data;
+    if (await queryGet('SELECT id FROM mail_allowlist WHERE entry = ?', [entry])) {
+      return res.status(409).json({ success: false, message: 'That entry is already on the allowlist.' });
+    }
+    const { lastID } = await queryRun('INSERT INTO mail_allowlist (entry,createdBy,createdAt) VALUES (?,?,?)',
+      [entry, req.adminUser.username, new Date().toISOString()]);
+    res.status(201).json({ success: true, id: lastID, message: 'Allowlist entry added.' });
+  } catch (err) {
+    log.error('DB Error adding allowlist entry', { req, err });
+    res.status(500).json({ success: false, message: 'Could not add allowlist entry.' });
+  }
+}));
+
+app.delete('/api/admin/mail_allowlist/:id', requireRole('administrator'), async (req, res) => {
+  try {
+    const result = await queryRun('DELETE FROM mail_allowlist WHERE id = ?', [req.params.id]);
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: 'Allowlist entry not found.' });
+    }
+    res.json({ success: true, message: 'Allowlist entry removed.' });
+  } catch (err) {
+    log.error('DB Error removing allowlist entry', { req, err });
+    res.status(500).json({ success: false, message: 'Could not remove allowlist entry.' });
   }
-  res.setHeader('WWW-Authenticate', 'Basic realm="Admin Area"');
-  return res.status(401).send('Invalid credentials');
+});
+
+// ---------- Contact inquiry triage ----------
+
+function getContact(id) {
+  return queryGet('SELECT * FROM contacts WHERE id = ?', [id]).then(row => row ? decryptRecord('contacts', row) : null);
 }
 
-function htmlEscape(s) {
-  if (s === null || typeof s === 'undefined') return '';
-  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#x27;');
+/**
+ * Moves an inquiry to a new status and records the change in contact_status_history
+ */
+async function setContactStatus(contact, status, actor) {
+  if (contact.status === status) return;
+  const now = new Date().toISOString();
+  await queryRun('UPDATE contacts SET status = ?, updatedAt = ? WHERE id = ?', [status, now, contact.id]);
+  await queryRun('INSERT INTO contact_status_history (contactId,fromStatus,toStatus,changedBy,changedAt) VALUES (?,?,?,?,?)',
+    [contact.id, contact.status, status, actor, now]);
 }
 
-app.get('/admin', requireAdmin, async (req, res) => {
+app.patch('/api/admin/contacts/:id', requireRole('counsellor'), asyncHandler(async (req, res) => {
+  const validation = validateContactUpdate(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
   try {
-    const regs = await queryAll('SELECT id,name,email,contact,receivedAt FROM registrations ORDER BY receivedAt DESC LIMIT 50');
-    const contacts = await queryAll("SELECT id,name,email,message,receivedAt FROM contacts ORDER BY receivedAt DESC LIMIT 50");
-    const scores = await queryAll('SELECT id,score,details,receivedAt FROM scores ORDER BY receivedAt DESC LIMIT 50');
-    const mails = await queryAll('SELECT id,recipients,subject,status,sentAt FROM mails ORDER BY id DESC LIMIT 50');
+    const contact = await getContact(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ success: false, message: 'Contact not found.' });
+    }
+    const { status, assignedTo } = validation.data;
+    if (typeof assignedTo !== 'undefined') {
+      await queryRun('UPDATE contacts SET assignedTo = ?, updatedAt = ? WHERE id = ?',
+        [assignedTo === null ? null : sanitizeHtml(assignedTo), new Date().toISOString(), contact.id]);
+    }
+    if (status) {
+      await setContactStatus(contact, status, req.adminUser.username);
+    }
+    res.json({ success: true, contact: await getContact(contact.id), message: 'Contact updated.' });
+  } catch (err) {
+    log.error('DB Error updating contact', { req, err });
+    res.status(500).json({ success: false, message: 'Could not update contact.' });
+  }
+}));
 
-    let html = `<!doctype html><html><head><meta charset="utf-8"><title>Admin - Submissions</title><style>body{font-family:Arial,Helvetica,sans-serif;padding:20px}table{border-collapse:collapse;width:100%;margin-bottom:24px}th,td{border:1px solid #ddd;padding:8px;text-align:left}th{background:#f4f4f4}</style></head><body>`;
-    html += '<h1>Admin - Recent Submissions</h1>';
-    html += '<h2>Registrations</h2>';
-    html += '<table><tr><th>id</th><th>name</th><th>email</th><th>contact</th><th>receivedAt</th></tr>';
-    regs.forEach(r => {
-      html += `<tr><td>${htmlEscape(r.id)}</td><td>${htmlEscape(r.name)}</td><td>${htmlEscape(r.email)}</td><td>${htmlEscape(r.contact)}</td><td>${htmlEscape(r.receivedAt)}</td></tr>`;
-    });
-    html += '</table>';
+app.post('/api/admin/contacts/:id/notes', requireRole('counsellor'), asyncHandler(async (req, res) => {
+  const noteValidation = validateStringField(req.body.note, 'Note', 1, 5000);
+  if (!noteValidation.valid) {
+    return res.status(400).json({ success: false, errors: [noteValidation.error] });
+  }
 
-    html += '<h2>Contacts</h2>';
-    html += '<table><tr><th>id</th><th>name</th><th>email</th><th>message</th><th>receivedAt</th></tr>';
-    contacts.forEach(c => {
-      html += `<tr><td>${htmlEscape(c.id)}</td><td>${htmlEscape(c.name)}</td><td>${htmlEscape(c.email)}</td><td>${htmlEscape(c.message)}</td><td>${htmlEscape(c.receivedAt)}</td></tr>`;
-    });
-    html += '</table>';
+  try {
+    const contact = await getContact(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ success: false, message: 'Contact not found.' });
+    }
+    const { lastID } = await queryRun('INSERT INTO contact_notes (contactId,author,note,createdAt) VALUES (?,?,?,?)',
+      [contact.id, req.adminUser.username, sanitizeHtml(noteValidation.value), new Date().toISOString()]);
+    res.status(201).json({ success: true, id: lastID, message: 'Note added.' });
+  } catch (err) {
+    log.error('DB Error adding contact note', { req, err });
+    res.status(500).json({ success: false, message: 'Could not add note.' });
+  }
+}));
 
-    html += '<h2>Scores</h2>';
-    html += '<table><tr><th>id</th><th>score</th><th>details</th><th>receivedAt</th></tr>';
-    scores.forEach(s => {
-      html += `<tr><td>${htmlEscape(s.id)}</td><td>${htmlEscape(s.score)}</td><td>${htmlEscape(s.details)}</td><td>${htmlEscape(s.receivedAt)}</td></tr>`;
-    });
-    html += '</table>';
+// Replies go through the mail queue and are linked to the inquiry via mails.contactId
+app.post('/api/admin/contacts/:id/replies', requireRole('counsellor'), asyncHandler(async (req, res) => {
+  const validation = validateContactReply(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ success: false, errors: validation.errors });
+  }
+
+  try {
+    const contact = await getContact(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ success: false, message: 'Contact not found.' });
+    }
+    const { subject, body } = validation.data;
+    const mailId = await queueTemplateMail('contact-reply', contact.email, {
+      subject,
+      name: decodeHtml(contact.name),
+      reply: body,
+      staffName: req.adminUser.username,
+      originalMessage: decodeHtml(contact.message)
+    }, { contactId: contact.id });
+    if (contact.status === 'new') {
+      await setContactStatus(contact, 'in_progress', req.adminUser.username);
+    }
+    res.status(202).json({ success: true, id: mailId, message: 'Reply queued for delivery.' });
+  } catch (err) {
+    log.error('DB Error queueing contact reply', { req, err });
+    res.status(500).json({ success: false, message: 'Could not queue reply.' });
+  }
+}));
 
-    html += '<h2>Mails</h2>';
-    html += '<table><tr><th>id</th><th>recipients</th><th>subject</th><th>status</th><th>sentAt</th></tr>';
-    mails.forEach(m => {
-      html += `<tr><td>${htmlEscape(m.id)}</td><td>${htmlEscape(m.recipients)}</td><td>${htmlEscape(m.subject)}</td><td>${htmlEscape(m.status)}</td><td>${htmlEscape(m.sentAt)}</td></tr>`;
+app.get('/admin/mail-templates', requireRole('viewer'), async (req, res) => {
+  try {
+    const names = await listMailTemplates();
+    let html = `<!doctype html><html><head><meta charset="utf-8"><title>Admin - Mail templates</title><style>body{font-family:Arial,Helvetica,sans-serif;padding:20px}</style></head><body>`;
+    html += '<p><a href="/admin">&larr; Admin</a></p><h1>Mail templates</h1><ul>';
+    names.forEach(name => {
+      html += `<li><a href="/admin/mail-templates/${htmlEscape(name)}">${htmlEscape(name)}</a></li>`;
     });
-    html += '</table>';
+    html += `</ul><p>Staff alerts go to: ${htmlEscape(staffAlertRecipients().join(', ') || '(STAFF_ALERT_EMAIL not set)')}</p></body></html>`;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(html);
+  } catch (err) {
+    log.error('Mail template list error', { req, err });
+    res.status(500).send('Could not list mail templates');
+  }
+});
 
+// Preview a template rendered with its sample.json data
+app.get('/admin/mail-templates/:name', requireRole('viewer'), async (req, res) => {
+  try {
+    const template = await loadMailTemplate(req.params.name);
+    if (!template) return res.status(404).send('Template not found');
+    const rendered = await renderMailTemplate(template.name, template.sample);
+    let html = `<!doctype html><html><head><meta charset="utf-8"><title>Preview - ${htmlEscape(template.name)}</title><style>body{font-family:Arial,Helvetica,sans-serif;padding:20px}iframe{width:100%;height:480px;border:1px solid #ddd}pre{background:#f4f4f4;padding:12px;white-space:pre-wrap}</style></head><body>`;
+    html += `<p><a href="/admin/mail-templates">&larr; Mail templates</a></p><h1>${htmlEscape(template.name)}</h1>`;
+    html += `<h2>Subject</h2><p>${htmlEscape(rendered.subject)}</p>`;
+    html += `<h2>HTML</h2><iframe sandbox srcdoc="${htmlEscape(rendered.html)}"></iframe>`;
+    html += `<h2>Plain text</h2><pre>${htmlEscape(rendered.text)}</pre>`;
+    html += `<h2>Sample data</h2><pre>${htmlEscape(JSON.stringify(template.sample, null, 2))}</pre>`;
     html += '</body></html>';
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
     res.send(html);
   } catch (err) {
-    console.error('Admin page error', err);
-    res.status(500).send('Could not load admin page');
+    log.error('Mail template preview error', { req, err });
+    res.status(500).send('Could not render mail template');
+  }
+});
+
+// ============== HEALTH & METRICS ==============
+// GET /healthz answers 200 when the database accepts writes and mail can go out
+// (SMTP answers, or without SMTP_HOST the queue worker is running), else 503.
+// GET /metrics serves the counters from lib/observability.js plus the mail
+// queue by status in Prometheus text format; set METRICS_TOKEN to require
+// "Authorization: Bearer <token>" for it.
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+// A reachable SMTP server is remembered for this long, so frequent probes do not open a connection each time
+const HEALTH_SMTP_CACHE_MS = 30 * 1000;
+let smtpCheckedAt = 0;
+
+metrics.gauge('mails', 'Mails in the outbound queue by status.', async () => {
+  const rows = await queryAll('SELECT status, COUNT(*) AS count FROM mails GROUP BY status');
+  return rows.map(row => ({ labels: { status: row.status }, value: row.count }));
+});
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase() {
+  await withTimeout(queryRun('INSERT OR REPLACE INTO health_checks (id, checkedAt) VALUES (1, ?)', [new Date().toISOString()]),
+    HEALTH_CHECK_TIMEOUT_MS, 'Database write');
+  return { ok: true };
+}
+
+async function checkMail() {
+  if (!process.env.SMTP_HOST) {
+    // The worker stamps every pass; a long pass is still a running worker
+    const stale = Math.max(3 * MAIL_WORKER_INTERVAL_MS, 60 * 1000);
+    const running = mailWorkerBusy || (mailWorkerLastRunAt !== null && Date.now() - mailWorkerLastRunAt < stale);
+    return { ok: running, mode: 'mocked' };
+  }
+  if (Date.now() - smtpCheckedAt > HEALTH_SMTP_CACHE_MS) {
+    await withTimeout(getTransporter().verify(), HEALTH_CHECK_TIMEOUT_MS, 'SMTP check');
+    smtpCheckedAt = Date.now();
+  }
+  return { ok: true, mode: 'smtp' };
+}
+
+app.get('/healthz', async (req, res) => {
+  const checks = {};
+  for (const [name, check] of [['database', checkDatabase], ['mail', checkMail]]) {
+    try {
+      checks[name] = await check();
+    } catch (err) {
+      log.error(`Health check failed: ${name}`, { req, err });
+      checks[name] = { ok: false };
+    }
+  }
+  const healthy = Object.keys(checks).every(name => checks[name].ok);
+  res.status(healthy ? 200 : 503).json({ status: healthy ? 'ok' : 'unavailable', checks });
+});
+
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !tokensEqual((req.get('Authorization') || '').replace(/^Bearer /, ''), token)) {
+    return res.status(401).type('text/plain').send('Unauthorized');
+  }
+  try {
+    res.type('text/plain; version=0.0.4').send(await metrics.render());
+  } catch (err) {
+    log.error('Metrics error', { req, err });
+    res.status(500).type('text/plain').send('Could not collect metrics');
   }
 });
 
+// Errors passed on by handlers, including routes wrapped in asyncHandler, and
+// bodies express.json() cannot parse
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) log.error('Unhandled error', { req, err });
+  res.status(status).json({ success: false, message: status === 500 ? 'Something went wrong. Please try again later.' : 'Bad request.' });
+});
+
+// Personal fields cannot be stored or read without encryption keys, so check them up front
+function checkEncryptionKeys() {
+  if (getKeyring().development) {
+    log.warn('Encrypting personal data with the built-in development keys; set DATA_ENCRYPTION_KEYS and DATA_HASH_KEY in production.');
+  }
+}
+
+// Links in mail need a fixed public address (see publicBaseUrl)
+function checkPublicUrl() {
+  const url = process.env.PUBLIC_URL;
+  if (url) {
+    if (!/^https?:\/\/[^\s/?#]+(?:\/[^\s?#]*)?$/i.test(url)) {
+      throw new Error(`PUBLIC_URL must be an http(s) address such as https://example.org, not "${url}"`);
+    }
+    return;
+  }
+  if (process.env.NODE_ENV !== 'development') {
+    throw new Error('PUBLIC_URL must be set to the site\'s public address (or NODE_ENV=development to use the local address).');
+  }
+  log.warn(`PUBLIC_URL is not set; links in mail point at ${publicBaseUrl()}.`);
+}
+
 // Listen on localhost only (127.0.0.1) to restrict access to the local machine
 const HOST = '127.0.0.1';
-app.listen(PORT, HOST, () => {
-  console.log(`Server running on http://${HOST}:${PORT}`);
+Promise.resolve().then(checkEncryptionKeys).then(checkPublicUrl).then(() => migrate(db, { log: message => log.info(message) })).then(ensureAdminUsers).then(() => {
+  app.listen(PORT, HOST, () => {
+    log.info(`Server running on http://${HOST}:${PORT}`);
+    startMailWorker();
+    startRetentionJob();
+    startAppointmentReminders();
+  });
+}).catch(err => {
+  log.error('Refusing to start', { err });
+  process.exit(1);
 });
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { APPOINTMENT_STATUSES, canTransition, parseTime, slotsOverlap } = require('../lib/appointments');
+
+test('requested appointments can be confirmed, declined or cancelled', () => {
+  assert.ok(canTransition('requested', 'confirmed'));
+  assert.ok(canTransition('requested', 'declined'));
+  assert.ok(canTransition('requested', 'cancelled'));
+  assert.ok(!canTransition('requested', 'requested'));
+});
+
+test('confirmed appointments can only be cancelled', () => {
+  assert.ok(canTransition('confirmed', 'cancelled'));
+  assert.ok(!canTransition('confirmed', 'declined'));
+  assert.ok(!canTransition('confirmed', 'requested'));
+});
+
+test('declined and cancelled appointments are final', () => {
+  for (const from of ['declined', 'cancelled']) {
+    for (const to of APPOINTMENT_STATUSES) assert.ok(!canTransition(from, to), `${from} -> ${to}`);
+  }
+});
+
+test('unknown statuses never transition', () => {
+  assert.ok(!canTransition('pending', 'confirmed'));
+  assert.ok(!canTransition('requested', 'done'));
+  assert.ok(!canTransition(undefined, 'cancelled'));
+});
+
+test('parses HH:MM times into minutes', () => {
+  assert.strictEqual(parseTime('09:30'), 570);
+  assert.strictEqual(parseTime(' 23:59 '), 1439);
+  assert.strictEqual(parseTime('24:00'), null);
+  assert.strictEqual(parseTime('9:30'), null);
+  assert.strictEqual(parseTime(930), null);
+});
+
+test('slots overlap only on the same weekday with shared time', () => {
+  const slot = { weekday: 1, startTime: '09:00', endTime: '10:00' };
+  assert.ok(slotsOverlap(slot, { weekday: 1, startTime: '09:30', endTime: '10:30' }));
+  assert.ok(!slotsOverlap(slot, { weekday: 1, startTime: '10:00', endTime: '11:00' }));
+  assert.ok(!slotsOverlap(slot, { weekday: 2, startTime: '09:00', endTime: '10:00' }));
+});
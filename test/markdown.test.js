@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderMarkdown, markdownText } = require('../lib/markdown');
+
+test('renders links and images with safe addresses', () => {
+  assert.strictEqual(
+    renderMarkdown('See [help](/contact) or [mail](mailto:help@example.org).'),
+    '<p>See <a href="/contact">help</a> or <a href="mailto:help@example.org">mail</a>.</p>'
+  );
+  assert.strictEqual(
+    renderMarkdown('![Calm lake](/images/lake.jpg)'),
+    '<p><img src="/images/lake.jpg" alt="Calm lake" loading="lazy"></p>'
+  );
+});
+
+test('keeps balanced parentheses inside a link address', () => {
+  assert.strictEqual(
+    renderMarkdown('[Anxiety](https://en.wikipedia.org/wiki/Anxiety_(disorder)) explained'),
+    '<p><a href="https://en.wikipedia.org/wiki/Anxiety_(disorder)" target="_blank" rel="noopener noreferrer">Anxiety</a> explained</p>'
+  );
+});
+
+test('drops a rejected address without leaving part of it in the text', () => {
+  assert.strictEqual(renderMarkdown('[x](javascript:alert(1)) after'), '<p>x after</p>');
+  assert.strictEqual(renderMarkdown('![x](javascript:alert(1)) after'), '<p>x after</p>');
+  assert.strictEqual(markdownText('[x](javascript:alert(1)) after'), 'x after');
+});
+
+test('escapes HTML in the source', () => {
+  assert.strictEqual(renderMarkdown('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+});
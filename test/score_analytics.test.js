@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { periodKey, periodRange, aggregateScores } = require('../lib/score_analytics');
+
+const questionnaire = {
+  bands: [{ key: 'low' }, { key: 'mid' }, { key: 'high' }],
+  questions: [{ id: 'q1', text: 'First question' }]
+};
+
+function rows(count, receivedAt, band, score) {
+  return Array.from({ length: count }, () => ({ receivedAt, band, score, answers: JSON.stringify({ q1: score }) }));
+}
+
+const options = { period: 'week', minGroupSize: 5 };
+
+test('names ISO weeks and months', () => {
+  assert.strictEqual(periodKey('2025-03-05T10:00:00.000Z', 'week'), '2025-W10');
+  assert.strictEqual(periodKey('2024-12-30T10:00:00.000Z', 'week'), '2025-W01');
+  assert.strictEqual(periodKey('2025-03-05T10:00:00.000Z', 'month'), '2025-03');
+});
+
+test('widens a date range to whole weeks or months', () => {
+  assert.deepStrictEqual(periodRange('2025-03-05T10:00:00.000Z', '2025-03-05T11:00:00.000Z', 'week'),
+    { from: '2025-03-03T00:00:00.000Z', to: '2025-03-09T23:59:59.999Z' });
+  assert.deepStrictEqual(periodRange('2025-02-14T00:00:00.000Z', '2025-02-14T00:00:00.000Z', 'month'),
+    { from: '2025-02-01T00:00:00.000Z', to: '2025-02-28T23:59:59.999Z' });
+  assert.deepStrictEqual(periodRange(null, null, 'week'), { from: null, to: null });
+});
+
+test('suppresses everything when there are too few responses', () => {
+  const result = aggregateScores(rows(4, '2025-03-03T10:00:00.000Z', 'low', 2), questionnaire, options);
+  assert.deepStrictEqual(result.overall, { responses: null, average: null, bands: null, suppressed: true });
+  assert.strictEqual(result.trend[0].suppressed, true);
+  assert.strictEqual(result.questions[0].suppressed, true);
+});
+
+test('hides a small band together with the next smallest', () => {
+  const data = rows(6, '2025-03-03T10:00:00.000Z', 'low', 2)
+    .concat(rows(5, '2025-03-04T10:00:00.000Z', 'mid', 10))
+    .concat(rows(1, '2025-03-05T10:00:00.000Z', 'high', 20));
+  const { trend } = aggregateScores(data, questionnaire, options);
+  assert.deepStrictEqual(trend[0].bands, { low: 6, mid: null, high: null });
+});
+
+test('keeps hidden periods out of the overall figures', () => {
+  // W10 has 6 responses; W11 has one, hidden, and W10 cannot stay alone as the only shown period
+  const data = rows(6, '2025-03-03T10:00:00.000Z', 'low', 2)
+    .concat(rows(6, '2025-03-10T10:00:00.000Z', 'mid', 10))
+    .concat(rows(1, '2025-03-17T10:00:00.000Z', 'high', 20));
+  const { overall, trend, questions, suppressedPeriods } = aggregateScores(data, questionnaire, options);
+  assert.deepStrictEqual(trend.map(bucket => bucket.suppressed), [true, false, true]);
+  assert.strictEqual(suppressedPeriods, 2);
+  assert.strictEqual(overall.responses, 6);
+  assert.strictEqual(overall.average, 10);
+  assert.strictEqual(questions[0].responses, 6);
+  assert.strictEqual(questions[0].average, 10);
+});
+
+test('a band hidden in one period is hidden in the overall distribution', () => {
+  const data = rows(6, '2025-03-03T10:00:00.000Z', 'low', 2)
+    .concat(rows(1, '2025-03-04T10:00:00.000Z', 'high', 20))
+    .concat(rows(5, '2025-03-10T10:00:00.000Z', 'low', 2))
+    .concat(rows(5, '2025-03-11T10:00:00.000Z', 'high', 20))
+    .concat(rows(5, '2025-03-12T10:00:00.000Z', 'mid', 10));
+  const { overall, trend } = aggregateScores(data, questionnaire, options);
+  assert.deepStrictEqual(trend[0].bands, { low: null, mid: 0, high: null });
+  assert.deepStrictEqual(trend[1].bands, { low: 5, mid: 5, high: 5 });
+  // Overall high less the second week's 5 would give the first week's lone response
+  assert.strictEqual(overall.responses, 22);
+  assert.strictEqual(overall.bands.high, null);
+  assert.strictEqual(overall.bands.low, null);
+  assert.strictEqual(overall.bands.mid, 5);
+});
+
+test('one more response in a new week does not change the overall figures by one', () => {
+  const base = rows(5, '2025-03-03T10:00:00.000Z', 'low', 2)
+    .concat(rows(5, '2025-03-10T10:00:00.000Z', 'mid', 10))
+    .concat(rows(5, '2025-03-17T10:00:00.000Z', 'mid', 10));
+  const before = aggregateScores(base, questionnaire, options);
+  const after = aggregateScores(base.concat(rows(1, '2025-03-24T10:00:00.000Z', 'high', 20)), questionnaire, options);
+  assert.strictEqual(before.overall.responses, 15);
+  // The lone week is hidden along with the first one, and neither counts overall
+  assert.deepStrictEqual(after.trend.map(bucket => bucket.suppressed), [true, false, false, true]);
+  assert.strictEqual(after.overall.responses, 10);
+  assert.deepStrictEqual(after.overall.bands, { low: 0, mid: 10, high: 0 });
+});
@@ -0,0 +1,796 @@
+// Admin dashboard: a small hash-routed UI over the /api/admin JSON routes.
+//   #<table>?page=&q=&from=&to=&sort=   list view with search, filters and paging
+//   #<table>/<id>                       detail view for one record
+//   #analytics?questionnaire=&period=&from=&to=   aggregate score trends
+
+let adminTables = null;
+// { username, role, roles, csrfToken } of the signed-in user
+let adminSession = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        adminSession = await adminFetch('/api/admin/session');
+        const json = await adminFetch('/api/admin/tables');
+        adminTables = json.tables;
+    } catch (err) {
+        showError(err.message);
+        return;
+    }
+    window.addEventListener('hashchange', route);
+    route();
+});
+
+async function adminFetch(url, options) {
+    options = Object.assign({}, options);
+    options.headers = Object.assign({ Accept: 'application/json' }, options.headers);
+    if (adminSession) options.headers['X-CSRF-Token'] = adminSession.csrfToken;
+    const resp = await fetch(url, options);
+    if (resp.status === 401) {
+        // Session expired; sign in again and come back here
+        window.location.href = '/admin/login?next=' + encodeURIComponent('/admin' + window.location.hash);
+        throw new Error('Please sign in again.');
+    }
+    const json = await resp.json();
+    if (!resp.ok || !json.success) {
+        throw new Error(json.message || (json.errors && json.errors.join(' ')) || resp.statusText);
+    }
+    return json;
+}
+
+function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(key => {
+        if (key === 'text') node.textContent = attrs[key];
+        else if (key === 'onclick') node.addEventListener('click', attrs[key]);
+        else node.setAttribute(key, attrs[key]);
+    });
+    (children || []).forEach(child => node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child));
+    return node;
+}
+
+function hasRole(role) {
+    return adminSession.roles.indexOf(adminSession.role) >= adminSession.roles.indexOf(role);
+}
+
+function showError(message) {
+    const main = document.getElementById('adminMain');
+    main.innerHTML = '';
+    main.appendChild(el('p', { class: 'error', text: message }));
+}
+
+function formatCell(value) {
+    if (value === null || typeof value === 'undefined') return '';
+    const str = String(value);
+    return str.length > 80 ? str.slice(0, 77) + '...' : str;
+}
+
+function route() {
+    const hash = window.location.hash.replace(/^#/, '');
+    const [pathPart, queryPart] = hash.split('?');
+    const [table, id] = pathPart.split('/');
+    if (table === 'privacy' && hasRole('administrator')) {
+        renderNav('privacy');
+        renderPrivacy();
+        return;
+    }
+    if (table === 'analytics') {
+        renderNav('analytics');
+        renderAnalytics(new URLSearchParams(queryPart || ''));
+        return;
+    }
+    const name = adminTables[table] ? table : Object.keys(adminTables)[0];
+    renderNav(name);
+    if (id) {
+        renderDetail(name, id);
+    } else {
+        renderList(name, new URLSearchParams(queryPart || ''));
+    }
+}
+
+function renderNav(active) {
+    const nav = document.getElementById('adminNav');
+    nav.innerHTML = '';
+    Object.keys(adminTables).forEach(name => {
+        const link = el('a', { href: '#' + name, text: `${adminTables[name].label} (${adminTables[name].count})` });
+        if (name === active) link.className = 'active';
+        nav.appendChild(link);
+    });
+    nav.appendChild(el('a', Object.assign({ href: '#analytics', text: 'Analytics' }, active === 'analytics' ? { class: 'active' } : {})));
+    if (hasRole('administrator')) {
+        nav.appendChild(el('a', Object.assign({ href: '#privacy', text: 'Privacy' }, active === 'privacy' ? { class: 'active' } : {})));
+    }
+    nav.appendChild(el('a', { href: '/admin/mail-templates', text: 'Mail templates' }));
+
+    const logout = el('button', { type: 'button', text: 'Sign out' });
+    logout.addEventListener('click', async () => {
+        try {
+            await adminFetch('/admin/logout', { method: 'POST' });
+        } finally {
+            window.location.href = '/admin/login';
+        }
+    });
+    nav.appendChild(el('span', { class: 'admin-user' }, [`${adminSession.username} (${adminSession.role}) `, logout]));
+}
+
+function setListQuery(table, params) {
+    // Drop empty values so the URL stays readable
+    Array.from(params.keys()).forEach(key => {
+        if (!params.get(key)) params.delete(key);
+    });
+    window.location.hash = table + (params.toString() ? '?' + params.toString() : '');
+}
+
+async function renderList(table, params) {
+    const config = adminTables[table];
+    const main = document.getElementById('adminMain');
+    main.innerHTML = '';
+    main.appendChild(el('h2', { text: config.label }));
+    if (table === 'admin_users') main.appendChild(renderNewAdminUser());
+    if (table === 'mail_allowlist') main.appendChild(renderNewAllowlistEntry());
+    if (table === 'professionals' && hasRole('counsellor')) main.appendChild(renderProfessionalForm(null));
+    if (table === 'articles' && hasRole('counsellor')) main.appendChild(renderArticleForm(null));
+    main.appendChild(renderFilters(table, config, params));
+
+    // Downloads use the current filters but ignore paging and sort
+    const exportParams = new URLSearchParams(params);
+    ['page', 'pageSize', 'sort'].forEach(key => exportParams.delete(key));
+    main.appendChild(el('p', { class: 'export' }, ['Export: ', ...['csv', 'json'].map(format => {
+        exportParams.set('format', format);
+        return el('a', { href: `/api/admin/${table}/export?${exportParams.toString()}`, text: format.toUpperCase() });
+    })]));
+
+    let json;
+    try {
+        json = await adminFetch(`/api/admin/${table}?${params.toString()}`);
+    } catch (err) {
+        main.appendChild(el('p', { class: 'error', text: err.message }));
+        return;
+    }
+
+    const sortColumn = json.sort.replace(/^-/, '');
+    const descending = json.sort.startsWith('-');
+    const headerRow = el('tr');
+    config.columns.forEach(col => {
+        const sortable = config.sortable.includes(col);
+        const th = el('th', { text: col + (col === sortColumn ? (descending ? ' ▼' : ' ▲') : '') });
+        if (sortable) {
+            th.className = 'sortable';
+            th.addEventListener('click', () => {
+                params.set('sort', col === sortColumn && !descending ? '-' + col : col);
+                params.set('page', '1');
+                setListQuery(table, params);
+            });
+        }
+        headerRow.appendChild(th);
+    });
+
+    const body = el('tbody');
+    json.rows.forEach(row => {
+        const tr = el('tr', { class: 'clickable', onclick: () => { window.location.hash = `${table}/${row.id}`; } });
+        config.columns.forEach(col => tr.appendChild(el('td', { text: formatCell(row[col]) })));
+        body.appendChild(tr);
+    });
+    if (json.rows.length === 0) {
+        body.appendChild(el('tr', {}, [el('td', { colspan: config.columns.length, text: 'No matching records.' })]));
+    }
+    main.appendChild(el('table', {}, [el('thead', {}, [headerRow]), body]));
+
+    const goTo = page => {
+        params.set('page', String(page));
+        setListQuery(table, params);
+    };
+    const prev = el('button', { type: 'button', text: '← Previous', onclick: () => goTo(json.page - 1) });
+    const next = el('button', { type: 'button', text: 'Next →', onclick: () => goTo(json.page + 1) });
+    prev.disabled = json.page <= 1;
+    next.disabled = json.page >= json.totalPages;
+    main.appendChild(el('div', { class: 'pagination' }, [
+        prev,
+        el('span', { text: `Page ${json.page} of ${json.totalPages} (${json.total} records)` }),
+        next
+    ]));
+}
+
+function renderFilters(table, config, params) {
+    const form = el('form', { class: 'filters' });
+    const field = (label, input) => el('label', {}, [label, input]);
+
+    form.appendChild(field('Search', el('input', { type: 'search', name: 'q', value: params.get('q') || '', title: config.searchHint })));
+    form.appendChild(field(`From (${config.dateColumn})`, el('input', { type: 'date', name: 'from', value: params.get('from') || '' })));
+    form.appendChild(field('To', el('input', { type: 'date', name: 'to', value: params.get('to') || '' })));
+
+    Object.keys(config.filters).forEach(col => {
+        const options = config.filters[col];
+        let input;
+        if (options) {
+            input = el('select', { name: col }, [el('option', { value: '', text: 'any' })]
+                .concat(options.map(o => el('option', { value: o, text: o }))));
+            input.value = params.get(col) || '';
+        } else {
+            input = el('input', { type: 'text', name: col, value: params.get(col) || '', size: 10 });
+        }
+        form.appendChild(field(col, input));
+    });
+
+    const sort = el('select', { name: 'sort' }, [el('option', { value: '', text: 'default' })]);
+    config.sortable.forEach(col => {
+        sort.appendChild(el('option', { value: col, text: col + ' ↑' }));
+        sort.appendChild(el('option', { value: '-' + col, text: col + ' ↓' }));
+    });
+    sort.value = params.get('sort') || '';
+    form.appendChild(field('Sort', sort));
+
+    form.appendChild(el('button', { type: 'submit', text: 'Apply' }));
+    form.appendChild(el('button', { type: 'button', text: 'Reset', onclick: () => { window.location.hash = table; } }));
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const next = new URLSearchParams(new FormData(form));
+        next.set('page', '1');
+        setListQuery(table, next);
+    });
+    form.appendChild(el('p', { class: 'search-hint', text: config.searchHint }));
+    return form;
+}
+
+function formatDetailValue(value) {
+    if (value === null || typeof value === 'undefined') return '';
+    // JSON columns (answers, triggers) are easier to read indented
+    if (typeof value === 'string' && /^[[{]/.test(value)) {
+        try {
+            return JSON.stringify(JSON.parse(value), null, 2);
+        } catch (e) { /* not JSON; show as is */ }
+    }
+    return String(value);
+}
+
+async function renderDetail(table, id) {
+    const config = adminTables[table];
+    const main = document.getElementById('adminMain');
+    main.innerHTML = '';
+    main.appendChild(el('p', {}, [el('a', { href: '#' + table, text: `← ${config.label}` })]));
+
+    let json;
+    try {
+        json = await adminFetch(`/api/admin/${table}/${encodeURIComponent(id)}`);
+    } catch (err) {
+        main.appendChild(el('p', { class: 'error', text: err.message }));
+        return;
+    }
+
+    main.appendChild(el('h2', { text: `${config.label} #${json.record.id}` }));
+    const rows = Object.keys(json.record).map(key =>
+        el('tr', {}, [el('th', { text: key }), el('td', { text: formatDetailValue(json.record[key]) })]));
+    main.appendChild(el('table', { class: 'detail' }, rows));
+
+    const actions = renderActions(table, json.record);
+    if (actions) main.appendChild(actions);
+    if (table === 'contacts') main.appendChild(renderContactTriage(json.record));
+    if (table === 'professionals' && hasRole('counsellor')) {
+        main.appendChild(el('h3', { text: 'Edit' }));
+        main.appendChild(renderProfessionalForm(json.record));
+        main.appendChild(el('h3', { text: 'Add availability slot' }));
+        main.appendChild(renderNewAvailabilitySlot(json.record));
+    }
+    if (table === 'articles' && hasRole('counsellor')) {
+        main.appendChild(el('h3', { text: 'Edit' }));
+        main.appendChild(renderArticleForm(json.record));
+    }
+
+    Object.keys(json.related).forEach(relatedTable => {
+        const records = json.related[relatedTable];
+        const label = adminTables[relatedTable] ? adminTables[relatedTable].label : relatedTable;
+        main.appendChild(el('h3', { text: `${label} (${records.length})` }));
+        if (records.length === 0) return;
+        const columns = Object.keys(records[0]);
+        const header = el('tr', {}, columns.map(col => el('th', { text: col })));
+        // Only rows from dashboard tables link to a detail view (notes and history do not)
+        const body = records.map(record => el('tr', adminTables[relatedTable] ? {
+            class: 'clickable',
+            onclick: () => { window.location.hash = `${relatedTable}/${record.id}`; }
+        } : {}, columns.map(col => el('td', { text: formatCell(record[col]) }))));
+        main.appendChild(el('table', {}, [header].concat(body)));
+    });
+}
+
+// Buttons for the actions the server supports on a record
+function renderActions(table, record) {
+    const update = async (url, method, body, button) => {
+        button.disabled = true;
+        try {
+            await sendJson(url, method, body);
+            route();
+        } catch (err) {
+            alert(err.message);
+            button.disabled = false;
+        }
+    };
+    const run = (url, button) => update(url, 'POST', {}, button);
+
+    const buttons = [];
+    if (table === 'mails' && record.status === 'failed') {
+        const button = el('button', { type: 'button', text: 'Requeue' });
+        button.addEventListener('click', () => run(`/api/mails/${record.id}/requeue`, button));
+        buttons.push(button);
+    }
+    if (table === 'registrations' && (record.status === 'confirmed' || record.status === 'waitlisted') && hasRole('counsellor')) {
+        const button = el('button', { type: 'button', text: 'Cancel registration' });
+        button.addEventListener('click', () => {
+            if (confirm('Cancel this registration? The next person on the waitlist will be promoted.')) {
+                run(`/api/registrations/${record.id}/cancel`, button);
+            }
+        });
+        buttons.push(button);
+    }
+    if (table === 'admin_users') {
+        const role = el('select', {}, adminSession.roles.map(r => el('option', { value: r, text: r })));
+        role.value = record.role;
+        const saveRole = el('button', { type: 'button', text: 'Change role' });
+        saveRole.addEventListener('click', () => update(`/api/admin/admin_users/${record.id}`, 'PATCH', { role: role.value }, saveRole));
+        const resetPassword = el('button', { type: 'button', text: 'Reset password' });
+        resetPassword.addEventListener('click', () => {
+            const password = prompt('New password (at least 10 characters). The user will be signed out.');
+            if (password) update(`/api/admin/admin_users/${record.id}`, 'PATCH', { password }, resetPassword);
+        });
+        const remove = el('button', { type: 'button', text: 'Delete user' });
+        remove.addEventListener('click', async () => {
+            if (!confirm(`Delete admin user ${record.username}?`)) return;
+            remove.disabled = true;
+            try {
+                await adminFetch(`/api/admin/admin_users/${record.id}`, { method: 'DELETE' });
+                window.location.hash = 'admin_users';
+            } catch (err) {
+                alert(err.message);
+                remove.disabled = false;
+            }
+        });
+        buttons.push(role, saveRole, resetPassword, remove);
+    }
+    if (table === 'mail_allowlist') {
+        const remove = el('button', { type: 'button', text: 'Remove from allowlist' });
+        remove.addEventListener('click', async () => {
+            if (!confirm(`Stop allowing mail to ${record.entry}?`)) return;
+            remove.disabled = true;
+            try {
+                await adminFetch(`/api/admin/mail_allowlist/${record.id}`, { method: 'DELETE' });
+                window.location.hash = 'mail_allowlist';
+            } catch (err) {
+                alert(err.message);
+                remove.disabled = false;
+            }
+        });
+        buttons.push(remove);
+    }
+    if (table === 'appointments') {
+        // Requested appointments can be confirmed, declined or cancelled; confirmed ones only cancelled
+        const next = { requested: ['confirmed', 'declined', 'cancelled'], confirmed: ['cancelled'] }[record.status] || [];
+        const labels = { confirmed: 'Confirm', declined: 'Decline', cancelled: 'Cancel appointment' };
+        next.forEach(status => {
+            const button = el('button', { type: 'button', text: labels[status] });
+            button.addEventListener('click', () => {
+                if (confirm(`${labels[status]}? ${record.email} will be emailed.`)) {
+                    update(`/api/admin/appointments/${record.id}`, 'PATCH', { status }, button);
+                }
+            });
+            buttons.push(button);
+        });
+    }
+    if (table === 'availability_slots' && hasRole('counsellor')) {
+        const remove = el('button', { type: 'button', text: 'Remove slot' });
+        remove.addEventListener('click', async () => {
+            if (!confirm('Remove this weekly slot?')) return;
+            remove.disabled = true;
+            try {
+                await adminFetch(`/api/admin/availability_slots/${record.id}`, { method: 'DELETE' });
+                window.location.hash = `professionals/${record.professionalId}`;
+            } catch (err) {
+                alert(err.message);
+                remove.disabled = false;
+            }
+        });
+        buttons.push(remove);
+    }
+    if (table === 'professionals' && hasRole('administrator')) {
+        const remove = el('button', { type: 'button', text: 'Remove from directory' });
+        remove.addEventListener('click', async () => {
+            if (!confirm('Remove this professional from the directory?')) return;
+            remove.disabled = true;
+            try {
+                await adminFetch(`/api/admin/professionals/${record.id}`, { method: 'DELETE' });
+                window.location.hash = 'professionals';
+            } catch (err) {
+                alert(err.message);
+                remove.disabled = false;
+            }
+        });
+        buttons.push(remove);
+    }
+    if (table === 'articles') {
+        buttons.push(el('a', { href: `/admin/articles/${record.id}/preview`, target: '_blank', text: 'Preview' }));
+        if (hasRole('counsellor')) {
+            const publish = record.status === 'published' ? 'draft' : 'published';
+            const button = el('button', { type: 'button', text: publish === 'published' ? 'Publish' : 'Unpublish' });
+            button.addEventListener('click', () => update(`/api/admin/articles/${record.id}`, 'PATCH', { status: publish }, button));
+            buttons.push(button);
+        }
+        if (hasRole('administrator')) {
+            const remove = el('button', { type: 'button', text: 'Delete article' });
+            remove.addEventListener('click', async () => {
+                if (!confirm(`Delete "${record.title}"? Its address will stop working.`)) return;
+                remove.disabled = true;
+                try {
+                    await adminFetch(`/api/admin/articles/${record.id}`, { method: 'DELETE' });
+                    window.location.hash = 'articles';
+                } catch (err) {
+                    alert(err.message);
+                    remove.disabled = false;
+                }
+            });
+            buttons.push(remove);
+        }
+    }
+    return buttons.length ? el('div', { class: 'actions' }, buttons) : null;
+}
+
+function sendJson(url, method, body) {
+    return adminFetch(url, {
+        method,
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+// Status, assignee, internal notes and reply form for a contact inquiry
+function renderContactTriage(record) {
+    const base = `/api/admin/contacts/${record.id}`;
+    const section = el('div', { class: 'triage' });
+    const submitWith = (form, send) => {
+        form.addEventListener('submit', async event => {
+            event.preventDefault();
+            const button = form.querySelector('button[type="submit"]');
+            button.disabled = true;
+            try {
+                await send(new FormData(form));
+                route();
+            } catch (err) {
+                alert(err.message);
+                button.disabled = false;
+            }
+        });
+        return form;
+    };
+
+    const status = el('select', { name: 'status' }, adminTables.contacts.filters.status
+        .map(s => el('option', { value: s, text: s.replace('_', ' ') })));
+    status.value = record.status;
+    section.appendChild(el('h3', { text: 'Triage' }));
+    section.appendChild(submitWith(el('form', { class: 'filters' }, [
+        el('label', {}, ['Status', status]),
+        el('label', {}, ['Assigned to', el('input', { type: 'text', name: 'assignedTo', value: record.assignedTo || '', maxlength: 100 })]),
+        el('button', { type: 'submit', text: 'Save' })
+    ]), data => sendJson(base, 'PATCH', { status: data.get('status'), assignedTo: data.get('assignedTo') })));
+
+    section.appendChild(el('h3', { text: 'Add internal note' }));
+    section.appendChild(submitWith(el('form', {}, [
+        el('textarea', { name: 'note', rows: 3, cols: 60, required: '' }),
+        el('br'),
+        el('button', { type: 'submit', text: 'Add note' })
+    ]), data => sendJson(`${base}/notes`, 'POST', { note: data.get('note') })));
+
+    section.appendChild(el('h3', { text: `Reply to ${record.email}` }));
+    section.appendChild(submitWith(el('form', {}, [
+        el('input', { type: 'text', name: 'subject', size: 60, placeholder: 'Re: your message to Mental Health Companion' }),
+        el('br'),
+        el('textarea', { name: 'body', rows: 6, cols: 60, required: '' }),
+        el('br'),
+        el('button', { type: 'submit', text: 'Send reply' })
+    ]), data => sendJson(`${base}/replies`, 'POST', { subject: data.get('subject'), body: data.get('body') })));
+    return section;
+}
+
+function renderNewAdminUser() {
+    const form = el('form', { class: 'filters' }, [
+        el('label', {}, ['Username', el('input', { type: 'text', name: 'username', required: '' })]),
+        el('label', {}, ['Password', el('input', { type: 'password', name: 'password', minlength: 10, required: '', autocomplete: 'new-password' })]),
+        el('label', {}, ['Role', el('select', { name: 'role' }, adminSession.roles.map(r => el('option', { value: r, text: r })))]),
+        el('button', { type: 'submit', text: 'Create user' })
+    ]);
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const data = new FormData(form);
+        try {
+            const json = await sendJson('/api/admin/admin_users', 'POST',
+                { username: data.get('username'), password: data.get('password'), role: data.get('role') });
+            window.location.hash = `admin_users/${json.id}`;
+        } catch (err) {
+            alert(err.message);
+        }
+    });
+    return form;
+}
+
+// Recipients /api/send-mail may write to: a whole address or a domain
+function renderNewAllowlistEntry() {
+    const form = el('form', { class: 'filters' }, [
+        el('label', {}, ['Address or domain', el('input', { type: 'text', name: 'entry', required: '', placeholder: 'example.org' })]),
+        el('button', { type: 'submit', text: 'Allow' })
+    ]);
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        try {
+            const json = await sendJson('/api/admin/mail_allowlist', 'POST', { entry: new FormData(form).get('entry') });
+            window.location.hash = `mail_allowlist/${json.id}`;
+        } catch (err) {
+            alert(err.message);
+        }
+    });
+    return form;
+}
+
+// Adds a professional to the Contact.html directory, or edits `record`. Stored
+// text is HTML-escaped, so the form shows it decoded.
+function renderProfessionalForm(record) {
+    const decode = value => {
+        const text = document.createElement('textarea');
+        text.innerHTML = value || '';
+        return text.value;
+    };
+    const field = (label, name, attrs) => el('label', {}, [label,
+        el('input', Object.assign({ type: 'text', name, value: record ? decode(record[name]) : '' }, attrs))]);
+    const online = el('input', { type: 'checkbox', name: 'onlineSessions' });
+    online.checked = Boolean(record && record.onlineSessions);
+    const form = el('form', { class: 'filters' }, [
+        field('Name', 'name', { required: '' }),
+        field('City', 'city', { required: '' }),
+        field('Specialisations (comma-separated)', 'specialisations', { required: '', size: 40 }),
+        field('Languages (comma-separated)', 'languages', { required: '' }),
+        field('Fees', 'fees', { placeholder: '₹1500 per session' }),
+        field('Phone', 'phone', { type: 'tel' }),
+        field('Email', 'email', { type: 'email' }),
+        field('Website', 'website', { type: 'url' }),
+        field('Address', 'address', { size: 40 }),
+        el('label', {}, [online, ' Offers online sessions']),
+        el('button', { type: 'submit', text: record ? 'Save changes' : 'Add professional' })
+    ]);
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const body = {};
+        new FormData(form).forEach((value, key) => { body[key] = value; });
+        body.onlineSessions = online.checked;
+        try {
+            if (record) {
+                await sendJson(`/api/admin/professionals/${record.id}`, 'PUT', body);
+                route();
+            } else {
+                const json = await sendJson('/api/admin/professionals', 'POST', body);
+                window.location.hash = `professionals/${json.id}`;
+            }
+        } catch (err) {
+            alert(err.message);
+        }
+    });
+    return form;
+}
+
+// Creates a draft article, or edits `record`. Content is Markdown; see the
+// Articles section of the README for what it supports.
+function renderArticleForm(record) {
+    const field = (label, name, attrs) => el('label', {}, [label,
+        el('input', Object.assign({ type: 'text', name, value: record && record[name] ? record[name] : '' }, attrs))]);
+    const content = el('textarea', { name: 'content', rows: 20, cols: 90, required: '' });
+    content.value = record ? record.content : '';
+    const form = el('form', { class: 'filters' }, [
+        field('Title', 'title', { required: '', size: 40 }),
+        field('Address /articles/…', 'slug', { placeholder: 'made from the title', pattern: '[a-z0-9]+(-[a-z0-9]+)*' }),
+        field('Category', 'category', { required: '' }),
+        field('Tags (comma-separated)', 'tags', { size: 30 }),
+        field('Author', 'author', { required: '', value: record ? record.author : adminSession.username }),
+        field('Last reviewed', 'reviewedAt', { type: 'date' }),
+        field('Summary', 'summary', { size: 60, maxlength: 300 }),
+        el('label', {}, ['Content (Markdown)', content]),
+        el('button', { type: 'submit', text: record ? 'Save changes' : 'Create draft' })
+    ]);
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const body = {};
+        new FormData(form).forEach((value, key) => { body[key] = value; });
+        try {
+            if (record) {
+                await sendJson(`/api/admin/articles/${record.id}`, 'PUT', body);
+                route();
+            } else {
+                const json = await sendJson('/api/admin/articles', 'POST', body);
+                window.location.hash = `articles/${json.id}`;
+            }
+        } catch (err) {
+            alert(err.message);
+        }
+    });
+    return form;
+}
+
+// A weekly slot in the server's APPOINTMENT_TIME_ZONE; weekday 1 is Monday
+function renderNewAvailabilitySlot(professional) {
+    const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+    const form = el('form', { class: 'filters' }, [
+        el('label', {}, ['Weekday', el('select', { name: 'weekday' }, days.map((day, i) => el('option', { value: i + 1, text: day })))]),
+        el('label', {}, ['From', el('input', { type: 'time', name: 'startTime', required: '' })]),
+        el('label', {}, ['To', el('input', { type: 'time', name: 'endTime', required: '' })]),
+        el('button', { type: 'submit', text: 'Add slot' })
+    ]);
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        const data = new FormData(form);
+        try {
+            await sendJson(`/api/admin/professionals/${professional.id}/slots`, 'POST',
+                { weekday: Number(data.get('weekday')), startTime: data.get('startTime'), endTime: data.get('endTime') });
+            route();
+        } catch (err) {
+            alert(err.message);
+        }
+    });
+    return form;
+}
+
+// Retention policy and subject access (find, download and erase by email)
+async function renderPrivacy() {
+    const main = document.getElementById('adminMain');
+    main.innerHTML = '';
+    main.appendChild(el('h2', { text: 'Data retention' }));
+
+    let json;
+    try {
+        json = await adminFetch('/api/admin/retention');
+    } catch (err) {
+        main.appendChild(el('p', { class: 'error', text: err.message }));
+        return;
+    }
+    const rules = json.policy.tables || {};
+    main.appendChild(el('table', {}, [el('tr', {}, ['Table', 'Kept for', 'Then'].map(h => el('th', { text: h })))]
+        .concat(Object.keys(rules).map(table => el('tr', {}, [
+            el('td', { text: table }),
+            el('td', { text: `${rules[table].days} days` }),
+            el('td', { text: rules[table].action })
+        ])))));
+    main.appendChild(el('p', { text: `Runs every ${json.policy.intervalHours || 24} hours. Recent runs that changed data:` }));
+    main.appendChild(el('ul', {}, json.recentRuns.length
+        ? json.recentRuns.map(run => el('li', { text: `${run.createdAt} — ${run.action} ${run.targetTable} ${formatCell(run.details)} (${run.actor})` }))
+        : [el('li', { text: 'None yet.' })]));
+    const runNow = el('button', { type: 'button', text: 'Apply retention now' });
+    runNow.addEventListener('click', async () => {
+        runNow.disabled = true;
+        try {
+            const result = await sendJson('/api/admin/retention/run', 'POST', {});
+            alert('Changed rows: ' + JSON.stringify(result.results));
+            route();
+        } catch (err) {
+            alert(err.message);
+            runNow.disabled = false;
+        }
+    });
+    main.appendChild(el('div', { class: 'actions' }, [runNow]));
+
+    main.appendChild(el('h2', { text: 'Subject access and erasure' }));
+    const email = el('input', { type: 'email', name: 'email', required: '', size: 40 });
+    const found = el('div');
+    const form = el('form', { class: 'filters' }, [el('label', {}, ['Email address', email]), el('button', { type: 'submit', text: 'Find data' })]);
+    form.addEventListener('submit', async event => {
+        event.preventDefault();
+        found.innerHTML = '';
+        const address = email.value.trim();
+        let result;
+        try {
+            result = await adminFetch('/api/admin/subject-access?email=' + encodeURIComponent(address));
+        } catch (err) {
+            found.appendChild(el('p', { class: 'error', text: err.message }));
+            return;
+        }
+        const counts = ['registrations', 'contacts', 'appointments', 'mails', 'safety_events'].map(key => `${result.bundle[key].length} ${key}`);
+        found.appendChild(el('p', { text: `Found ${counts.join(', ')}.` }));
+        found.appendChild(el('p', {}, [el('a', {
+            href: '/api/admin/subject-access?download=1&email=' + encodeURIComponent(address),
+            text: 'Download JSON bundle'
+        })]));
+        const erase = el('button', { type: 'button', text: 'Erase all data for this email' });
+        erase.addEventListener('click', async () => {
+            const typed = prompt(`This permanently deletes the data listed above. Type ${address} to confirm.`);
+            if (!typed) return;
+            erase.disabled = true;
+            try {
+                const done = await sendJson('/api/admin/subject-access/erase', 'POST', { email: address, confirm: typed });
+                found.innerHTML = '';
+                found.appendChild(el('p', { text: `${done.message} Erased: ${JSON.stringify(done.erased)}` }));
+            } catch (err) {
+                alert(err.message);
+                erase.disabled = false;
+            }
+        });
+        found.appendChild(el('div', { class: 'actions' }, [erase]));
+    });
+    main.appendChild(form);
+    main.appendChild(found);
+}
+
+// Shown instead of a number for groups too small to report
+function suppressedCell(value) {
+    return value === null ? el('td', { class: 'suppressed', text: 'hidden', title: 'Too few responses to report' }) : el('td', { text: String(value) });
+}
+
+// Horizontal bar for a value out of `max`
+function analyticsBar(value, max) {
+    if (value === null || !(max > 0)) return el('td');
+    const bar = el('div', { class: 'bar' });
+    bar.style.width = Math.round(Math.min(1, value / max) * 100) + '%';
+    return el('td', {}, [bar]);
+}
+
+// Anonymous score aggregates: trend per week or month, band distribution and per-question averages
+async function renderAnalytics(params) {
+    const main = document.getElementById('adminMain');
+    main.innerHTML = '';
+    main.appendChild(el('h2', { text: 'Score analytics' }));
+
+    let json;
+    try {
+        json = await adminFetch('/api/admin/analytics?' + params.toString());
+    } catch (err) {
+        main.appendChild(el('p', { class: 'error', text: err.message }));
+        return;
+    }
+
+    const field = (label, input) => el('label', {}, [label, input]);
+    const questionnaire = el('select', { name: 'questionnaire' }, json.questionnaires.map(q => el('option', { value: q.id, text: q.title })));
+    questionnaire.value = json.questionnaire.id;
+    const period = el('select', { name: 'period' }, [el('option', { value: 'week', text: 'Weekly' }), el('option', { value: 'month', text: 'Monthly' })]);
+    period.value = json.period;
+    const form = el('form', { class: 'filters' }, [
+        field('Questionnaire', questionnaire),
+        field('Period', period),
+        field('From', el('input', { type: 'date', name: 'from', value: params.get('from') || '' })),
+        field('To', el('input', { type: 'date', name: 'to', value: params.get('to') || '' })),
+        el('button', { type: 'submit', text: 'Apply' })
+    ]);
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        setListQuery('analytics', new URLSearchParams(new FormData(form)));
+    });
+    main.appendChild(form);
+    main.appendChild(el('p', { text: `Only totals are shown. Groups with fewer than ${json.minGroupSize} responses are hidden.` }));
+    if (json.from || json.to) {
+        const unit = json.period === 'month' ? 'months' : 'weeks';
+        main.appendChild(el('p', { text: `Dates are widened to whole ${unit}: ${json.from ? json.from.slice(0, 10) : 'the start'} to ${json.to ? json.to.slice(0, 10) : 'today'}.` }));
+    }
+
+    const overall = json.overall;
+    if (overall.suppressed) {
+        main.appendChild(el('p', { text: 'Not enough responses in this range to report anything.' }));
+        return;
+    }
+    main.appendChild(el('p', { text: `${overall.responses} responses, average score ${overall.average}.` }));
+
+    main.appendChild(el('h3', { text: 'Severity bands' }));
+    main.appendChild(el('table', {}, [el('tr', {}, ['Band', 'Responses', ''].map(h => el('th', { text: h })))]
+        .concat(json.bands.map(band => el('tr', {}, [
+            el('td', { text: band.label }),
+            suppressedCell(overall.bands[band.key]),
+            analyticsBar(overall.bands[band.key], overall.responses)
+        ])))));
+
+    const maxAverage = Math.max(...json.trend.map(bucket => bucket.average || 0));
+    main.appendChild(el('h3', { text: json.period === 'month' ? 'Monthly trend' : 'Weekly trend' }));
+    main.appendChild(el('table', {}, [el('tr', {}, ['Period', 'Responses', 'Average score', ''].concat(json.bands.map(b => b.label)).map(h => el('th', { text: h })))]
+        .concat(json.trend.map(bucket => el('tr', {}, [
+            el('td', { text: bucket.period }),
+            suppressedCell(bucket.responses),
+            suppressedCell(bucket.average),
+            analyticsBar(bucket.average, maxAverage)
+        ].concat(json.bands.map(band => suppressedCell(bucket.bands ? bucket.bands[band.key] : null))))))));
+
+    const maxQuestion = Math.max(...json.questions.map(q => q.average || 0));
+    main.appendChild(el('h3', { text: 'Average answer per question' }));
+    main.appendChild(el('table', {}, [el('tr', {}, ['Question', 'Responses', 'Average', ''].map(h => el('th', { text: h })))]
+        .concat(json.questions.map(q => el('tr', {}, [
+            el('td', { text: `${q.id}. ${q.text}` }),
+            suppressedCell(q.responses),
+            suppressedCell(q.average),
+            analyticsBar(q.average, maxQuestion)
+        ])))));
+}